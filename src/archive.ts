@@ -1,20 +1,69 @@
 import { Buffer } from 'buffer'
 import { createWriteStream, Stats, readlinkSync } from 'fs'
-import { Writable } from 'stream'
+import { pipeline, Transform } from 'stream'
 import { promisify } from 'util'
+import zlib from 'zlib'
 
 import archiver, { Archiver } from 'archiver'
-import endOfStream from 'end-of-stream'
 
-type ArchiveFormat = 'none' | 'zip'
+type ArchiveFormat = 'none' | 'tar.gz' | 'tar.zst' | 'zip'
 
-const pEndOfStream = promisify(endOfStream)
+// The formats that produce a single archive file, as opposed to `none`.
+type ArchiveFileFormat = Exclude<ArchiveFormat, 'none'>
+
+const ARCHIVE_FORMATS: ArchiveFormat[] = ['none', 'tar.gz', 'tar.zst', 'zip']
+
+const pPipeline = promisify(pipeline)
+
+// `zlib.createZstdCompress` is only available in recent versions of Node.js.
+const { createZstdCompress } = zlib as typeof zlib & { createZstdCompress?: () => Transform }
+
+// Returns the extension of the archive file created for a given format.
+const getArchiveExtension = (format: ArchiveFileFormat) => `.${format}`
+
+// Returns the format of the archive file of a function that can't be written as
+// a directory, which is a ZIP archive when the format is `none`.
+const getArchiveFileFormat = (format: ArchiveFormat): ArchiveFileFormat => (format === 'none' ? 'zip' : format)
+
+// Returns the stream that compresses the output of a tarball, if the format
+// needs one.
+const getCompressionStream = function (format: ArchiveFileFormat): Transform | undefined {
+  switch (format) {
+    case 'tar.gz':
+      return zlib.createGzip()
+
+    case 'tar.zst':
+      if (createZstdCompress === undefined) {
+        throw new Error('The `tar.zst` archive format requires a version of Node.js with Zstandard support')
+      }
+
+      return createZstdCompress()
+
+    default:
+      return undefined
+  }
+}
+
+// Start zipping files. For tarballs, entries go through the same functions as
+// ZIP archives, so they follow the same ordering, mtime and symlink rules.
+// `output` settles when the archive has been written, or when any of the
+// streams fails.
+const startZip = function (
+  destPath: string,
+  format: ArchiveFileFormat = 'zip',
+): { archive: Archiver; output: Promise<void> } {
+  const compression = getCompressionStream(format)
+  const archive = archiver(format === 'zip' ? 'zip' : 'tar')
+  const output =
+    compression === undefined
+      ? pPipeline(archive, createWriteStream(destPath))
+      : pPipeline(archive, compression, createWriteStream(destPath))
+
+  // The error is thrown by `endZip`, which might only be called after the
+  // failure.
+  // eslint-disable-next-line promise/prefer-await-to-then, @typescript-eslint/no-empty-function
+  output.catch(() => {})
 
-// Start zipping files
-const startZip = function (destPath: string): { archive: Archiver; output: Writable } {
-  const output = createWriteStream(destPath)
-  const archive = archiver('zip')
-  archive.pipe(output)
   return { archive, output }
 }
 
@@ -40,12 +89,11 @@ const addZipContent = function (archive: Archiver, content: Buffer | string, nam
 }
 
 // End zipping files
-const endZip = async function (archive: Archiver, output: Writable): Promise<void> {
-  archive.finalize()
-  await pEndOfStream(output)
+const endZip = async function (archive: Archiver, output: Promise<void>): Promise<void> {
+  await Promise.all([archive.finalize(), output])
 }
 
-export { startZip, addZipFile, addZipContent, endZip }
-export type { ArchiveFormat }
+export { ARCHIVE_FORMATS, getArchiveExtension, getArchiveFileFormat, startZip, addZipFile, addZipContent, endZip }
+export type { ArchiveFileFormat, ArchiveFormat }
 
 export { Archiver as ZipArchive } from 'archiver'
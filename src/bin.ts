@@ -3,62 +3,174 @@ import { exit } from 'process'
 
 import yargs from 'yargs'
 
-import type { ArchiveFormat } from './archive'
+import { ARCHIVE_FORMATS, ArchiveFormat } from './archive'
+import { CliConfigOptions, getCliConfig, NETLIFY_TOML_OPTION, printConfigIssues } from './cli/config'
+import { INSPECT_OPTIONS, inspectCommand, InspectCommandOptions } from './cli/inspect'
+import { LIST_OPTIONS, listCommand, listFilesCommand, ListCommandOptions, NESTED_DISCOVERY_OPTIONS } from './cli/list'
+import { printNameCollisions } from './cli/name_collisions'
+import { CONFIG_VALIDATION_ACTIONS } from './config_validation'
 import { zipFunctions } from './main'
+import { MANIFEST_VERSIONS } from './manifest'
+import { REPORT_FORMATS } from './report'
+import { NAME_COLLISION_ACTIONS } from './runtimes/name_collisions'
+import { isFailedResult } from './utils/format_result'
+import type { ZipFunctionsOptions } from './zip'
 
-// CLI entry point
-const runCli = async function () {
-  // @ts-expect-error TODO: `destFolder` and  `srcFolder` are not being passed
-  // back from `parseArgs()`.
-  const { destFolder, srcFolder, ...options } = parseArgs()
+// Exit code used when `--continue-on-error` is set and some, but not
+// necessarily all, of the functions failed to be zipped.
+const PARTIAL_FAILURE_EXIT_CODE = 2
 
+// Runs a command that resolves to the text to print, exiting with an error
+// code if it fails or if it resolves to a non-zero exit code.
+const runCommand = async function (command: () => Promise<string | { exitCode: number; output: string }>) {
   try {
-    // @ts-expect-error TODO: `options` is not getting the right types.
-    const zipped = await zipFunctions(srcFolder, destFolder, options)
+    const result = await command()
+    const { exitCode, output } = typeof result === 'string' ? { exitCode: 0, output: result } : result
+
+    console.log(output)
+
+    if (exitCode !== 0) {
+      exit(exitCode)
+    }
+  } catch (error) {
+    console.error(error.toString())
+    exit(1)
+  }
+}
+
+type ZipCommandOptions = ZipFunctionsOptions & CliConfigOptions & { destFolder: string; srcFolder: string }
+
+const zipCommand = async function ({ config, destFolder, netlifyToml, srcFolder, ...options }: ZipCommandOptions) {
+  try {
+    const zipped = await zipFunctions(srcFolder, destFolder, {
+      ...options,
+      config: await getCliConfig({ config, netlifyToml }),
+    })
+
+    printConfigIssues(zipped)
+    printNameCollisions(zipped)
     console.log(JSON.stringify(zipped, null, 2))
+
+    if (zipped.some(isFailedResult)) {
+      exit(PARTIAL_FAILURE_EXIT_CODE)
+    }
   } catch (error) {
     console.error(error.toString())
     exit(1)
   }
 }
 
-const parseArgs = function () {
-  return yargs
-    .command('* <srcFolder> <destFolder>', 'Create ZIP archives from a directory')
-    .options(OPTIONS)
+// CLI entry point
+const runCli = function () {
+  yargs
+    .command('* <srcFolder> <destFolder>', 'Create ZIP archives from a directory', OPTIONS, (args) =>
+      zipCommand(args as unknown as ZipCommandOptions),
+    )
+    .command('list <srcFolders..>', 'List the functions found in one or more directories', LIST_OPTIONS, (args) =>
+      runCommand(() => listCommand(args as unknown as ListCommandOptions)),
+    )
+    .command(
+      'list-files <srcFolders..>',
+      'List the files used by the functions found in one or more directories',
+      LIST_OPTIONS,
+      (args) => runCommand(() => listFilesCommand(args as unknown as ListCommandOptions)),
+    )
+    .command(
+      'inspect <archive>',
+      'List the entries of an archive and check the file its entry file points to',
+      INSPECT_OPTIONS,
+      (args) => runCommand(() => inspectCommand(args as unknown as InspectCommandOptions)),
+    )
     .usage(USAGE)
     .strict()
     .parse()
 }
 
-const archiveFormats: ArchiveFormat[] = ['none', 'zip']
 const defaultArchiveFormat: ArchiveFormat = 'zip'
 
 const OPTIONS = {
   'archive-format': {
     string: true,
-    choices: archiveFormats,
+    choices: ARCHIVE_FORMATS,
     default: defaultArchiveFormat,
     describe: 'Format of the archive created for each function',
   },
+  'cache-directory': {
+    string: true,
+    describe: 'If set, archives are cached in this directory and reused when the inputs of a function have not changed',
+  },
   config: {
     default: {},
     describe:
       'An object matching glob-like expressions to objects containing configuration properties. Whenever a function name matches one of the expressions, it inherits the configuration properties',
   },
+  'config-validation': {
+    string: true,
+    choices: CONFIG_VALIDATION_ACTIONS,
+    describe:
+      'Whether to fail, to print a warning (default) or to do nothing when the configuration has unknown properties or invalid values',
+  },
+  'continue-on-error': {
+    boolean: true,
+    describe: `If a function fails to be zipped, adds it to the output as a failed result and keeps zipping the other functions. The exit code is ${PARTIAL_FAILURE_EXIT_CODE} if any function failed`,
+  },
   manifest: {
     string: true,
     describe: 'If a manifest file is to be created, specifies its path',
   },
+  'manifest-version': {
+    number: true,
+    choices: MANIFEST_VERSIONS,
+    describe: 'Version of the manifest file format',
+  },
+  'max-archive-size': {
+    number: true,
+    describe: 'Maximum size, in bytes, of the archive created for each function',
+  },
+  'max-uncompressed-size': {
+    number: true,
+    describe: 'Maximum size, in bytes, of the uncompressed contents of the archive created for each function',
+  },
+  'name-collision-action': {
+    string: true,
+    choices: NAME_COLLISION_ACTIONS,
+    describe:
+      'Whether to fail, to print a warning (default) or to do nothing when functions in different files have the same name',
+  },
+  ...NESTED_DISCOVERY_OPTIONS,
+  'netlify-toml': NETLIFY_TOML_OPTION,
   'parallel-limit': {
     number: true,
     describe: 'Maximum number of Functions to bundle at the same time',
   },
+  report: {
+    string: true,
+    choices: REPORT_FORMATS,
+    describe: 'If set, writes a report explaining why each file was included in the archive of each function',
+  },
+  'size-limit-action': {
+    string: true,
+    choices: ['error', 'warn'],
+    default: 'error',
+    describe: 'Whether to fail or to add a warning to the result when a function exceeds a size limit',
+  },
 }
 
 const USAGE = `$0 [OPTIONS...] FUNCTIONS_DIRECTORY OUTPUT_DIRECTORY
 
 Zip all function files inside FUNCTIONS_DIRECTORY so that they can be uploaded
-to AWS Lambda.`
+to AWS Lambda.
+
+$0 list [OPTIONS...] FUNCTIONS_DIRECTORY...
+$0 list-files [OPTIONS...] FUNCTIONS_DIRECTORY...
+
+List the functions, or the files used by the functions, inside one or more
+FUNCTIONS_DIRECTORY.
+
+$0 inspect [OPTIONS...] ARCHIVE
+
+List the entries of an ARCHIVE created for a function, along with its runtime
+and the file its entry file points to. Exits with an error code if that file
+is missing from the archive.`
 
 runCli()
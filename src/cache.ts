@@ -0,0 +1,186 @@
+import { basename, join } from 'path'
+import { cwd as getCwd, env } from 'process'
+
+import cpFile from 'cp-file'
+
+import type { ArchiveFormat } from './archive'
+import type { FeatureFlags } from './feature_flags'
+import type { FunctionSource } from './function'
+import { resolveIncludedFile } from './runtimes/local_config'
+import { getPathsOfIncludedFiles } from './runtimes/node/utils/included_files'
+import { NODE_VERSION_ENV_VARIABLE } from './runtimes/node/utils/node_version'
+import type { ZipFunctionResult } from './runtimes/runtime'
+import { mkdirAndWriteFile, readFile, stat } from './utils/fs'
+import { getHash, getInputsHash } from './utils/hash'
+import { getLibraryVersion } from './utils/library_version'
+
+// Sub-directory of the cache directory where archives are stored, indexed by
+// the hash of their inputs.
+const ARCHIVES_DIRECTORY = 'archives'
+
+// Sub-directory of the cache directory where the cache entries are stored,
+// one per function name.
+const ENTRIES_DIRECTORY = 'entries'
+
+interface CacheEntry {
+  filename: string
+  hash: string
+  result: ZipFunctionResult
+}
+
+interface CacheOptions {
+  archiveFormat: ArchiveFormat
+  basePath?: string
+  cacheDirectory: string
+  featureFlags: FeatureFlags
+  func: FunctionSource
+  repositoryRoot?: string
+}
+
+const getEntryPath = (cacheDirectory: string, name: string) => join(cacheDirectory, ENTRIES_DIRECTORY, `${name}.json`)
+
+const getArchivePath = (cacheDirectory: string, { filename, hash }: Omit<CacheEntry, 'result'>) =>
+  join(cacheDirectory, ARCHIVES_DIRECTORY, hash, filename)
+
+// Files matched by `includedFiles` are not always inputs of the function, and
+// new files matching the globs can appear, so the globs are resolved again and
+// the files they match are hashed.
+const getIncludedFilesHash = async (
+  { includedFiles = [], includedFilesBasePath }: FunctionSource['config'],
+  basePath?: string,
+) => {
+  const includedFilesDirectory = includedFilesBasePath ?? basePath ?? getCwd()
+  const { paths } = await getPathsOfIncludedFiles(includedFiles, includedFilesBasePath ?? basePath)
+
+  return {
+    files: await getInputsHash(paths),
+    globs: includedFiles.map((pattern) => resolveIncludedFile(pattern, includedFilesDirectory)),
+  }
+}
+
+// Computes a hash that identifies a build of a function, taking into account
+// the contents of every input file and of the files matched by `includedFiles`,
+// the resolved configuration object, the feature flags, the environment
+// variable that sets the Node.js version, the archive format, the bundler
+// used, the base paths that the paths in the archive are relative to and the
+// version of this module.
+const getCacheHash = async ({
+  archiveFormat,
+  basePath,
+  bundler,
+  featureFlags,
+  func,
+  inputs,
+  repositoryRoot,
+}: Omit<CacheOptions, 'cacheDirectory'> & { bundler?: string; inputs: string[] }) => {
+  const payload = {
+    archiveFormat,
+    basePath,
+    bundler,
+    config: func.config,
+    featureFlags,
+    nodeVersionEnvironment: env[NODE_VERSION_ENV_VARIABLE],
+    includedFiles: await getIncludedFilesHash(func.config, basePath),
+    inputs: await getInputsHash(inputs),
+    name: func.name,
+    repositoryRoot,
+    srcPath: func.srcPath,
+    version: await getLibraryVersion(),
+  }
+
+  return getHash(JSON.stringify(payload))
+}
+
+const readCacheEntry = async (cacheDirectory: string, name: string): Promise<CacheEntry | undefined> => {
+  try {
+    const data = await readFile(getEntryPath(cacheDirectory, name), 'utf8')
+
+    return JSON.parse(data)
+  } catch (_) {}
+}
+
+// A function can only be cached if we know the full list of files that were
+// used to build it and if the output is a single file, not a directory.
+const isCacheable = (archiveFormat: ArchiveFormat, result: ZipFunctionResult) =>
+  archiveFormat !== 'none' && Array.isArray(result.inputs) && result.inputs.length !== 0
+
+// Looks for a previous build of the function in the cache. If the hash of its
+// inputs still matches, the cached archive is copied to `destFolder` and the
+// cached result is returned. Otherwise, `undefined` is returned.
+const getCachedFunction = async ({
+  cacheDirectory,
+  destFolder,
+  ...options
+}: CacheOptions & { destFolder: string }): Promise<ZipFunctionResult | undefined> => {
+  const entry = await readCacheEntry(cacheDirectory, options.func.name)
+
+  if (entry === undefined || entry.result.inputs === undefined) {
+    return
+  }
+
+  try {
+    const hash = await getCacheHash({ ...options, bundler: entry.result.bundler, inputs: entry.result.inputs })
+
+    if (hash !== entry.hash) {
+      return
+    }
+
+    const destPath = join(destFolder, entry.filename)
+
+    await cpFile(getArchivePath(cacheDirectory, entry), destPath)
+
+    return { ...entry.result, path: destPath }
+  } catch (_) {
+    // If any of the inputs or the cached archive are gone, it's a cache miss.
+  }
+}
+
+// Stores the archive and the result of building a function in the cache.
+const cacheFunction = async ({ cacheDirectory, result, ...options }: CacheOptions & { result: ZipFunctionResult }) => {
+  if (!isCacheable(options.archiveFormat, result)) {
+    return
+  }
+
+  const archiveStat = await stat(result.path)
+
+  if (!archiveStat.isFile()) {
+    return
+  }
+
+  const hash = await getCacheHash({ ...options, bundler: result.bundler, inputs: result.inputs as string[] })
+  const entry: CacheEntry = { filename: basename(result.path), hash, result }
+
+  await cpFile(result.path, getArchivePath(cacheDirectory, entry))
+  await mkdirAndWriteFile(getEntryPath(cacheDirectory, options.func.name), JSON.stringify(entry))
+}
+
+// Wraps the `zip` function of a runtime with the build cache. If there isn't a
+// cache directory, `zip` is called directly and `cacheHit` is not set.
+const zipFunctionWithCache = async ({
+  cacheDirectory,
+  destFolder,
+  zip,
+  ...options
+}: Omit<CacheOptions, 'cacheDirectory'> & {
+  cacheDirectory?: string
+  destFolder: string
+  zip: () => Promise<ZipFunctionResult>
+}): Promise<ZipFunctionResult & { cacheHit?: boolean }> => {
+  if (cacheDirectory === undefined) {
+    return await zip()
+  }
+
+  const cachedResult = await getCachedFunction({ ...options, cacheDirectory, destFolder })
+
+  if (cachedResult !== undefined) {
+    return { ...cachedResult, cacheHit: true }
+  }
+
+  const result = await zip()
+
+  await cacheFunction({ ...options, cacheDirectory, result })
+
+  return { ...result, cacheHit: false }
+}
+
+export { zipFunctionWithCache }
@@ -0,0 +1,40 @@
+import { Config } from '../config'
+import { loadNetlifyToml } from '../netlify_toml'
+import { FailedFunctionResult, FunctionResult, isFailedResult } from '../utils/format_result'
+
+const NETLIFY_TOML_OPTION = {
+  string: true,
+  describe:
+    'Path to a netlify.toml file to read the configuration of functions from. Properties set with --config take precedence',
+}
+
+interface CliConfigOptions {
+  config?: Config
+  netlifyToml?: string
+}
+
+// Merges the configuration read from a `netlify.toml` file, if any, with the
+// one set with `--config`, which takes precedence for each glob pattern.
+const getCliConfig = async ({ config = {}, netlifyToml }: CliConfigOptions): Promise<Config> => {
+  if (netlifyToml === undefined) {
+    return config
+  }
+
+  const { config: tomlConfig } = await loadNetlifyToml(netlifyToml)
+  const globs = new Set([...Object.keys(tomlConfig), ...Object.keys(config)])
+
+  return Object.fromEntries([...globs].map((glob) => [glob, { ...tomlConfig[glob], ...config[glob] }]))
+}
+
+// Prints the issues found in the configuration of the zipped functions. Issues
+// that apply to more than one function are only printed once.
+const printConfigIssues = (results: (FunctionResult | FailedFunctionResult)[]) => {
+  const issues = new Set(results.flatMap((result) => (isFailedResult(result) ? [] : result.configIssues ?? [])))
+
+  issues.forEach((issue) => {
+    console.warn(`Warning: ${issue}`)
+  })
+}
+
+export { getCliConfig, NETLIFY_TOML_OPTION, printConfigIssues }
+export type { CliConfigOptions }
@@ -0,0 +1,132 @@
+import { basename } from 'path'
+
+import { getEntryFileTarget } from '../runtimes/node/utils/zip'
+import { ArchiveEntry, listArchiveEntries, readArchiveEntry } from '../utils/archive_entries'
+import { formatBytes } from '../utils/size_report'
+
+import { FORMAT_OPTION, formatTable, OutputFormat } from './table'
+
+interface InspectCommandOptions {
+  archive: string
+  format: OutputFormat
+}
+
+interface EntryFileInspection {
+  name: string
+  target: string
+  targetExists: boolean
+}
+
+interface ArchiveInspection {
+  archive: string
+  entries: (Omit<ArchiveEntry, 'mode'> & { mode: string })[]
+  entryFile?: EntryFileInspection
+  runtime: string
+}
+
+const INSPECT_OPTIONS = {
+  format: FORMAT_OPTION,
+}
+
+const ARCHIVE_EXTENSION_REGEX = /\.(tar\.gz|tar\.zst|zip)$/
+
+const PERMISSIONS_MASK = 0o7777
+const OCTAL = 8
+const MODE_LENGTH = 4
+
+const TOOLCHAIN_FILE = 'netlify-toolchain'
+
+// Archives of Node.js functions are the only ones without a toolchain file.
+const DEFAULT_RUNTIME = 'js'
+
+// Exit code used when the entry file points to a file missing from the archive.
+const BROKEN_ENTRY_FILE_EXIT_CODE = 1
+
+// eslint-disable-next-line no-bitwise
+const formatMode = (mode: number) => (mode & PERMISSIONS_MASK).toString(OCTAL).padStart(MODE_LENGTH, '0')
+
+// Reads the runtime from the toolchain file written by `zipBinary` and by the
+// Python runtime.
+const getRuntime = async (archive: string) => {
+  const toolchainFile = await readArchiveEntry(archive, TOOLCHAIN_FILE)
+
+  if (toolchainFile === undefined) {
+    return DEFAULT_RUNTIME
+  }
+
+  const { runtime } = JSON.parse(toolchainFile.toString('utf8'))
+
+  return runtime as string
+}
+
+// Node.js resolves `require()` calls without an extension, so an entry file
+// can also point to a file with an implied extension or to a directory.
+const getTargetCandidates = (target: string) => [target, `${target}.js`, `${target}/index.js`]
+
+// Looks for the entry file generated by `getEntryFile`, which is named after
+// the archive, and checks that the file it points to is in the archive.
+const getEntryFile = async (archive: string, entries: ArchiveEntry[]): Promise<EntryFileInspection | undefined> => {
+  const name = `${basename(archive).replace(ARCHIVE_EXTENSION_REGEX, '')}.js`
+  const contents = await readArchiveEntry(archive, name)
+  const target = contents === undefined ? undefined : getEntryFileTarget(contents.toString('utf8'))
+
+  if (target === undefined) {
+    return
+  }
+
+  const candidates = getTargetCandidates(target)
+  const targetExists = entries.some((entry) => entry.type !== 'directory' && candidates.includes(entry.name))
+
+  return { name, target, targetExists }
+}
+
+const inspectArchive = async (archive: string): Promise<ArchiveInspection> => {
+  const [entries, runtime] = await Promise.all([listArchiveEntries(archive), getRuntime(archive)])
+  const entryFile = runtime === DEFAULT_RUNTIME ? await getEntryFile(archive, entries) : undefined
+
+  return {
+    archive,
+    entries: entries.map(({ mode, ...entry }) => ({ ...entry, mode: formatMode(mode) })),
+    entryFile,
+    runtime,
+  }
+}
+
+const formatEntryFile = (entryFile?: EntryFileInspection) => {
+  if (entryFile === undefined) {
+    return 'none'
+  }
+
+  return `${entryFile.name} -> ${entryFile.target} (${entryFile.targetExists ? 'found' : 'missing'})`
+}
+
+const formatInspection = ({ archive, entries, entryFile, runtime }: ArchiveInspection) =>
+  [
+    `Archive:    ${archive}`,
+    `Runtime:    ${runtime}`,
+    `Entry file: ${formatEntryFile(entryFile)}`,
+    '',
+    formatTable(
+      ['NAME', 'TYPE', 'MODE', 'SIZE', 'COMPRESSED SIZE'],
+      entries.map(({ compressedSize, mode, name, size, type }) => [
+        name,
+        type,
+        mode,
+        formatBytes(size),
+        compressedSize === undefined ? '' : formatBytes(compressedSize),
+      ]),
+    ),
+  ].join('\n')
+
+// Lists the entries of an archive and checks its entry file, exiting with an
+// error code if the entry file points to a file that is not in the archive.
+const inspectCommand = async ({ archive, format }: InspectCommandOptions) => {
+  const inspection = await inspectArchive(archive)
+  const output = format === 'json' ? JSON.stringify(inspection, null, 2) : formatInspection(inspection)
+  const exitCode = inspection.entryFile?.targetExists === false ? BROKEN_ENTRY_FILE_EXIT_CODE : 0
+
+  return { exitCode, output }
+}
+
+export { INSPECT_OPTIONS, inspectCommand }
+export type { InspectCommandOptions }
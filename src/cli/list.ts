@@ -0,0 +1,120 @@
+import { relative } from 'path'
+import { cwd } from 'process'
+
+import { FeatureFlags } from '../feature_flags'
+import { listFunctions, listFunctionsFiles } from '../main'
+
+import { CliConfigOptions, getCliConfig, NETLIFY_TOML_OPTION } from './config'
+import { FORMAT_OPTION, formatTable, OutputFormat } from './table'
+
+type ListCommandOptions = CliConfigOptions & {
+  featureFlags: FeatureFlags
+  format: OutputFormat
+  nestedDiscovery: boolean
+  nestedNameSeparator?: string
+  parseIsc: boolean
+  srcFolders: string[]
+}
+
+// Options shared with the command that zips functions.
+const NESTED_DISCOVERY_OPTIONS = {
+  'nested-discovery': {
+    boolean: true,
+    default: false,
+    describe:
+      'Whether to look for functions in the sub-directories of the source directories, naming them after their path',
+  },
+  'nested-name-separator': {
+    string: true,
+    describe: 'Separator between the directory names in the names of nested functions. Defaults to "-"',
+  },
+}
+
+const LIST_OPTIONS = {
+  config: {
+    default: {},
+    describe:
+      'An object matching glob-like expressions to objects containing configuration properties. Whenever a function name matches one of the expressions, it inherits the configuration properties',
+  },
+  'feature-flags': {
+    default: {},
+    describe: 'An object with the feature flags to enable or disable (e.g. --feature-flags.buildGoSource)',
+  },
+  format: FORMAT_OPTION,
+  ...NESTED_DISCOVERY_OPTIONS,
+  'netlify-toml': NETLIFY_TOML_OPTION,
+  'parse-isc': {
+    boolean: true,
+    default: false,
+    describe: 'Whether to parse the in-source configuration of functions, such as their schedule',
+  },
+}
+
+// Paths are shown relative to the current directory in tables, to keep them
+// short.
+const formatPath = (path: string) => relative(cwd(), path)
+
+const listCommand = async ({
+  featureFlags,
+  format,
+  nestedDiscovery,
+  nestedNameSeparator,
+  parseIsc,
+  srcFolders,
+  ...options
+}: ListCommandOptions) => {
+  const config = await getCliConfig(options)
+  const functions = await listFunctions(srcFolders, {
+    config,
+    featureFlags,
+    nestedDiscovery,
+    nestedNameSeparator,
+    parseISC: parseIsc,
+  })
+
+  if (format === 'json') {
+    return JSON.stringify(functions, null, 2)
+  }
+
+  return formatTable(
+    ['NAME', 'RUNTIME', 'TYPE', 'MAIN FILE', 'SCHEDULE'],
+    functions.map(({ mainFile, name, runtime, schedule = '', type = '' }) => [
+      name,
+      runtime,
+      type,
+      formatPath(mainFile),
+      schedule,
+    ]),
+  )
+}
+
+const listFilesCommand = async ({
+  featureFlags,
+  format,
+  nestedDiscovery,
+  nestedNameSeparator,
+  parseIsc,
+  srcFolders,
+  ...options
+}: ListCommandOptions) => {
+  const config = await getCliConfig(options)
+  const files = await listFunctionsFiles(srcFolders, {
+    config,
+    featureFlags,
+    nestedDiscovery,
+    nestedNameSeparator,
+    parseISC: parseIsc,
+  })
+
+  if (format === 'json') {
+    return JSON.stringify(files, null, 2)
+  }
+
+  return formatTable(
+    ['NAME', 'RUNTIME', 'FILE'],
+    files.map(({ name, runtime, srcFile }) => [name, runtime, formatPath(srcFile)]),
+  )
+}
+
+export { LIST_OPTIONS, listCommand, listFilesCommand, NESTED_DISCOVERY_OPTIONS }
+export type { ListCommandOptions }
@@ -0,0 +1,14 @@
+import { formatNameCollision } from '../runtimes/name_collisions'
+import { FailedFunctionResult, FunctionResult, isFailedResult } from '../utils/format_result'
+
+// Prints a warning for each name shared by several functions. Only the
+// function that was zipped has a `nameCollision` property describing them.
+const printNameCollisions = (results: (FunctionResult | FailedFunctionResult)[]) => {
+  results.forEach((result) => {
+    if (!isFailedResult(result) && result.nameCollision !== undefined) {
+      console.warn(`Warning: ${formatNameCollision(result.name, result.nameCollision)}`)
+    }
+  })
+}
+
+export { printNameCollisions }
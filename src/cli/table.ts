@@ -0,0 +1,31 @@
+type OutputFormat = 'json' | 'table'
+
+const OUTPUT_FORMATS: OutputFormat[] = ['json', 'table']
+
+const defaultOutputFormat: OutputFormat = 'json'
+
+// Option shared by the commands that can print their output as a table.
+const FORMAT_OPTION = {
+  string: true,
+  choices: OUTPUT_FORMATS,
+  default: defaultOutputFormat,
+  describe: 'Whether to print the output as JSON or as a human-readable table',
+}
+
+// Formats a list of rows as a plain text table with a header, padding every
+// column to the width of its longest value.
+const formatTable = (headers: string[], rows: string[][]) => {
+  const widths = headers.map((header, index) => Math.max(header.length, ...rows.map((row) => row[index].length)))
+
+  return [headers, ...rows]
+    .map((row) =>
+      row
+        .map((cell, index) => cell.padEnd(widths[index]))
+        .join('  ')
+        .trimEnd(),
+    )
+    .join('\n')
+}
+
+export { FORMAT_OPTION, formatTable }
+export type { OutputFormat }
@@ -1,22 +1,29 @@
 import mergeOptions from 'merge-options'
 import minimatch from 'minimatch'
 
-import { FunctionSource } from './function'
+import { FunctionSource, SourceFile } from './function'
 import type { NodeBundlerName } from './runtimes/node'
 
-// eslint-disable-next-line no-magic-numbers
-type SupportedVersionNumbers = 8 | 10 | 12 | 14
-type NodeVersion = `${SupportedVersionNumbers}.x` | `nodejs${SupportedVersionNumbers}.x`
+type NodeVersion = `${number}.x` | `nodejs${number}.x`
+
+// Matches a Node.js version like `nodejs18.x` or `18.x`, capturing the major
+// version.
+const NODE_VERSION_REGEX = /^(?:nodejs)?(\d+)\.x$/
 
 interface FunctionConfig {
   externalNodeModules?: string[]
   includedFiles?: string[]
   includedFilesBasePath?: string
   ignoredNodeModules?: string[]
+  maxArchiveSize?: number
+  maxUncompressedSize?: number
   nodeBundler?: NodeBundlerName
   nodeSourcemap?: boolean
+  nodeTsconfig?: string
   nodeVersion?: NodeVersion
   processDynamicNodeImports?: boolean
+  pythonVendorDirectory?: string
+  pythonWheelsDirectory?: string
   rustTargetDirectory?: string
   schedule?: string
 }
@@ -25,20 +32,21 @@ type GlobPattern = string
 
 type Config = Record<GlobPattern, FunctionConfig>
 
+// Whether a glob pattern of the configuration object matches a function, by
+// its name or, for nested functions, by its path.
+const matchesFunction = (glob: string, { name, nestedPath }: Pick<SourceFile, 'name' | 'nestedPath'>) =>
+  minimatch(name, glob) || (nestedPath !== undefined && minimatch(nestedPath, glob))
+
 const getConfigForFunction = ({
-  config,
+  config = {},
   func,
 }: {
   config?: Config
   func: Omit<FunctionSource, 'config'>
 }): FunctionConfig => {
-  if (!config) {
-    return {}
-  }
-
   // It's safe to mutate the array because it's local to this function.
   const matches = Object.keys(config)
-    .filter((expression) => minimatch(func.name, expression))
+    .filter((expression) => matchesFunction(expression, func))
     .map((expression) => {
       const wildcardCount = [...expression].filter((char) => char === '*').length
 
@@ -56,8 +64,12 @@ const getConfigForFunction = ({
     .sort(({ weight: weightA }, { weight: weightB }) => weightA - weightB)
     .map(({ expression }) => config[expression])
 
-  return mergeOptions.apply({ concatArrays: true, ignoreUndefined: true }, matches)
+  // The configuration file of the function, if any, takes precedence over the
+  // glob matches.
+  const localConfig = func.localConfig === undefined ? [] : [func.localConfig.config]
+
+  return mergeOptions.apply({ concatArrays: true, ignoreUndefined: true }, [...matches, ...localConfig])
 }
 
-export { getConfigForFunction }
-export type { Config, FunctionConfig }
+export { getConfigForFunction, matchesFunction, NODE_VERSION_REGEX }
+export type { Config, FunctionConfig, NodeVersion }
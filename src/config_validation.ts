@@ -0,0 +1,192 @@
+import { Config, FunctionConfig, matchesFunction, NODE_VERSION_REGEX } from './config'
+import type { SourceFile } from './function'
+import type { NodeBundlerName } from './runtimes/node'
+import { getClosestMatch } from './utils/closest_match'
+
+type ConfigValidationAction = 'error' | 'off' | 'warn'
+
+const CONFIG_VALIDATION_ACTIONS: ConfigValidationAction[] = ['error', 'off', 'warn']
+
+// A property is either of a given type, one of a list of allowed values or a
+// string matching a pattern.
+type PropertySchema =
+  | 'boolean'
+  | 'number'
+  | 'string'
+  | 'string[]'
+  | readonly string[]
+  | { description: string; pattern: RegExp }
+
+const NODE_BUNDLERS: NodeBundlerName[] = ['esbuild', 'esbuild_zisi', 'nft', 'zisi']
+
+const NODE_VERSION = { description: 'a Node.js version like "18.x" or "nodejs18.x"', pattern: NODE_VERSION_REGEX }
+
+const SCHEMA: Record<keyof FunctionConfig, PropertySchema> = {
+  externalNodeModules: 'string[]',
+  ignoredNodeModules: 'string[]',
+  includedFiles: 'string[]',
+  includedFilesBasePath: 'string',
+  maxArchiveSize: 'number',
+  maxUncompressedSize: 'number',
+  nodeBundler: NODE_BUNDLERS,
+  nodeSourcemap: 'boolean',
+  nodeTsconfig: 'string',
+  nodeVersion: NODE_VERSION,
+  processDynamicNodeImports: 'boolean',
+  pythonVendorDirectory: 'string',
+  pythonWheelsDirectory: 'string',
+  rustTargetDirectory: 'string',
+  schedule: 'string',
+}
+
+const PROPERTIES = Object.keys(SCHEMA)
+
+// Placeholder for a value that can't be known without running the code of the
+// function, like a variable in its in-source configuration.
+const NON_STATIC_VALUE = Symbol('nonStaticValue')
+
+const matchesPattern = (value: unknown, pattern: RegExp) => typeof value === 'string' && pattern.test(value)
+
+const matchesSchema = (value: unknown, schema: PropertySchema) => {
+  if (schema === 'string[]') {
+    return Array.isArray(value) && value.every((item) => typeof item === 'string')
+  }
+
+  if (typeof schema === 'string') {
+    return typeof value === schema
+  }
+
+  return 'pattern' in schema ? matchesPattern(value, schema.pattern) : schema.includes(value as string)
+}
+
+// Whether a value is valid for a property of `FunctionConfig`.
+const isValidProperty = (property: string, value: unknown) => {
+  const schema = SCHEMA[property as keyof FunctionConfig]
+
+  return schema !== undefined && matchesSchema(value, schema)
+}
+
+const getExpectedValue = (schema: PropertySchema) => {
+  if (schema === 'string[]') {
+    return 'an array of strings'
+  }
+
+  if (typeof schema === 'string') {
+    return `a ${schema}`
+  }
+
+  return 'pattern' in schema ? schema.description : `one of ${schema.map((value) => `"${value}"`).join(', ')}`
+}
+
+const getValueIssue = (glob: string, property: string, value: unknown, schema: PropertySchema) => {
+  if (value === NON_STATIC_VALUE) {
+    return `Invalid value for "${property}" in the configuration for "${glob}": expected a static value.`
+  }
+
+  if (value === undefined || matchesSchema(value, schema)) {
+    return
+  }
+
+  return `Invalid value for "${property}" in the configuration for "${glob}": expected ${getExpectedValue(
+    schema,
+  )}, got ${JSON.stringify(value)}.`
+}
+
+const getPropertyIssue = (glob: string, property: string, value: unknown) => {
+  const schema = SCHEMA[property as keyof FunctionConfig]
+
+  if (schema !== undefined) {
+    return getValueIssue(glob, property, value, schema)
+  }
+
+  const closestProperty = getClosestMatch(property, PROPERTIES)
+  const suggestion = closestProperty === undefined ? '' : ` Did you mean "${closestProperty}"?`
+
+  return `Unknown property "${property}" in the configuration for "${glob}".${suggestion}`
+}
+
+// Returns a message for every property of the configuration object that is
+// unknown or has a value of the wrong type.
+const getConfigIssues = (config: Config) =>
+  Object.entries(config).flatMap(([glob, functionConfig]) => {
+    if (typeof functionConfig !== 'object' || functionConfig === null || Array.isArray(functionConfig)) {
+      return [`Invalid configuration for "${glob}": expected an object.`]
+    }
+
+    return Object.entries(functionConfig)
+      .map(([property, value]) => getPropertyIssue(glob, property, value))
+      .filter((issue): issue is string => issue !== undefined)
+  })
+
+// Returns a message for every glob pattern that doesn't match any function.
+const getUnmatchedGlobIssues = (config: Config, functions: Pick<SourceFile, 'name' | 'nestedPath'>[]) =>
+  Object.keys(config)
+    .filter((glob) => !functions.some((func) => matchesFunction(glob, func)))
+    .map((glob) => `The configuration for "${glob}" does not match any function.`)
+
+// Indexes the configuration files of the functions by their path, so that they
+// can be validated like the glob patterns of the configuration object.
+const getLocalConfigs = (functions: Pick<SourceFile, 'localConfig'>[] = []): Config =>
+  Object.fromEntries(
+    functions.flatMap(({ localConfig }) => (localConfig === undefined ? [] : [[localConfig.path, localConfig.config]])),
+  )
+
+// Checks the configuration object and the configuration files of the functions
+// against the schema of `FunctionConfig`, as well as the glob patterns against
+// the names of the functions, if given. Schema violations throw an error or
+// are returned, depending on `action`. Unmatched glob patterns are not
+// necessarily a mistake, so they're always returned.
+const validateConfig = (
+  config: Config,
+  {
+    action = 'warn',
+    functions,
+  }: { action?: ConfigValidationAction; functions?: Pick<SourceFile, 'localConfig' | 'name' | 'nestedPath'>[] },
+): string[] => {
+  if (action === 'off') {
+    return []
+  }
+
+  const issues = getConfigIssues({ ...config, ...getLocalConfigs(functions) })
+
+  if (action === 'error' && issues.length !== 0) {
+    throw new Error(`Invalid functions configuration:\n${issues.map((issue) => `- ${issue}`).join('\n')}`)
+  }
+
+  return functions === undefined ? issues : [...issues, ...getUnmatchedGlobIssues(config, functions)]
+}
+
+// Combines lists of configuration issues, returning `undefined` if there are
+// none, so that they can be added to the result of a function.
+const combineConfigIssues = (...issues: (string[] | undefined)[]) => {
+  const combinedIssues = issues.flatMap((list) => list ?? [])
+
+  return combinedIssues.length === 0 ? undefined : combinedIssues
+}
+
+// Returns the issues of the configuration that applies to a function, which
+// comes from the glob patterns that match it and from its configuration file,
+// or `undefined` if there are none.
+const getFunctionConfigIssues = (
+  config: Config,
+  func: Pick<SourceFile, 'localConfig' | 'name' | 'nestedPath'>,
+  action: ConfigValidationAction = 'warn',
+) => {
+  if (action === 'off') {
+    return
+  }
+
+  const matchingConfig = Object.fromEntries(Object.entries(config).filter(([glob]) => matchesFunction(glob, func)))
+
+  return combineConfigIssues(getConfigIssues({ ...matchingConfig, ...getLocalConfigs([func]) }))
+}
+
+export {
+  combineConfigIssues,
+  CONFIG_VALIDATION_ACTIONS,
+  getFunctionConfigIssues,
+  isValidProperty,
+  NON_STATIC_VALUE,
+  validateConfig,
+}
+export type { ConfigValidationAction }
@@ -1,22 +1,37 @@
 import { Stats } from 'fs'
 
 import type { FunctionConfig } from './config'
+import type { LocalConfig } from './runtimes/local_config'
+import type { NameCollision } from './runtimes/name_collisions'
 import type { Runtime, ZipFunctionResult } from './runtimes/runtime'
+import type { SizeWarning } from './utils/size_report'
 
 // A function that has been processed and turned into an archive.
 type FunctionArchive = ZipFunctionResult & {
+  cacheHit?: boolean
   mainFile: string
   name: string
+  nameCollision?: NameCollision
+  reportPath?: string
   runtime: Runtime
   size?: number
+  sizeWarning?: SizeWarning
+  uncompressedSize?: number
 }
 
 // A function file found on the filesystem.
 interface SourceFile {
   extension: string
   filename: string
+  localConfig?: LocalConfig
   mainFile: string
   name: string
+
+  // Path of a function found in a sub-directory of a source folder with
+  // nested discovery, relative to the source folder and without the
+  // extension (e.g. `api/users`).
+  nestedPath?: string
+
   srcDir: string
   srcPath: string
   stat: Stats
@@ -25,6 +40,7 @@ interface SourceFile {
 // A function associated with a runtime.
 type FunctionSource = SourceFile & {
   config: FunctionConfig
+  nameCollision?: NameCollision
   runtime: Runtime
 }
 
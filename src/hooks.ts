@@ -0,0 +1,26 @@
+import type { RuntimeName, ZipFunctionTimings } from './runtimes/runtime'
+import type { FunctionResult } from './utils/format_result'
+
+// Time spent, in milliseconds, in each of the phases of zipping a function.
+// Since functions are discovered all at once, `discovery` is the time it took
+// to find all of them.
+type FunctionTimings = ZipFunctionTimings & {
+  discovery?: number
+}
+
+interface FunctionHooks {
+  // Called once a function has been zipped.
+  onFunctionArchived?: (event: { name: string; result: FunctionResult; timings: FunctionTimings }) => void
+
+  // Called once a function has been bundled, before it's archived. It's not
+  // called when the archive is retrieved from the cache.
+  onFunctionBundled?: (event: { name: string; runtime: RuntimeName; timings: FunctionTimings }) => void
+
+  // Called when zipping a function fails, before the error is thrown.
+  onFunctionError?: (event: { error: Error; name: string; timings: FunctionTimings }) => void
+
+  // Called before a function starts being zipped.
+  onFunctionStart?: (event: { mainFile: string; name: string; runtime: RuntimeName; timings: FunctionTimings }) => void
+}
+
+export type { FunctionHooks, FunctionTimings }
@@ -1,12 +1,16 @@
+/* eslint-disable max-lines */
 import { extname } from 'path'
 
 import { Config } from './config'
 import { FeatureFlags, getFlags } from './feature_flags'
 import { FunctionSource } from './function'
 import { getFunctionFromPath, getFunctionsFromPaths } from './runtimes'
-import { findISCDeclarationsInPath, ISCValues } from './runtimes/node/in_source_config'
+import type { NameCollision, NameCollisionAction } from './runtimes/name_collisions'
+import { ISCValues, mergeInSourceConfig } from './runtimes/node/in_source_config'
 import { GetSrcFilesFunction, RuntimeName } from './runtimes/runtime'
 import { listFunctionsDirectories, resolveFunctionsDirectories } from './utils/fs'
+import { FunctionType, getFunctionType } from './utils/function_type'
+import { getNextRuns, getSchedule, validateSchedule } from './utils/schedule'
 
 interface ListedFunction {
   name: string
@@ -14,6 +18,17 @@ interface ListedFunction {
   runtime: RuntimeName
   extension: string
   schedule?: string
+
+  // Only set if the in-source configuration has been parsed, since it's needed
+  // to tell On-Demand Builders apart.
+  type?: FunctionType
+
+  // Set when other functions have the same name as this one.
+  nameCollision?: NameCollision
+
+  // Next times the function runs, as ISO 8601 strings in UTC, if the
+  // `nextRuns` option is set and the function has a schedule.
+  nextRuns?: string[]
 }
 
 type ListedFunctionFile = ListedFunction & {
@@ -24,6 +39,10 @@ interface ListFunctionsOptions {
   basePath?: string
   config?: Config
   featureFlags?: FeatureFlags
+  nameCollisionAction?: NameCollisionAction
+  nestedDiscovery?: boolean
+  nestedNameSeparator?: string
+  nextRuns?: number
   parseISC?: boolean
 }
 
@@ -32,13 +51,17 @@ interface AugmentedFunctionSource extends FunctionSource {
 }
 
 const augmentWithISC = async (func: FunctionSource): Promise<AugmentedFunctionSource> => {
-  // ISC is currently only supported in JavaScript and TypeScript functions.
-  if (func.runtime.name !== 'js') {
+  const { getInSourceConfig } = func.runtime
+
+  // ISC is only supported by the runtimes that implement `getInSourceConfig`.
+  if (getInSourceConfig === undefined) {
     return func
   }
 
-  const inSourceConfig = await findISCDeclarationsInPath(func.mainFile)
-  return { ...func, inSourceConfig }
+  const inSourceConfig = await getInSourceConfig(func)
+  const config = mergeInSourceConfig(func.config, inSourceConfig, func.mainFile)
+
+  return { ...func, config, inSourceConfig }
 }
 
 // List all Netlify Functions main entry files for a specific directory
@@ -47,16 +70,18 @@ const listFunctions = async function (
   {
     featureFlags: inputFeatureFlags,
     config,
+    nextRuns,
     parseISC = false,
-  }: { featureFlags?: FeatureFlags; config?: Config; parseISC?: boolean } = {},
+    ...discoveryOptions
+  }: Omit<ListFunctionsOptions, 'basePath'> = {},
 ) {
   const featureFlags = getFlags(inputFeatureFlags)
   const srcFolders = resolveFunctionsDirectories(relativeSrcFolders)
   const paths = await listFunctionsDirectories(srcFolders)
-  const functionsMap = await getFunctionsFromPaths(paths, { featureFlags, config })
+  const functionsMap = await getFunctionsFromPaths(paths, { featureFlags, config, ...discoveryOptions })
   const functions = [...functionsMap.values()]
   const augmentedFunctions = parseISC ? await Promise.all(functions.map(augmentWithISC)) : functions
-  return augmentedFunctions.map(getListedFunction)
+  return augmentedFunctions.map((func) => getListedFunction(func, { nextRuns, parseISC }))
 }
 
 // Finds a function at a specific path.
@@ -65,8 +90,9 @@ const listFunction = async function (
   {
     featureFlags: inputFeatureFlags,
     config,
+    nextRuns,
     parseISC = false,
-  }: { featureFlags?: FeatureFlags; config?: Config; parseISC?: boolean } = {},
+  }: { featureFlags?: FeatureFlags; config?: Config; nextRuns?: number; parseISC?: boolean } = {},
 ) {
   const featureFlags = getFlags(inputFeatureFlags)
   const func = await getFunctionFromPath(path, { featureFlags, config })
@@ -76,44 +102,74 @@ const listFunction = async function (
 
   const augmentedFunction = parseISC ? await augmentWithISC(func) : func
 
-  return getListedFunction(augmentedFunction)
+  return getListedFunction(augmentedFunction, { nextRuns, parseISC })
 }
 
 // List all Netlify Functions files for a specific directory
 const listFunctionsFiles = async function (
   relativeSrcFolders: string | string[],
-  { basePath, config, featureFlags: inputFeatureFlags, parseISC = false }: ListFunctionsOptions = {},
+  {
+    basePath,
+    config,
+    featureFlags: inputFeatureFlags,
+    nextRuns,
+    parseISC = false,
+    ...discoveryOptions
+  }: ListFunctionsOptions = {},
 ) {
   const featureFlags = getFlags(inputFeatureFlags)
   const srcFolders = resolveFunctionsDirectories(relativeSrcFolders)
   const paths = await listFunctionsDirectories(srcFolders)
-  const functionsMap = await getFunctionsFromPaths(paths, { config, featureFlags })
+  const functionsMap = await getFunctionsFromPaths(paths, { config, featureFlags, ...discoveryOptions })
   const functions = [...functionsMap.values()]
   const augmentedFunctions = parseISC ? await Promise.all(functions.map(augmentWithISC)) : functions
   const listedFunctionsFiles = await Promise.all(
-    augmentedFunctions.map((func) => getListedFunctionFiles(func, { basePath, featureFlags })),
+    augmentedFunctions.map((func) => getListedFunctionFiles(func, { basePath, featureFlags, nextRuns, parseISC })),
   )
 
   return listedFunctionsFiles.flat()
 }
 
-const getListedFunction = function ({
-  runtime,
-  name,
-  mainFile,
-  extension,
-  config,
-  inSourceConfig,
-}: AugmentedFunctionSource): ListedFunction {
-  return { name, mainFile, runtime: runtime.name, extension, schedule: inSourceConfig?.schedule ?? config.schedule }
+const getListedFunction = function (
+  { runtime, name, mainFile, extension, config, inSourceConfig, nameCollision }: AugmentedFunctionSource,
+  { nextRuns, parseISC }: { nextRuns?: number; parseISC: boolean },
+): ListedFunction {
+  const schedule = getSchedule({ config, inSourceConfig })
+
+  validateSchedule({ name, runtime: runtime.name, schedule })
+
+  const type = parseISC ? getFunctionType({ inSourceConfig, name, schedule }) : undefined
+  const listedFunction = {
+    name,
+    mainFile,
+    runtime: runtime.name,
+    extension,
+    schedule,
+    type,
+    ...(nameCollision && { nameCollision }),
+  }
+
+  if (nextRuns === undefined || schedule === undefined) {
+    return listedFunction
+  }
+
+  return { ...listedFunction, nextRuns: getNextRuns(schedule, nextRuns).map((run) => run.toISOString()) }
 }
 
 const getListedFunctionFiles = async function (
   func: AugmentedFunctionSource,
-  options: { basePath?: string; featureFlags: FeatureFlags },
+  {
+    nextRuns,
+    parseISC,
+    ...options
+  }: { basePath?: string; featureFlags: FeatureFlags; nextRuns?: number; parseISC: boolean },
 ): Promise<ListedFunctionFile[]> {
   const srcFiles = await getSrcFiles({ ...func, ...options })
-  return srcFiles.map((srcFile) => ({ ...getListedFunction(func), srcFile, extension: extname(srcFile) }))
+  return srcFiles.map((srcFile) => ({
+    ...getListedFunction(func, { nextRuns, parseISC }),
+    srcFile,
+    extension: extname(srcFile),
+  }))
 }
 
 const getSrcFiles: GetSrcFilesFunction = async function ({ extension, runtime, srcPath, ...args }) {
@@ -134,3 +190,20 @@ const getSrcFiles: GetSrcFilesFunction = async function ({ extension, runtime, s
 export { listFunctions, listFunction, listFunctionsFiles }
 
 export { zipFunction, zipFunctions } from './zip'
+export { watchFunctions } from './watch'
+export { loadNetlifyToml } from './netlify_toml'
+export { registerRuntime, unregisterRuntime } from './runtimes/registry'
+export type {
+  FindFunctionInPathFunction,
+  FindFunctionsInPathsFunction,
+  GetInSourceConfigFunction,
+  GetSrcFilesFunction,
+  Runtime,
+  RuntimeName,
+  ZipFunction,
+  ZipFunctionResult,
+} from './runtimes/runtime'
+export type { FunctionHooks, FunctionTimings } from './hooks'
+export type { NetlifyTomlConfig } from './netlify_toml'
+export type { NameCollision, NameCollisionAction } from './runtimes/name_collisions'
+/* eslint-enable max-lines */
@@ -1,8 +1,16 @@
+/* eslint-disable max-lines */
 import { resolve } from 'path'
 import { arch, platform } from 'process'
 
-import { FunctionResult } from './utils/format_result'
-import { writeFile } from './utils/fs'
+import type { FunctionConfig } from './config'
+import type { FeatureFlags } from './feature_flags'
+import { FailedFunctionResult, FunctionResult } from './utils/format_result'
+import { stat, writeFile } from './utils/fs'
+import type { FunctionType } from './utils/function_type'
+import { getFileHash, getInputsHash } from './utils/hash'
+import { getLibraryVersion } from './utils/library_version'
+
+type ManifestVersion = 1 | 2
 
 interface ManifestFunction {
   mainFile: string
@@ -10,9 +18,23 @@ interface ManifestFunction {
   path: string
   runtime: string
   schedule?: string
+  type: FunctionType
+}
+
+type ManifestFunctionV2 = ManifestFunction & {
+  bundler?: string
+  bundlerWarnings?: object[]
+  config: FunctionConfig
+  inputsHash?: string
+  nativeNodeModules?: object
+  nodeModulesWithDynamicImports?: string[]
+  sha256?: string
+  size?: number
 }
 
 interface Manifest {
+  configIssues?: string[]
+  failedFunctions?: FailedFunctionResult[]
   functions: ManifestFunction[]
   system: {
     arch: string
@@ -22,27 +44,139 @@ interface Manifest {
   version: number
 }
 
-const MANIFEST_VERSION = 1
+type ManifestV2 = Omit<Manifest, 'functions'> & {
+  configIssues: string[]
+  failedFunctions: FailedFunctionResult[]
+  featureFlags: FeatureFlags
+  functions: ManifestFunctionV2[]
+  libraryVersion?: string
+}
+
+const DEFAULT_MANIFEST_VERSION = 1
+
+const MANIFEST_VERSIONS: ManifestVersion[] = [1, 2]
+
+const createManifest = async ({
+  configIssues = [],
+  failedFunctions = [],
+  featureFlags,
+  functions,
+  path,
+  version = DEFAULT_MANIFEST_VERSION,
+}: {
+  configIssues?: string[]
+  failedFunctions?: FailedFunctionResult[]
+  featureFlags: FeatureFlags
+  functions: FunctionResult[]
+  path: string
+  version?: ManifestVersion
+}) => {
+  if (!MANIFEST_VERSIONS.includes(version)) {
+    throw new Error(`Invalid manifest version: ${version}`)
+  }
+
+  const payload =
+    version === 1
+      ? getManifestV1({ configIssues, failedFunctions, functions })
+      : await getManifestV2({ configIssues, failedFunctions, featureFlags, functions })
+
+  await writeFile(path, JSON.stringify(payload))
+}
+
+// Version 1 consumers don't expect the `configIssues` and `failedFunctions`
+// properties, so they're only set when there's something to report.
+const getManifestV1 = ({
+  configIssues,
+  failedFunctions,
+  functions,
+}: {
+  configIssues: string[]
+  failedFunctions: FailedFunctionResult[]
+  functions: FunctionResult[]
+}): Manifest => ({
+  ...(configIssues.length === 0 ? {} : { configIssues }),
+  ...(failedFunctions.length === 0 ? {} : { failedFunctions }),
+  functions: functions.map(formatFunctionForManifest),
+  system: { arch, platform },
+  timestamp: Date.now(),
+  version: 1,
+})
 
-const createManifest = async ({ functions, path }: { functions: FunctionResult[]; path: string }) => {
-  const formattedFunctions = functions.map(formatFunctionForManifest)
-  const payload: Manifest = {
+// Functions that failed to be zipped, when the `continueOnError` option is set,
+// are listed in `failedFunctions`.
+const getManifestV2 = async ({
+  configIssues,
+  failedFunctions,
+  featureFlags,
+  functions,
+}: {
+  configIssues: string[]
+  failedFunctions: FailedFunctionResult[]
+  featureFlags: FeatureFlags
+  functions: FunctionResult[]
+}): Promise<ManifestV2> => {
+  const [libraryVersion, formattedFunctions] = await Promise.all([
+    getLibraryVersion(),
+    Promise.all(functions.map(formatFunctionForManifestV2)),
+  ])
+
+  return {
+    configIssues,
+    failedFunctions,
+    featureFlags,
     functions: formattedFunctions,
+    libraryVersion,
     system: { arch, platform },
     timestamp: Date.now(),
-    version: MANIFEST_VERSION,
+    version: 2,
   }
-
-  await writeFile(path, JSON.stringify(payload))
 }
 
-const formatFunctionForManifest = ({ mainFile, name, path, runtime, schedule }: FunctionResult): ManifestFunction => ({
+const formatFunctionForManifest = ({
+  mainFile,
+  name,
+  path,
+  runtime,
+  schedule,
+  type,
+}: FunctionResult): ManifestFunction => ({
   mainFile,
   name,
   path: resolve(path),
   runtime,
   schedule,
+  type,
 })
 
-export { createManifest }
-export type { Manifest }
+// Returns the checksum of the archive of a function. Directories, created when
+// the archive format is `none`, don't have one.
+const getArchiveHash = async (path: string) => {
+  const pathStat = await stat(path)
+
+  return pathStat.isFile() ? getFileHash(path) : undefined
+}
+
+const formatFunctionForManifestV2 = async (func: FunctionResult): Promise<ManifestFunctionV2> => {
+  const { bundler, bundlerWarnings, config, inputs, nativeNodeModules, nodeModulesWithDynamicImports, path, size } =
+    func
+  const [sha256, inputsHash] = await Promise.all([
+    getArchiveHash(path),
+    inputs === undefined ? undefined : getInputsHash(inputs),
+  ])
+
+  return {
+    ...formatFunctionForManifest(func),
+    bundler,
+    bundlerWarnings,
+    config,
+    inputsHash,
+    nativeNodeModules,
+    nodeModulesWithDynamicImports,
+    sha256,
+    size,
+  }
+}
+
+export { createManifest, MANIFEST_VERSIONS }
+export type { Manifest, ManifestV2, ManifestVersion }
+/* eslint-enable max-lines */
@@ -0,0 +1,83 @@
+import { dirname, resolve } from 'path'
+
+import toml from 'toml'
+
+import { Config, FunctionConfig } from './config'
+import { readFile } from './utils/fs'
+
+interface NetlifyTomlConfig {
+  // Configuration properties indexed by glob pattern, in the format accepted by
+  // the `config` option.
+  config: Config
+
+  // Absolute path of the functions directory, if set.
+  directory?: string
+}
+
+type TomlTable = Record<string, unknown>
+
+// The glob pattern that properties set directly on `[functions]` apply to.
+const ALL_FUNCTIONS = '*'
+
+const isTable = (value: unknown): value is TomlTable =>
+  typeof value === 'object' && value !== null && !Array.isArray(value)
+
+// Converts a property from `snake_case`, as used in `netlify.toml`, to the
+// `camelCase` used in `FunctionConfig` (e.g. `node_bundler` to `nodeBundler`).
+const toCamelCase = (key: string) => key.replace(/_([a-z])/g, (_, char: string) => char.toUpperCase())
+
+// Paths in `included_files` are relative to the directory of `netlify.toml`.
+const getFunctionConfig = (table: TomlTable, basePath: string): FunctionConfig => {
+  const functionConfig = Object.fromEntries(Object.entries(table).map(([key, value]) => [toCamelCase(key), value]))
+
+  return table.included_files === undefined ? functionConfig : { ...functionConfig, includedFilesBasePath: basePath }
+}
+
+const parseToml = (contents: string, path: string): TomlTable => {
+  try {
+    return toml.parse(contents)
+  } catch (error) {
+    error.message = `Could not parse ${path} (line ${error.line}, column ${error.column}): ${error.message}`
+
+    throw error
+  }
+}
+
+// Converts the `[functions]` section of a `netlify.toml` file to the `config`
+// format. Properties set directly on `[functions]` apply to all functions, and
+// `[functions."<glob>"]` sections apply to the functions matching the glob.
+const parseNetlifyToml = (contents: string, path: string): NetlifyTomlConfig => {
+  const { functions = {} } = parseToml(contents, path)
+
+  if (!isTable(functions)) {
+    throw new Error(`Invalid ${path}: \`functions\` must be a table`)
+  }
+
+  const basePath = dirname(path)
+  const { directory, ...properties } = functions
+  const entries = Object.entries(properties)
+  const config: Config = Object.fromEntries(
+    entries.flatMap(([glob, value]) => (isTable(value) ? [[glob, getFunctionConfig(value, basePath)]] : [])),
+  )
+  const sharedProperties = entries.filter(([, value]) => !isTable(value))
+
+  if (sharedProperties.length !== 0) {
+    config[ALL_FUNCTIONS] = {
+      ...getFunctionConfig(Object.fromEntries(sharedProperties), basePath),
+      ...config[ALL_FUNCTIONS],
+    }
+  }
+
+  return typeof directory === 'string' ? { config, directory: resolve(basePath, directory) } : { config }
+}
+
+// Reads the function configuration from a `netlify.toml` file.
+const loadNetlifyToml = async (path: string): Promise<NetlifyTomlConfig> => {
+  const absolutePath = resolve(path)
+  const contents = await readFile(absolutePath, 'utf8')
+
+  return parseNetlifyToml(contents, absolutePath)
+}
+
+export { loadNetlifyToml, parseNetlifyToml }
+export type { NetlifyTomlConfig }
@@ -0,0 +1,93 @@
+import { basename, join } from 'path'
+
+import type { FunctionArchive } from './function'
+import type { FileReason } from './runtimes/node/utils/file_reasons'
+import { ArchiveEntry, listArchiveEntries } from './utils/archive_entries'
+import { isMeasurable } from './utils/archive_size'
+import { stat, writeFile } from './utils/fs'
+import { renderReport } from './utils/report_html'
+
+type ReportFormat = 'html' | 'json'
+
+const REPORT_FORMATS: ReportFormat[] = ['html', 'json']
+
+interface ReportFile {
+  compressedSize?: number
+  path: string
+  reason?: FileReason
+  size: number
+  srcPath?: string
+}
+
+interface Report {
+  bundler?: string
+  files: ReportFile[]
+  name: string
+  path: string
+  runtime: string
+  size?: number
+  uncompressedSize: number
+  version: number
+}
+
+const REPORT_VERSION = 1
+
+// Returns the entries of the function output. Things like Go binaries are not
+// archives, so they're treated as an archive with a single file.
+const getEntries = async (path: string): Promise<ArchiveEntry[]> => {
+  if (await isMeasurable(path)) {
+    return listArchiveEntries(path)
+  }
+
+  const { mode, size } = await stat(path)
+
+  return [{ mode, name: basename(path), size, type: 'file' }]
+}
+
+const getReport = async ({ archiveFiles = [], bundler, name, path, runtime, size }: FunctionArchive) => {
+  const entries = await getEntries(path)
+  const archiveFilesByPath = new Map(archiveFiles.map((file) => [file.path.replace(/^\//, ''), file]))
+  const files: ReportFile[] = entries
+    .filter(({ type }) => type !== 'directory')
+    .map(({ compressedSize, name: entryName, size: entrySize }) => {
+      const { reason, srcPath } = archiveFilesByPath.get(entryName) ?? {}
+
+      return { compressedSize, path: entryName, reason, size: entrySize, srcPath }
+    })
+    .sort((fileA, fileB) => fileB.size - fileA.size)
+  const report: Report = {
+    bundler,
+    files,
+    name,
+    path,
+    runtime: runtime.name,
+    size,
+    uncompressedSize: files.reduce((total, file) => total + file.size, 0),
+    version: REPORT_VERSION,
+  }
+
+  return report
+}
+
+// Writes a report listing every file in the archive of a function, along with
+// its size and the reason why it was included. A JSON file is always created,
+// and an HTML version is also created if `format` is `html`. The path of the
+// JSON file is added to the result as `reportPath`.
+const writeReport = async (
+  result: FunctionArchive,
+  { destFolder, format }: { destFolder: string; format: ReportFormat },
+) => {
+  const report = await getReport(result)
+  const reportPath = join(destFolder, `${result.name}.report.json`)
+
+  await writeFile(reportPath, JSON.stringify(report, null, 2))
+
+  if (format === 'html') {
+    await writeFile(join(destFolder, `${result.name}.report.html`), renderReport(report))
+  }
+
+  return { ...result, reportPath }
+}
+
+export { REPORT_FORMATS, writeReport }
+export type { Report, ReportFile, ReportFormat }
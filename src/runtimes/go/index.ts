@@ -6,8 +6,17 @@ import cpFile from 'cp-file'
 import { SourceFile } from '../../function'
 import { cachedLstat, cachedReaddir, FsCache } from '../../utils/fs'
 import { nonNullable } from '../../utils/non_nullable'
+import { measure } from '../../utils/timer'
 import { detectBinaryRuntime } from '../detect_runtime'
-import { FindFunctionInPathFunction, FindFunctionsInPathsFunction, Runtime, ZipFunction } from '../runtime'
+import { findLocalConfig } from '../local_config'
+import { findMagicCommentsInPath } from '../magic_comments'
+import {
+  FindFunctionInPathFunction,
+  FindFunctionsInPathsFunction,
+  GetInSourceConfigFunction,
+  Runtime,
+  ZipFunction,
+} from '../runtime'
 
 import { build } from './builder'
 
@@ -20,9 +29,7 @@ const detectGoFunction = async ({ fsCache, path }: { fsCache: FsCache; path: str
 
   const directoryName = basename(path)
 
-  // @ts-expect-error TODO: The `makeCachedFunction` abstraction is causing the
-  // return value of `readdir` to be incorrectly typed.
-  const files = (await cachedReaddir(fsCache, path)) as string[]
+  const files = await cachedReaddir(fsCache, path)
   const mainFileName = [`${directoryName}.go`, 'main.go'].find((name) => files.includes(name))
 
   if (mainFileName === undefined) {
@@ -61,10 +68,12 @@ const processBinary = async ({ fsCache, path }: { fsCache: FsCache; path: string
   const extension = extname(path)
   const filename = basename(path)
   const name = basename(path, extname(path))
+  const localConfig = await findLocalConfig({ fsCache, name, srcDir: dirname(path), stat })
 
   return {
     extension,
     filename,
+    localConfig,
     mainFile: path,
     name,
     srcDir: dirname(path),
@@ -90,10 +99,12 @@ const processSource = async ({
   const filename = basename(path)
   const extension = extname(mainFile)
   const name = basename(path, extname(path))
+  const localConfig = await findLocalConfig({ fsCache, name, srcDir: path, stat })
 
   return {
     extension,
     filename,
+    localConfig,
     mainFile: join(path, mainFile),
     name,
     srcDir: path,
@@ -102,18 +113,42 @@ const processSource = async ({
   }
 }
 
-const zipFunction: ZipFunction = async function ({ config, destFolder, filename, mainFile, srcDir, srcPath }) {
+// Functions built from source can declare their in-source configuration with
+// magic comments in the main file (e.g. `//netlify:schedule @hourly`).
+const getInSourceConfig: GetInSourceConfigFunction = async ({ mainFile }) =>
+  extname(mainFile) === '.go' ? await findMagicCommentsInPath(mainFile) : {}
+
+const zipFunction: ZipFunction = async function ({
+  config,
+  destFolder,
+  filename,
+  mainFile,
+  onBundled,
+  srcDir,
+  srcPath,
+}) {
   const destPath = join(destFolder, filename)
   const isSource = extname(mainFile) === '.go'
 
   // If we're building a Go function from source, we call the build method and
   // it'll take care of placing the binary in the right location. If not, we
   // need to copy the existing binary file to the destination directory.
-  await (isSource ? build({ destPath, mainFile, srcDir }) : cpFile(srcPath, destPath))
+  if (isSource) {
+    const [inSourceConfig, iscParsing] = await measure(() => findMagicCommentsInPath(mainFile))
+    const [, bundling] = await measure(() => build({ destPath, mainFile, srcDir }))
+
+    onBundled?.({ bundling, iscParsing })
+
+    return { config, inSourceConfig, path: destPath, timings: { bundling, iscParsing } }
+  }
+
+  onBundled?.({})
+
+  const [, archiving] = await measure(() => cpFile(srcPath, destPath))
 
-  return { config, path: destPath }
+  return { config, path: destPath, timings: { archiving } }
 }
 
-const runtime: Runtime = { findFunctionsInPaths, findFunctionInPath, name: 'go', zipFunction }
+const runtime: Runtime = { findFunctionsInPaths, findFunctionInPath, getInSourceConfig, name: 'go', zipFunction }
 
 export default runtime
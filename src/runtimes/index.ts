@@ -2,13 +2,12 @@ import { extname, basename } from 'path'
 
 import { Config, getConfigForFunction } from '../config'
 import { defaultFlags, FeatureFlags } from '../feature_flags'
-import { FunctionSource } from '../function'
-import { FsCache } from '../utils/fs'
+import { FunctionSource, SourceFile } from '../function'
+import { cachedLstat, FsCache, listFunctionsDirectory } from '../utils/fs'
 
-import goRuntime from './go'
-import jsRuntime from './node'
+import { checkNameCollisions, NameCollisionAction } from './name_collisions'
+import { getRuntimes } from './registry'
 import type { Runtime } from './runtime'
-import rustRuntime from './rust'
 
 // A `Map` of functions, indexed by their name.
 type FunctionMap = Map<string, FunctionSource>
@@ -20,6 +19,36 @@ type FunctionTuple = [string, FunctionSource]
 // The same as `FunctionTuple` but functions don't have a `config` object yet.
 type FunctionTupleWithoutConfig = [string, Omit<FunctionSource, 'config'>]
 
+const DEFAULT_NESTED_NAME_SEPARATOR = '-'
+
+// Options shared by the functions that look for functions in a list of paths.
+interface FindFunctionsOptions {
+  dedupe: boolean
+
+  // Names of the directories, relative to the source folder, that contain the
+  // paths. It's only set when looking for nested functions.
+  directories: string[]
+
+  featureFlags: FeatureFlags
+  fsCache: FsCache
+  nestedNameSeparator: string
+  paths: string[]
+}
+
+// The name of a function found in a sub-directory of a source folder is made
+// of the names of the directories and its own name (e.g. `api-users` for
+// `api/users/index.ts`). Its archive is named after it too, to avoid clashing
+// with a function called `users` somewhere else.
+const getNestedFunctionNames = (func: SourceFile, directories: string[], separator: string) => {
+  if (directories.length === 0) {
+    return {}
+  }
+
+  const name = [...directories, func.name].join(separator)
+
+  return { filename: `${name}${extname(func.srcPath)}`, name, nestedPath: [...directories, func.name].join('/') }
+}
+
 /**
  * Finds functions for a list of paths using a specific runtime. The return
  * value is an object containing an array of the functions found (`functions`)
@@ -28,17 +57,13 @@ type FunctionTupleWithoutConfig = [string, Omit<FunctionSource, 'config'>]
  */
 const findFunctionsInRuntime = async function ({
   dedupe = false,
+  directories,
   featureFlags,
   fsCache,
+  nestedNameSeparator,
   paths,
   runtime,
-}: {
-  dedupe: boolean
-  featureFlags: FeatureFlags
-  fsCache: FsCache
-  paths: string[]
-  runtime: Runtime
-}) {
+}: FindFunctionsOptions & { runtime: Runtime }) {
   const functions = await runtime.findFunctionsInPaths({ featureFlags, fsCache, paths })
 
   // If `dedupe` is true, we use the function name (`filename`) as the map key,
@@ -47,33 +72,96 @@ const findFunctionsInRuntime = async function ({
   const key = dedupe ? 'name' : 'srcPath'
 
   // Augmenting the function objects with additional information.
-  const augmentedFunctions: FunctionTupleWithoutConfig[] = functions.map((func) => [
-    func[key],
-    {
+  const augmentedFunctions: FunctionTupleWithoutConfig[] = functions.map((func) => {
+    const augmentedFunction = {
       ...func,
       extension: extname(func.mainFile),
       filename: basename(func.srcPath),
       runtime,
-    },
-  ])
+      ...getNestedFunctionNames(func, directories, nestedNameSeparator),
+    }
+
+    return [augmentedFunction[key], augmentedFunction]
+  })
   const usedPaths = new Set(augmentedFunctions.map(([path]) => path))
   const remainingPaths = paths.filter((path) => !usedPaths.has(path))
 
   return { functions: augmentedFunctions, remainingPaths }
 }
 
+// Cycles through the ordered array of runtimes, passing each one of them
+// through `findFunctionsInRuntime`. For each iteration, we collect all the
+// functions found plus the list of paths that still need to be evaluated,
+// using them as the input for the next iteration until the last runtime.
+const findFunctions = async ({ paths, ...options }: FindFunctionsOptions) => {
+  const { functions } = await getRuntimes().reduce(async (aggregate, runtime) => {
+    const { functions: aggregateFunctions, remainingPaths: aggregatePaths } = await aggregate
+    const { functions: runtimeFunctions, remainingPaths: runtimePaths } = await findFunctionsInRuntime({
+      ...options,
+      paths: aggregatePaths,
+      runtime,
+    })
+
+    return {
+      functions: [...aggregateFunctions, ...runtimeFunctions],
+      remainingPaths: runtimePaths,
+    }
+  }, Promise.resolve({ functions: [], remainingPaths: paths } as { functions: FunctionTupleWithoutConfig[]; remainingPaths: string[] }))
+
+  return functions
+}
+
+// Returns the paths that are directories other than `node_modules`.
+const getSubdirectories = async (fsCache: FsCache, paths: string[]) => {
+  const stats = await Promise.all(paths.map((path) => cachedLstat(fsCache, path)))
+
+  return paths.filter((path, index) => stats[index].isDirectory() && basename(path) !== 'node_modules')
+}
+
+// Like `findFunctions`, but also looks for functions in the sub-directories
+// that are not functions themselves, at any depth. In those, only directories
+// with a main file are functions, so that files shared by nested functions
+// (e.g. `api/utils.js`) aren't mistaken for functions.
+const findNestedFunctions = async (options: FindFunctionsOptions): Promise<FunctionTupleWithoutConfig[]> => {
+  const { directories, fsCache, paths } = options
+  const functions = await findFunctions(options)
+  const functionPaths = new Set(functions.map(([, { srcPath }]) => srcPath))
+  const subdirectories = await getSubdirectories(
+    fsCache,
+    paths.filter((path) => !functionPaths.has(path)),
+  )
+  const nestedFunctions = await Promise.all(
+    subdirectories.map(async (directory) =>
+      findNestedFunctions({
+        ...options,
+        directories: [...directories, basename(directory)],
+        paths: await getSubdirectories(fsCache, await listFunctionsDirectory(directory)),
+      }),
+    ),
+  )
+
+  return [...functions, ...nestedFunctions.flat()]
+}
+
 // An object to cache filesystem operations. This allows different functions
 // to perform IO operations on the same file (i.e. getting its stats or its
 // contents) without duplicating work.
 const makeFsCache = (): FsCache => ({})
 
-// The order of this array determines the priority of the runtimes. If a path
-// is used by the first time, it won't be made available to the subsequent
-// runtimes.
-const RUNTIMES = [jsRuntime, goRuntime, rustRuntime]
+// Returns whether a function can be built, which is always the case unless its
+// runtime says otherwise.
+const canBuildFunction = (func: Pick<FunctionSource, 'runtime'>, featureFlags: FeatureFlags) =>
+  func.runtime.canBuild?.({ featureFlags }) ?? true
 
 /**
- * Gets a list of functions found in a list of paths.
+ * Gets a list of functions found in a list of paths. If `dedupe` is set, only
+ * the function with the highest precedence is kept for each name, and functions
+ * that can't be built are left out, so that they don't override others with
+ * the same name. Functions that have the same name as others that can be built
+ * have a `nameCollision` property describing them all, unless
+ * `nameCollisionAction` is `off`, or an error is thrown if it's `error`. If
+ * `nestedDiscovery` is set, the directories that are not functions are
+ * searched for functions too.
  */
 const getFunctionsFromPaths = async (
   paths: string[],
@@ -81,32 +169,29 @@ const getFunctionsFromPaths = async (
     config,
     dedupe = false,
     featureFlags = defaultFlags,
-  }: { config?: Config; dedupe?: boolean; featureFlags?: FeatureFlags } = {},
+    nameCollisionAction = 'warn',
+    nestedDiscovery = false,
+    nestedNameSeparator = DEFAULT_NESTED_NAME_SEPARATOR,
+  }: {
+    config?: Config
+    dedupe?: boolean
+    featureFlags?: FeatureFlags
+    nameCollisionAction?: NameCollisionAction
+    nestedDiscovery?: boolean
+    nestedNameSeparator?: string
+  } = {},
 ): Promise<FunctionMap> => {
-  const fsCache = makeFsCache()
-
-  // We cycle through the ordered array of runtimes, passing each one of them
-  // through `findFunctionsInRuntime`. For each iteration, we collect all the
-  // functions found plus the list of paths that still need to be evaluated,
-  // using them as the input for the next iteration until the last runtime.
-  const { functions } = await RUNTIMES.reduce(async (aggregate, runtime) => {
-    const { functions: aggregateFunctions, remainingPaths: aggregatePaths } = await aggregate
-    const { functions: runtimeFunctions, remainingPaths: runtimePaths } = await findFunctionsInRuntime({
-      dedupe,
-      featureFlags,
-      fsCache,
-      paths: aggregatePaths,
-      runtime,
-    })
-
-    return {
-      functions: [...aggregateFunctions, ...runtimeFunctions],
-      remainingPaths: runtimePaths,
-    }
-  }, Promise.resolve({ functions: [], remainingPaths: paths } as { functions: FunctionTupleWithoutConfig[]; remainingPaths: string[] }))
+  const options = { dedupe, directories: [], featureFlags, fsCache: makeFsCache(), nestedNameSeparator, paths }
+  const foundFunctions = nestedDiscovery ? await findNestedFunctions(options) : await findFunctions(options)
+  const buildableFunctions = foundFunctions.filter(([, func]) => canBuildFunction(func, featureFlags))
+  const functions = dedupe ? buildableFunctions : foundFunctions
+  const nameCollisions = checkNameCollisions(
+    buildableFunctions.map(([, func]) => func),
+    nameCollisionAction,
+  )
   const functionsWithConfig: FunctionTuple[] = functions.map(([name, func]) => [
     name,
-    { ...func, config: getConfigForFunction({ config, func }) },
+    { ...func, config: getConfigForFunction({ config, func }), nameCollision: nameCollisions.get(func.name) },
   ])
 
   return new Map(functionsWithConfig)
@@ -121,7 +206,7 @@ const getFunctionFromPath = async (
 ): Promise<FunctionSource | undefined> => {
   const fsCache = makeFsCache()
 
-  for (const runtime of RUNTIMES) {
+  for (const runtime of getRuntimes()) {
     // eslint-disable-next-line no-await-in-loop
     const func = await runtime.findFunctionInPath({ path, fsCache, featureFlags })
     if (func) {
@@ -136,4 +221,4 @@ const getFunctionFromPath = async (
   return undefined
 }
 
-export { getFunctionsFromPaths, getFunctionFromPath }
+export { canBuildFunction, getFunctionsFromPaths, getFunctionFromPath }
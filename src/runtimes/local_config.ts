@@ -0,0 +1,85 @@
+import type { Stats } from 'fs'
+import { dirname, join, resolve } from 'path'
+
+import type { FunctionConfig } from '../config'
+import { cachedReaddir, cachedReadJsonFile, FsCache } from '../utils/fs'
+
+// Configuration properties set in a file next to the code of a function.
+interface LocalConfig {
+  config: FunctionConfig
+
+  // Path of the file that sets the configuration properties.
+  path: string
+}
+
+const CONFIG_FILE_SUFFIX = '.config.json'
+const PACKAGE_JSON_FILE = 'package.json'
+const PACKAGE_JSON_KEY = 'netlify'
+
+// Resolves a pattern of `includedFiles` against a directory, keeping the `!`
+// prefix of exclusion patterns. Invalid values are left for the validation.
+const resolveIncludedFile = (pattern: unknown, directory: string) => {
+  if (typeof pattern !== 'string') {
+    return pattern
+  }
+
+  return pattern.startsWith('!') ? `!${resolve(directory, pattern.slice(1))}` : resolve(directory, pattern)
+}
+
+// Paths in `includedFiles` are relative to the file that sets them. They're
+// made absolute, so that they're not mixed up with the ones from the `config`
+// object, which are relative to the base path, when both are merged.
+const getLocalConfig = (config: FunctionConfig, path: string): LocalConfig => {
+  if (!Array.isArray(config.includedFiles) || config.includedFilesBasePath !== undefined) {
+    return { config, path }
+  }
+
+  const includedFiles = config.includedFiles.map((pattern) => resolveIncludedFile(pattern, dirname(path)))
+
+  return { config: { ...config, includedFiles: includedFiles as string[] }, path }
+}
+
+// Reads the `netlify` key of the `package.json` file of a directory function.
+// The file isn't ours, so it's ignored if it can't be parsed.
+const getPackageJsonConfig = async (fsCache: FsCache, path: string) => {
+  try {
+    const packageJson = await cachedReadJsonFile(fsCache, path)
+    const config = packageJson?.[PACKAGE_JSON_KEY]
+
+    return config === undefined ? undefined : getLocalConfig(config, path)
+  } catch (_) {
+    // no-op
+  }
+}
+
+// Finds the configuration file of a function, which is either a
+// `<name>.config.json` file in its source directory or, for directory
+// functions, the `netlify` key of the `package.json` file in the directory.
+// The former takes precedence if both exist.
+const findLocalConfig = async ({
+  fsCache,
+  name,
+  srcDir,
+  stat,
+}: {
+  fsCache: FsCache
+  name: string
+  srcDir: string
+  stat: Stats
+}): Promise<LocalConfig | undefined> => {
+  const files = await cachedReaddir(fsCache, srcDir)
+  const configFile = `${name}${CONFIG_FILE_SUFFIX}`
+
+  if (files.includes(configFile)) {
+    const path = join(srcDir, configFile)
+
+    return getLocalConfig(await cachedReadJsonFile(fsCache, path), path)
+  }
+
+  if (stat.isDirectory() && files.includes(PACKAGE_JSON_FILE)) {
+    return getPackageJsonConfig(fsCache, join(srcDir, PACKAGE_JSON_FILE))
+  }
+}
+
+export { findLocalConfig, resolveIncludedFile }
+export type { LocalConfig }
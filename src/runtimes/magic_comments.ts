@@ -0,0 +1,25 @@
+import { readFile } from '../utils/fs'
+
+import type { ISCValues } from './node/in_source_config'
+
+// Matches a line with a comment like `//netlify:schedule @hourly`, which is
+// how Go and Rust functions declare their in-source configuration.
+const MAGIC_COMMENT_REGEX = /^\s*\/\/\s*netlify:(\w+)\s+(.+?)\s*$/
+
+// Properties of `FunctionConfig` that can be set with a magic comment.
+const MAGIC_COMMENT_PROPERTIES = new Set(['schedule'])
+
+// Reads the in-source configuration declared with magic comments in a source
+// file. If a property is declared more than once, the last one wins.
+const findMagicCommentsInPath = async (path: string): Promise<ISCValues> => {
+  const contents = await readFile(path, 'utf8')
+  const entries = contents.split('\n').flatMap((line) => {
+    const match = MAGIC_COMMENT_REGEX.exec(line)
+
+    return match !== null && MAGIC_COMMENT_PROPERTIES.has(match[1]) ? [[match[1], match[2]]] : []
+  })
+
+  return Object.fromEntries(entries)
+}
+
+export { findMagicCommentsInPath }
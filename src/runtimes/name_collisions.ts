@@ -0,0 +1,63 @@
+import type { FunctionSource } from '../function'
+
+import type { RuntimeName } from './runtime'
+
+type NameCollisionAction = 'error' | 'off' | 'warn'
+
+const NAME_COLLISION_ACTIONS: NameCollisionAction[] = ['error', 'off', 'warn']
+
+// Functions that have the same name, of which only one can be deployed.
+interface NameCollision {
+  // Every function with the name, in order of precedence from lowest to
+  // highest.
+  contenders: { path: string; runtime: RuntimeName }[]
+
+  // Path of the function that takes precedence over the others.
+  winner: string
+}
+
+// Groups the functions by name, returning the groups with more than one
+// function. Functions are in order of precedence, so when they are added to a
+// `FunctionMap` indexed by name, the last one of each group is the one kept.
+const getNameCollisions = (functions: Omit<FunctionSource, 'config'>[]) => {
+  const functionsByName = new Map<string, Omit<FunctionSource, 'config'>[]>()
+
+  functions.forEach((func) => {
+    functionsByName.set(func.name, [...(functionsByName.get(func.name) ?? []), func])
+  })
+
+  const nameCollisions = new Map<string, NameCollision>()
+
+  functionsByName.forEach((contenders, name) => {
+    if (contenders.length > 1) {
+      nameCollisions.set(name, {
+        contenders: contenders.map(({ runtime, srcPath }) => ({ path: srcPath, runtime: runtime.name })),
+        winner: contenders[contenders.length - 1].srcPath,
+      })
+    }
+  })
+
+  return nameCollisions
+}
+
+const formatNameCollision = (name: string, { contenders, winner }: NameCollision) =>
+  `Found ${contenders.length} functions named "${name}": ${contenders
+    .map(({ path, runtime }) => `${path} (${runtime})`)
+    .join(', ')}. Only ${winner} is used.`
+
+// Returns the name collisions to add to the functions, or throws an error
+// listing all of them, depending on `action`.
+const checkNameCollisions = (functions: Omit<FunctionSource, 'config'>[], action: NameCollisionAction) => {
+  const nameCollisions = action === 'off' ? new Map<string, NameCollision>() : getNameCollisions(functions)
+
+  if (action === 'error' && nameCollisions.size !== 0) {
+    const messages = [...nameCollisions].map(([name, nameCollision]) => formatNameCollision(name, nameCollision))
+
+    throw new Error(`Functions with the same name:\n${messages.map((message) => `- ${message}`).join('\n')}`)
+  }
+
+  return nameCollisions
+}
+
+export { checkNameCollisions, formatNameCollision, NAME_COLLISION_ACTIONS }
+export type { NameCollision, NameCollisionAction }
@@ -1,6 +1,6 @@
 import { basename, dirname, extname, resolve, join } from 'path'
 
-import { build, Metafile } from '@netlify/esbuild'
+import { build, Loader, Metafile } from '@netlify/esbuild'
 import { tmpName } from 'tmp-promise'
 
 import type { NodeBundlerName } from '../..'
@@ -12,6 +12,7 @@ import { getBundlerTarget } from './bundler_target'
 import { getDynamicImportsPlugin } from './plugin_dynamic_imports'
 import { getNativeModulesPlugin } from './plugin_native_modules'
 import { getNodeBuiltinPlugin } from './plugin_node_builtin'
+import { getTsconfigOverride } from './tsconfig'
 
 // Maximum number of log messages that an esbuild instance will produce. This
 // limit is important to avoid out-of-memory errors due to too much data being
@@ -20,7 +21,11 @@ const ESBUILD_LOG_LIMIT = 10
 
 // When resolving imports with no extension (e.g. require('./foo')), these are
 // the extensions that esbuild will look for, in this order.
-const RESOLVE_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.json']
+const RESOLVE_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts', '.json']
+
+// esbuild has no built-in loader for `.cts` and `.mts` files. Since the output
+// is always CommonJS, they can be loaded like any other TypeScript file.
+const LOADERS: Record<string, Loader> = { '.cts': 'ts', '.mts': 'ts' }
 
 // eslint-disable-next-line max-statements
 const bundleJsFile = async function ({
@@ -89,6 +94,7 @@ const bundleJsFile = async function ({
       bundle: true,
       entryPoints: [srcFile],
       external,
+      loader: LOADERS,
       logLevel: 'warning',
       logLimit: ESBUILD_LOG_LIMIT,
       metafile: true,
@@ -100,6 +106,7 @@ const bundleJsFile = async function ({
       sourcemap: Boolean(config.nodeSourcemap),
       sourceRoot,
       target: [nodeTarget],
+      tsconfig: getTsconfigOverride(config, basePath),
     })
     const bundlePaths = getBundlePaths({
       destFolder: targetDirectory,
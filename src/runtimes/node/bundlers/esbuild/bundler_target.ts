@@ -1,29 +1,13 @@
-const DEFAULT_VERSION = 'node12'
-
-const versionMap = {
-  '8.x': 'node8',
-  '10.x': 'node10',
-  '12.x': 'node12',
-  '14.x': 'node14',
-} as const
-
-type VersionKeys = keyof typeof versionMap
-type VersionValues = typeof versionMap[VersionKeys]
-
-const getBundlerTarget = (suppliedVersion?: string): VersionValues => {
-  const version = normalizeVersion(suppliedVersion)
+import { NODE_VERSION_REGEX } from '../../../../config'
 
-  if (version && version in versionMap) {
-    return versionMap[version as VersionKeys]
-  }
-
-  return DEFAULT_VERSION
-}
+const DEFAULT_VERSION = 'node12'
 
-const normalizeVersion = (version?: string) => {
-  const match = version && version.match(/^nodejs(.*)$/)
+// Returns the esbuild target for a Node.js version like `nodejs18.x` or `18.x`,
+// falling back to a default target if the version is not set or not valid.
+const getBundlerTarget = (suppliedVersion?: string) => {
+  const match = suppliedVersion === undefined ? null : NODE_VERSION_REGEX.exec(suppliedVersion)
 
-  return match ? match[1] : version
+  return match === null ? DEFAULT_VERSION : `node${match[1]}`
 }
 
 export { getBundlerTarget }
@@ -8,7 +8,8 @@ import { getBasePath } from '../../utils/base_path'
 
 import { bundleJsFile } from './bundler'
 import { getExternalAndIgnoredModulesFromSpecialCases } from './special_cases'
-import { getSrcFiles } from './src_files'
+import { getSrcFiles, getSrcFilesAndReasons } from './src_files'
+import { getTsconfigFiles, getTsconfigPath } from './tsconfig'
 
 const getFunctionBasePath = ({
   basePathFromConfig,
@@ -48,6 +49,11 @@ const getExternalAndIgnoredModules = async ({ config, srcDir }: { config: Functi
   return { externalModules, ignoredModules }
 }
 
+// The tsconfig file and the ones it extends are not bundled, but changing them
+// changes the bundle, so they're inputs of the function.
+const getInputs = (inputs: string[], tsconfig?: string) =>
+  tsconfig === undefined ? inputs : [...inputs, ...getTsconfigFiles(tsconfig)]
+
 const bundle: BundleFunction = async ({
   basePath,
   config = {},
@@ -64,6 +70,7 @@ const bundle: BundleFunction = async ({
   stat,
 }) => {
   const { externalModules, ignoredModules } = await getExternalAndIgnoredModules({ config, srcDir })
+  const tsconfig = await getTsconfigPath({ basePath, config, mainFile, rootDir: repositoryRoot ?? basePath })
   const {
     additionalPaths,
     bundlePaths,
@@ -83,14 +90,14 @@ const bundle: BundleFunction = async ({
     srcFile: mainFile,
   })
   const bundlerWarnings = warnings.length === 0 ? undefined : warnings
-  const srcFiles = await getSrcFiles({
+  const { reasons, srcFiles } = await getSrcFilesAndReasons({
     basePath,
     config: {
       ...config,
       externalNodeModules: [...externalModules, ...Object.keys(nativeNodeModules)],
-      includedFiles: [...(config.includedFiles || []), ...additionalPaths],
       includedFilesBasePath: config.includedFilesBasePath || basePath,
     },
+    dynamicImportPaths: additionalPaths,
     extension,
     featureFlags,
     filename,
@@ -115,15 +122,22 @@ const bundle: BundleFunction = async ({
     supportingSrcFiles,
   })
 
+  // The original main file is replaced by the bundle, which contains all the
+  // files that esbuild was able to inline.
+  bundlePaths.forEach((_, bundlePath) => {
+    reasons.set(bundlePath, { type: 'main-file', bundledFiles: inputs })
+  })
+
   return {
     aliases: bundlePaths,
     cleanupFunction: cleanTempFiles,
     basePath: functionBasePath,
     bundlerWarnings,
-    inputs,
+    inputs: getInputs(inputs, tsconfig),
     mainFile: normalizedMainFile,
     nativeNodeModules,
     nodeModulesWithDynamicImports,
+    reasons,
     srcFiles: [...supportingSrcFiles, ...bundlePaths.keys()],
   }
 }
@@ -1,23 +1,45 @@
 import type { GetSrcFilesFunction } from '..'
+import { addGlobReasons } from '../../utils/file_reasons'
 import { filterExcludedPaths, getPathsOfIncludedFiles } from '../../utils/included_files'
 import { getPackageJson, PackageJson } from '../../utils/package_json'
 import { getNewCache, TraversalCache } from '../../utils/traversal_cache'
 import { getDependencyPathsForDependency } from '../zisi/traverse'
 
-const getSrcFiles: GetSrcFilesFunction = async ({ config, mainFile, pluginsModulesPath, srcDir }) => {
+// Returns the paths of the files that must be included alongside the bundle,
+// along with the reason why each of them was included. Any globs listed in
+// `dynamicImportPaths` are treated as the result of dynamic imports.
+const getSrcFilesAndReasons = async ({
+  config,
+  dynamicImportPaths = [],
+  mainFile,
+  pluginsModulesPath,
+  srcDir,
+}: Parameters<GetSrcFilesFunction>[0] & { dynamicImportPaths?: string[] }) => {
   const { externalNodeModules = [], includedFiles = [], includedFilesBasePath } = config
-  const { exclude: excludedPaths, paths: includedFilePaths } = await getPathsOfIncludedFiles(
-    includedFiles,
-    includedFilesBasePath,
-  )
+  const {
+    exclude: excludedPaths,
+    matches,
+    paths: includedFilePaths,
+  } = await getPathsOfIncludedFiles([...includedFiles, ...dynamicImportPaths], includedFilesBasePath)
+  const state = getNewCache()
   const dependencyPaths = await getSrcFilesForDependencies({
     dependencies: externalNodeModules,
     basedir: srcDir,
+    state,
     pluginsModulesPath,
   })
   const includedPaths = filterExcludedPaths([...dependencyPaths, ...includedFilePaths], excludedPaths)
+  const reasons = addGlobReasons(state.reasons, matches, (glob) =>
+    dynamicImportPaths.includes(glob) ? { type: 'dynamic-import', glob } : { type: 'included-files', glob },
+  )
+
+  return { reasons, srcFiles: [...includedPaths, mainFile] }
+}
+
+const getSrcFiles: GetSrcFilesFunction = async (parameters) => {
+  const { srcFiles } = await getSrcFilesAndReasons(parameters)
 
-  return [...includedPaths, mainFile]
+  return srcFiles
 }
 
 const getSrcFilesForDependencies = async function ({
@@ -78,4 +100,4 @@ const getSrcFilesForDependency = async function ({
   }
 }
 
-export { getSrcFiles }
+export { getSrcFiles, getSrcFilesAndReasons }
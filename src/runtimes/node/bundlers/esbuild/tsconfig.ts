@@ -0,0 +1,48 @@
+import { dirname, resolve } from 'path'
+import { cwd as getCwd } from 'process'
+
+import ts from 'typescript'
+
+import type { FunctionConfig } from '../../../../config'
+import { findUpToRoot } from '../../../../utils/fs'
+
+const TSCONFIG_FILE = 'tsconfig.json'
+
+// Only the `extends` chain of a tsconfig file is needed, so the files matched
+// by its `include` and `files` properties aren't listed.
+const PARSE_CONFIG_HOST: ts.ParseConfigHost = { ...ts.sys, readDirectory: () => [] }
+
+// Returns the tsconfig file set in the `nodeTsconfig` configuration property,
+// which is relative to the base path. Unlike `includedFiles`, it's never
+// relative to `includedFilesBasePath`, which the in-source configuration and
+// `netlify.toml` set for their own paths. esbuild applies it to all the files
+// it bundles, instead of the closest `tsconfig.json` of each file.
+const getTsconfigOverride = ({ nodeTsconfig }: FunctionConfig, basePath?: string) =>
+  nodeTsconfig === undefined ? undefined : resolve(basePath ?? getCwd(), nodeTsconfig)
+
+// Returns the path of the tsconfig file that esbuild bundles the main file of a
+// function with, which is the override if set or else the closest
+// `tsconfig.json` file.
+const getTsconfigPath = async ({
+  basePath,
+  config,
+  mainFile,
+  rootDir,
+}: {
+  basePath?: string
+  config: FunctionConfig
+  mainFile: string
+  rootDir?: string
+}) => getTsconfigOverride(config, basePath) ?? (await findUpToRoot(TSCONFIG_FILE, dirname(mainFile), rootDir))
+
+// Returns a tsconfig file and the ones it extends, directly or not, resolved
+// like TypeScript does.
+const getTsconfigFiles = (tsconfig: string) => {
+  const sourceFile = ts.readJsonConfigFile(tsconfig, ts.sys.readFile)
+
+  ts.parseJsonSourceFileConfigFileContent(sourceFile, PARSE_CONFIG_HOST, dirname(tsconfig), undefined, tsconfig)
+
+  return [tsconfig, ...(sourceFile.extendedSourceFiles ?? [])]
+}
+
+export { getTsconfigFiles, getTsconfigOverride, getTsconfigPath }
@@ -4,6 +4,7 @@ import type { NodeBundlerName } from '..'
 import { FunctionConfig } from '../../../config'
 import { FeatureFlag, FeatureFlags } from '../../../feature_flags'
 import { FunctionSource } from '../../../function'
+import type { FileReasons } from '../utils/file_reasons'
 
 import esbuildBundler from './esbuild'
 import nftBundler from './nft'
@@ -44,6 +45,10 @@ type BundleFunction = (
   // the file at "/my-function.js" contains.
   rewrites?: Map<string, string>
 
+  // Reasons are used to explain why each file was included in the archive, in
+  // the bundle report. They are indexed by the path of the source file.
+  reasons?: FileReasons
+
   basePath: string
   bundlerWarnings?: BundlerWarning[]
   cleanupFunction?: CleanupFunction
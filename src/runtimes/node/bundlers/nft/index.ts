@@ -1,6 +1,6 @@
 import { basename, dirname, join, normalize, resolve } from 'path'
 
-import { nodeFileTrace } from '@vercel/nft'
+import { nodeFileTrace, NodeFileTraceReasons } from '@vercel/nft'
 import resolveDependency from '@vercel/nft/out/resolve-dependency'
 import minimatch from 'minimatch'
 import unixify from 'unixify'
@@ -10,7 +10,9 @@ import type { FunctionConfig } from '../../../../config'
 import { cachedReadFile, FsCache } from '../../../../utils/fs'
 import type { GetSrcFilesFunction } from '../../../runtime'
 import { getBasePath } from '../../utils/base_path'
+import { addGlobReasons, FileReasons } from '../../utils/file_reasons'
 import { filterExcludedPaths, getPathsOfIncludedFiles } from '../../utils/included_files'
+import { getModuleNameFromPath } from '../../utils/module'
 
 import { transpileESM } from './es_modules'
 
@@ -27,11 +29,16 @@ const bundle: BundleFunction = async ({
   repositoryRoot = basePath,
 }) => {
   const { includedFiles = [], includedFilesBasePath } = config
-  const { exclude: excludedPaths, paths: includedFilePaths } = await getPathsOfIncludedFiles(
-    includedFiles,
-    includedFilesBasePath || basePath,
-  )
-  const { paths: dependencyPaths, rewrites } = await traceFilesAndTranspile({
+  const {
+    exclude: excludedPaths,
+    matches,
+    paths: includedFilePaths,
+  } = await getPathsOfIncludedFiles(includedFiles, includedFilesBasePath || basePath)
+  const {
+    paths: dependencyPaths,
+    reasons,
+    rewrites,
+  } = await traceFilesAndTranspile({
     basePath: repositoryRoot,
     config,
     mainFile,
@@ -47,11 +54,39 @@ const bundle: BundleFunction = async ({
     basePath: getBasePath(dirnames),
     inputs: dependencyPaths,
     mainFile,
+    reasons: addGlobReasons(reasons, matches, (glob) => ({ type: 'included-files', glob })),
     rewrites,
     srcFiles,
   }
 }
 
+// Converts the reasons returned by `nodeFileTrace`, which use paths relative
+// to `basePath`, into our own format.
+const getReasons = (nftReasons: NodeFileTraceReasons, basePath?: string): FileReasons => {
+  const resolvePath = (path: string) => (basePath ? resolve(basePath, path) : resolve(path))
+  const reasons: FileReasons = new Map()
+
+  nftReasons.forEach(({ parents, type }, path) => {
+    const [parent] = [...parents]
+
+    if (type === 'initial' || parent === undefined) {
+      reasons.set(resolvePath(path), { type: 'main-file' })
+
+      return
+    }
+
+    const importer = resolvePath(parent)
+    const moduleName = getModuleNameFromPath(path)
+
+    reasons.set(
+      resolvePath(path),
+      moduleName === undefined ? { type: 'local-import', importer } : { type: 'node-module', importer, moduleName },
+    )
+  })
+
+  return reasons
+}
+
 const ignoreFunction = (path: string) => {
   const normalizedPath = unixify(path)
   const shouldIgnore = ignore.some((expression) => minimatch(normalizedPath, expression))
@@ -115,6 +150,7 @@ const traceFilesAndTranspile = async function ({
 
   return {
     paths: normalizedDependencyPaths,
+    reasons: getReasons(reasons, basePath),
     rewrites,
   }
 }
@@ -3,7 +3,7 @@ import { dirname, normalize } from 'path'
 import type { BundleFunction } from '..'
 import { getBasePath } from '../../utils/base_path'
 
-import { getSrcFiles } from './src_files'
+import { getSrcFiles, getSrcFilesAndReasons } from './src_files'
 
 const bundle: BundleFunction = async ({
   basePath,
@@ -19,7 +19,7 @@ const bundle: BundleFunction = async ({
   srcPath,
   stat,
 }) => {
-  const srcFiles = await getSrcFiles({
+  const { reasons, srcFiles } = await getSrcFilesAndReasons({
     basePath,
     config: {
       ...config,
@@ -42,6 +42,7 @@ const bundle: BundleFunction = async ({
     basePath: getBasePath(dirnames),
     inputs: srcFiles,
     mainFile,
+    reasons,
     srcFiles,
   }
 }
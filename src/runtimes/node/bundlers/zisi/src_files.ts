@@ -7,6 +7,7 @@ import precinct from 'precinct'
 import type { GetSrcFilesFunction } from '..'
 import { FeatureFlags } from '../../../../feature_flags'
 import { nonNullable } from '../../../../utils/non_nullable'
+import { addGlobReasons, FileReasons } from '../../utils/file_reasons'
 import { filterExcludedPaths, getPathsOfIncludedFiles } from '../../utils/included_files'
 import { getPackageJson, PackageJson } from '../../utils/package_json'
 import { getNewCache, TraversalCache } from '../../utils/traversal_cache'
@@ -17,10 +18,11 @@ import { getDependencyPathsForDependency } from './traverse'
 import { getTreeFiles } from './tree_files'
 import { shouldTreeShake } from './tree_shake'
 
-// Retrieve the paths to the Node.js files to zip.
+// Retrieve the paths to the Node.js files to zip, along with the reason why
+// each of them was included.
 // We only include the files actually needed by the function because AWS Lambda
 // has a size limit for the zipped file. It also makes cold starts faster.
-const getSrcFiles: GetSrcFilesFunction = async function ({
+const getSrcFilesAndReasons = async function ({
   config,
   featureFlags,
   mainFile,
@@ -29,15 +31,17 @@ const getSrcFiles: GetSrcFilesFunction = async function ({
   srcDir,
   srcPath,
   stat,
-}) {
+}: Parameters<GetSrcFilesFunction>[0]) {
   const { includedFiles = [], includedFilesBasePath } = config
-  const { exclude: excludedPaths, paths: includedFilePaths } = await getPathsOfIncludedFiles(
-    includedFiles,
-    includedFilesBasePath,
-  )
+  const {
+    exclude: excludedPaths,
+    matches,
+    paths: includedFilePaths,
+  } = await getPathsOfIncludedFiles(includedFiles, includedFilesBasePath)
+  const state = getNewCache()
   const [treeFiles, depFiles] = await Promise.all([
     getTreeFiles(srcPath, stat),
-    getDependencies({ featureFlags, functionName: name, mainFile, pluginsModulesPath, srcDir }),
+    getDependencies({ featureFlags, functionName: name, mainFile, pluginsModulesPath, srcDir, state }),
   ])
   const files = [...treeFiles, ...depFiles].map(normalize)
   const uniqueFiles = [...new Set(files)]
@@ -46,8 +50,36 @@ const getSrcFiles: GetSrcFilesFunction = async function ({
   // Mutating is fine since `Array.filter()` returns a shallow copy
   const filteredFiles = uniqueFiles.filter(isNotJunk).sort()
   const includedPaths = filterExcludedPaths([...filteredFiles, ...includedFilePaths], excludedPaths)
+  const reasons = getReasons({ mainFile, matches, state, treeFiles })
+
+  return { reasons, srcFiles: includedPaths }
+}
+
+const getSrcFiles: GetSrcFilesFunction = async function (parameters) {
+  const { srcFiles } = await getSrcFilesAndReasons(parameters)
+
+  return srcFiles
+}
+
+const getReasons = function ({
+  mainFile,
+  matches,
+  state,
+  treeFiles,
+}: {
+  mainFile: string
+  matches: Map<string, string>
+  state: TraversalCache
+  treeFiles: string[]
+}): FileReasons {
+  const reasons: FileReasons = new Map(state.reasons)
 
-  return includedPaths
+  treeFiles.forEach((path) => {
+    reasons.set(normalize(path), { type: 'function-directory' })
+  })
+  reasons.set(normalize(mainFile), { type: 'main-file' })
+
+  return addGlobReasons(reasons, matches, (glob) => ({ type: 'included-files', glob }))
 }
 
 // Remove temporary files like *~, *.swp, etc.
@@ -62,15 +94,16 @@ const getDependencies = async function ({
   mainFile,
   pluginsModulesPath,
   srcDir,
+  state,
 }: {
   featureFlags: FeatureFlags
   functionName: string
   mainFile: string
   pluginsModulesPath?: string
   srcDir: string
+  state: TraversalCache
 }) {
   const packageJson = await getPackageJson(srcDir)
-  const state = getNewCache()
 
   try {
     return await getFileDependencies({
@@ -121,6 +154,7 @@ const getFileDependencies = async function ({
         basedir,
         featureFlags,
         functionName,
+        importer: path,
         packageJson,
         pluginsModulesPath,
         state,
@@ -137,6 +171,7 @@ const getImportDependencies = function ({
   basedir,
   featureFlags,
   functionName,
+  importer,
   packageJson,
   pluginsModulesPath,
   state,
@@ -146,6 +181,7 @@ const getImportDependencies = function ({
   basedir: string
   featureFlags: FeatureFlags
   functionName: string
+  importer: string
   packageJson: PackageJson
   pluginsModulesPath?: string
   state: TraversalCache
@@ -158,6 +194,7 @@ const getImportDependencies = function ({
       basedir,
       featureFlags,
       functionName,
+      importer,
       packageJson,
       pluginsModulesPath,
       state,
@@ -165,7 +202,7 @@ const getImportDependencies = function ({
     })
   }
 
-  return getDependencyPathsForDependency({ dependency, basedir, state, packageJson, pluginsModulesPath })
+  return getDependencyPathsForDependency({ dependency, basedir, importer, state, packageJson, pluginsModulesPath })
 }
 
 const isNextOnNetlify = function (dependency: string) {
@@ -178,6 +215,7 @@ const getTreeShakedDependencies = async function ({
   basedir,
   featureFlags,
   functionName,
+  importer,
   packageJson,
   pluginsModulesPath,
   state,
@@ -187,12 +225,18 @@ const getTreeShakedDependencies = async function ({
   basedir: string
   featureFlags: FeatureFlags
   functionName: string
+  importer: string
   packageJson: PackageJson
   pluginsModulesPath?: string
   state: TraversalCache
   treeShakeNext: boolean
 }) {
   const path = await resolvePathPreserveSymlinks(dependency, [basedir, pluginsModulesPath].filter(nonNullable))
+
+  if (!state.reasons.has(normalize(path))) {
+    state.reasons.set(normalize(path), { type: 'local-import', importer })
+  }
+
   const depsPath = await getFileDependencies({
     featureFlags,
     functionName,
@@ -205,5 +249,5 @@ const getTreeShakedDependencies = async function ({
   return [path, ...depsPath]
 }
 
-export { getSrcFiles }
+export { getSrcFiles, getSrcFilesAndReasons }
 /* eslint-enable max-lines */
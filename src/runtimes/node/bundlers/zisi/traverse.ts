@@ -1,4 +1,4 @@
-import { dirname } from 'path'
+import { dirname, normalize } from 'path'
 
 import { nonNullable } from '../../../../utils/non_nullable'
 import { getModuleName } from '../../utils/module'
@@ -17,12 +17,14 @@ const EXCLUDED_MODULES = new Set(['aws-sdk'])
 const getDependencyPathsForDependency = async function ({
   dependency,
   basedir,
+  importer,
   state,
   packageJson,
   pluginsModulesPath,
 }: {
   dependency: string
   basedir: string
+  importer?: string
   state: TraversalCache
   packageJson: PackageJson
   pluginsModulesPath?: string
@@ -36,7 +38,7 @@ const getDependencyPathsForDependency = async function ({
   }
 
   try {
-    return await getDependenciesForModuleName({ moduleName, basedir, state, pluginsModulesPath })
+    return await getDependenciesForModuleName({ moduleName, basedir, importer, state, pluginsModulesPath })
   } catch (error) {
     return handleModuleNotFound({ error, moduleName, packageJson })
   }
@@ -45,11 +47,13 @@ const getDependencyPathsForDependency = async function ({
 const getDependenciesForModuleName = async function ({
   moduleName,
   basedir,
+  importer,
   state,
   pluginsModulesPath,
 }: {
   moduleName: string
   basedir: string
+  importer?: string
   state: TraversalCache
   pluginsModulesPath?: string
 }): Promise<string[]> {
@@ -80,21 +84,49 @@ const getDependenciesForModuleName = async function ({
   const [publishedFiles, sideFiles, depsPaths] = await Promise.all([
     getPublishedFiles(modulePath),
     getSideFiles(modulePath, moduleName),
-    getNestedModules({ modulePath, state, packageJson, pluginsModulesPath }),
+    getNestedModules({ moduleName, modulePath, state, packageJson, pluginsModulesPath }),
   ])
+
+  addModuleReasons({ importer, moduleName, publishedFiles, sideFiles, state })
+
   return [...publishedFiles, ...sideFiles, ...depsPaths]
 }
 
+// Keeps track of why the files of a module were included, so that it can be
+// surfaced in the bundle report.
+const addModuleReasons = function ({
+  importer,
+  moduleName,
+  publishedFiles,
+  sideFiles,
+  state,
+}: {
+  importer?: string
+  moduleName: string
+  publishedFiles: string[]
+  sideFiles: string[]
+  state: TraversalCache
+}) {
+  publishedFiles.forEach((path) => {
+    state.reasons.set(normalize(path), { type: 'node-module', importer, moduleName })
+  })
+  sideFiles.forEach((path) => {
+    state.reasons.set(normalize(path), { type: 'side-file', moduleName })
+  })
+}
+
 const isExcludedModule = function (moduleName: string): boolean {
   return EXCLUDED_MODULES.has(moduleName) || moduleName.startsWith('@types/')
 }
 
 const getNestedModules = async function ({
+  moduleName,
   modulePath,
   state,
   packageJson,
   pluginsModulesPath,
 }: {
+  moduleName: string
   modulePath: string
   state: TraversalCache
   packageJson: PackageJson
@@ -104,7 +136,14 @@ const getNestedModules = async function ({
 
   const depsPaths = await Promise.all(
     dependencies.map((dependency) =>
-      getDependencyPathsForDependency({ dependency, basedir: modulePath, state, packageJson, pluginsModulesPath }),
+      getDependencyPathsForDependency({
+        dependency,
+        basedir: modulePath,
+        importer: moduleName,
+        state,
+        packageJson,
+        pluginsModulesPath,
+      }),
     ),
   )
   return depsPaths.flat()
@@ -1,17 +1,27 @@
 import { lstat, Stats } from 'fs'
-import { join, dirname, basename, extname } from 'path'
+import { join, dirname, basename, extname, resolve } from 'path'
 import { promisify } from 'util'
 
 import locatePath from 'locate-path'
 
 import { SourceFile } from '../../function'
+import { cachedReaddir, cachedReadJsonFile, FsCache } from '../../utils/fs'
 import { nonNullable } from '../../utils/non_nullable'
+import { findLocalConfig } from '../local_config'
 import { FindFunctionsInPathsFunction, FindFunctionInPathFunction } from '../runtime'
 
+import { getPackageEntry } from './utils/package_json'
+
 const pLstat = promisify(lstat)
 
 // List of extensions that this runtime will look for, in order of precedence.
-const allowedExtensions = ['.js', '.zip', '.cjs', '.mjs', '.ts']
+const allowedExtensions = ['.js', '.zip', '.cjs', '.mjs', '.ts', '.cts', '.mts', '.tsx', '.jsx']
+
+// List of extensions of the main file of a directory function, in order of
+// precedence.
+const mainFileExtensions = ['.js', '.mjs', '.cjs', '.ts', '.cts', '.mts', '.tsx', '.jsx']
+
+const PACKAGE_JSON_FILE = 'package.json'
 
 // Sorting function, compatible with the callback of Array.sort, which sorts
 // entries by extension according to their position in `allowedExtensions`.
@@ -49,7 +59,7 @@ const findFunctionsInPaths: FindFunctionsInPathsFunction = async function ({ pat
   return sortedFunctions
 }
 
-const findFunctionInPath: FindFunctionInPathFunction = async function ({ path: srcPath }) {
+const findFunctionInPath: FindFunctionInPathFunction = async function ({ fsCache, path: srcPath }) {
   const filename = basename(srcPath)
 
   if (filename === 'node_modules') {
@@ -57,7 +67,7 @@ const findFunctionInPath: FindFunctionInPathFunction = async function ({ path: s
   }
 
   const stat = await pLstat(srcPath)
-  const mainFile = await getMainFile(srcPath, filename, stat)
+  const mainFile = await getMainFile({ filename, fsCache, srcPath, stat })
 
   if (mainFile === undefined) {
     return
@@ -66,24 +76,76 @@ const findFunctionInPath: FindFunctionInPathFunction = async function ({ path: s
   const extension = extname(srcPath)
   const srcDir = stat.isDirectory() ? srcPath : dirname(srcPath)
   const name = basename(srcPath, extname(srcPath))
+  const localConfig = await findLocalConfig({ fsCache, name, srcDir, stat })
+
+  return { extension, filename, localConfig, mainFile, name, srcDir, srcPath, stat }
+}
+
+// Reads the `package.json` file of a directory function, ignoring it if it
+// can't be read or parsed, like any other file that isn't a function.
+const readPackageJson = async (fsCache: FsCache, srcPath: string) => {
+  try {
+    return await cachedReadJsonFile(fsCache, join(srcPath, PACKAGE_JSON_FILE))
+  } catch (_) {
+    // no-op
+  }
+}
+
+// Returns the candidates for the entry file of a package. Like in Node.js, the
+// extension can be omitted and the entry can be a directory with an `index`
+// file.
+const getEntryCandidates = (entryPath: string) => {
+  if (mainFileExtensions.includes(extname(entryPath))) {
+    return [entryPath]
+  }
+
+  return [entryPath, join(entryPath, 'index')].flatMap((path) =>
+    mainFileExtensions.map((extension) => `${path}${extension}`),
+  )
+}
+
+// Returns the entry file declared by the `package.json` file of a directory
+// function, if it has one and the file exists.
+const getPackageJsonMainFile = async (fsCache: FsCache, srcPath: string) => {
+  const files = await cachedReaddir(fsCache, srcPath)
+
+  if (!files.includes(PACKAGE_JSON_FILE)) {
+    return
+  }
+
+  const packageJson = await readPackageJson(fsCache, srcPath)
+  const entry = packageJson === undefined ? undefined : getPackageEntry(packageJson)
+
+  if (entry === undefined) {
+    return
+  }
 
-  return { extension, filename, mainFile, name, srcDir, srcPath, stat }
+  return await locatePath(getEntryCandidates(resolve(srcPath, entry)), { type: 'file' })
 }
 
-// Each `srcPath` can also be a directory with an `index` file or a file using
-// the same filename as its directory.
-const getMainFile = async function (srcPath: string, filename: string, stat: Stats): Promise<string | undefined> {
+// Each `srcPath` can also be a directory with an `index` file, a file using the
+// same filename as its directory or, if it has neither, a `package.json` file
+// declaring its entry file.
+const getMainFile = async function ({
+  filename,
+  fsCache,
+  srcPath,
+  stat,
+}: {
+  filename: string
+  fsCache: FsCache
+  srcPath: string
+  stat: Stats
+}): Promise<string | undefined> {
   if (stat.isDirectory()) {
-    return await locatePath(
-      [
-        join(srcPath, `${filename}.js`),
-        join(srcPath, 'index.js'),
-        join(srcPath, `${filename}.mjs`),
-        join(srcPath, 'index.mjs'),
-        join(srcPath, `${filename}.ts`),
-        join(srcPath, 'index.ts'),
-      ],
-      { type: 'file' },
+    return (
+      (await locatePath(
+        mainFileExtensions.flatMap((extension) => [
+          join(srcPath, `${filename}${extension}`),
+          join(srcPath, `index${extension}`),
+        ]),
+        { type: 'file' },
+      )) ?? (await getPackageJsonMainFile(fsCache, srcPath))
     )
   }
 
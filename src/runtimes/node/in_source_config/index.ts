@@ -1,19 +1,36 @@
+import { dirname } from 'path'
+
 import { ArgumentPlaceholder, Expression, SpreadElement, JSXNamespacedName } from '@babel/types'
 
+import type { FunctionConfig } from '../../../config'
+import { isValidProperty } from '../../../config_validation'
 import { nonNullable } from '../../../utils/non_nullable'
 import { safelyParseFile } from '../parser'
-import { getMainExport } from '../parser/exports'
+import { getConfigExport, getMainExport } from '../parser/exports'
 import { getImports } from '../parser/imports'
 
+import { parse as parseConfig } from './properties/config'
 import { parse as parseSchedule } from './properties/schedule'
 
 const IN_SOURCE_CONFIG_MODULE = '@netlify/functions'
 
-type ISCValues = Partial<ReturnType<typeof parseSchedule>>
+type ISCValues = Pick<
+  FunctionConfig,
+  'externalNodeModules' | 'includedFiles' | 'nodeBundler' | 'nodeVersion' | 'schedule'
+> & {
+  // Whether the handler is wrapped with the `builder()` helper, which makes
+  // the function an On-Demand Builder.
+  builder?: boolean
+
+  // Properties of the `config` export whose value is not static or not valid,
+  // which are left out of the configuration of the function.
+  invalidConfig?: Record<string, unknown>
+}
 
-// Parses a JS/TS file and looks for in-source config declarations. It returns
-// an array of all declarations found, with `property` indicating the name of
-// the property and `data` its value.
+// Parses a JS/TS file and looks for in-source config declarations, which are
+// the properties of the `config` export and the helpers wrapping the handler,
+// like `builder()` or `schedule()`, including the ones nested in other wrappers.
+// The helpers take precedence over the `config` export.
 const findISCDeclarationsInPath = async (sourcePath: string): Promise<ISCValues> => {
   const ast = await safelyParseFile(sourcePath)
 
@@ -32,6 +49,9 @@ const findISCDeclarationsInPath = async (sourcePath: string): Promise<ISCValues>
       }
 
       switch (matchingImport.imported) {
+        case 'builder':
+          return { builder: true }
+
         case 'schedule':
           return parseSchedule({ args })
 
@@ -42,11 +62,30 @@ const findISCDeclarationsInPath = async (sourcePath: string): Promise<ISCValues>
       return null
     })
     .filter(nonNullable)
-  const mergedExports: ISCValues = iscExports.reduce((acc, obj) => ({ ...acc, ...obj }), {})
+  const configExport = getConfigExport(ast.body)
+  const configValues = configExport === undefined ? {} : parseConfig(configExport)
+  const mergedExports: ISCValues = iscExports.reduce((acc, obj) => ({ ...acc, ...obj }), configValues)
 
   return mergedExports
 }
 
+// Properties that describe the function rather than configure it, like
+// `builder`, are not added to its configuration.
+const getConfigProperties = (inSourceConfig: ISCValues): FunctionConfig =>
+  Object.fromEntries(Object.entries(inSourceConfig).filter(([property, value]) => isValidProperty(property, value)))
+
+// Applies the in-source config of a function on top of its configuration
+// object. Paths in `includedFiles` are relative to the function file.
+const mergeInSourceConfig = (config: FunctionConfig, inSourceConfig: ISCValues, mainFile: string): FunctionConfig => {
+  const mergedConfig = { ...config, ...getConfigProperties(inSourceConfig) }
+
+  if (inSourceConfig.includedFiles === undefined) {
+    return mergedConfig
+  }
+
+  return { ...mergedConfig, includedFilesBasePath: dirname(mainFile) }
+}
+
 type ISCHandlerArg = ArgumentPlaceholder | Expression | SpreadElement | JSXNamespacedName
 
 interface ISCExport {
@@ -54,5 +93,5 @@ interface ISCExport {
   args: ISCHandlerArg[]
 }
 
-export { findISCDeclarationsInPath, IN_SOURCE_CONFIG_MODULE }
+export { findISCDeclarationsInPath, IN_SOURCE_CONFIG_MODULE, mergeInSourceConfig }
 export type { ISCExport, ISCHandlerArg, ISCValues }
@@ -0,0 +1,62 @@
+import type {
+  BooleanLiteral,
+  Expression,
+  NumericLiteral,
+  ObjectExpression,
+  ObjectMethod,
+  ObjectProperty,
+  PatternLike,
+  SpreadElement,
+  StringLiteral,
+} from '@babel/types'
+
+import type { ISCValues } from '..'
+import { isValidProperty, NON_STATIC_VALUE } from '../../../../config_validation'
+
+// Properties of `FunctionConfig` that can be set with the `config` export.
+const CONFIG_PROPERTIES = new Set(['externalNodeModules', 'includedFiles', 'nodeBundler', 'nodeVersion', 'schedule'])
+
+const LITERAL_TYPES = new Set(['BooleanLiteral', 'NumericLiteral', 'StringLiteral'])
+
+const isLiteral = (
+  node: Expression | PatternLike | SpreadElement | null,
+): node is BooleanLiteral | NumericLiteral | StringLiteral => node !== null && LITERAL_TYPES.has(node.type)
+
+// Returns the value of a literal or of an array of literals, as only static
+// values can be read from the AST. Other values are replaced with a placeholder.
+const getLiteralValue = (node: Expression | PatternLike | SpreadElement | null): unknown => {
+  if (isLiteral(node)) {
+    return node.value
+  }
+
+  if (node?.type !== 'ArrayExpression') {
+    return NON_STATIC_VALUE
+  }
+
+  const values = node.elements.map(getLiteralValue)
+
+  return values.includes(NON_STATIC_VALUE) ? NON_STATIC_VALUE : values
+}
+
+const isNamedProperty = (
+  property: ObjectMethod | ObjectProperty | SpreadElement,
+): property is ObjectProperty & { key: { name: string } } =>
+  property.type === 'ObjectProperty' && !property.computed && property.key.type === 'Identifier'
+
+// Reads the supported properties of a `config` object. Properties with a value
+// that is not static or not valid are kept apart in `invalidConfig`, so that
+// they can be reported.
+export const parse = (node: ObjectExpression): ISCValues => {
+  const entries = node.properties
+    .filter(isNamedProperty)
+    .filter(({ key: { name } }) => CONFIG_PROPERTIES.has(name))
+    .map(({ key: { name }, value }) => [name, getLiteralValue(value)] as const)
+  const validEntries = entries.filter(([name, value]) => isValidProperty(name, value))
+  const invalidEntries = entries.filter(([name, value]) => !isValidProperty(name, value))
+
+  if (invalidEntries.length === 0) {
+    return Object.fromEntries(validEntries)
+  }
+
+  return { ...Object.fromEntries(validEntries), invalidConfig: Object.fromEntries(invalidEntries) }
+}
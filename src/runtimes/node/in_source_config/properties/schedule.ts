@@ -2,9 +2,6 @@ import type { ISCHandlerArg } from '..'
 
 export const parse = ({ args }: { args: ISCHandlerArg[] }) => {
   const [expression] = args
-  const schedule = expression.type === 'StringLiteral' ? expression.value : undefined
 
-  return {
-    schedule,
-  }
+  return expression.type === 'StringLiteral' ? { schedule: expression.value } : {}
 }
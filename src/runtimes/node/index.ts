@@ -1,19 +1,26 @@
+/* eslint-disable max-lines */
 import { join } from 'path'
 
 import cpFile from 'cp-file'
 
 import { FeatureFlags } from '../../feature_flags'
-import { GetSrcFilesFunction, Runtime, ZipFunction } from '../runtime'
+import { measure } from '../../utils/timer'
+import { GetSrcFilesFunction, Runtime, ZipFunction, ZipFunctionTimings } from '../runtime'
 
 import { getBundler } from './bundlers'
 import { findFunctionsInPaths, findFunctionInPath } from './finder'
-import { findISCDeclarationsInPath } from './in_source_config'
+import { findISCDeclarationsInPath, ISCValues, mergeInSourceConfig } from './in_source_config'
 import { detectEsModule } from './utils/detect_es_module'
+import { getNodeVersion } from './utils/node_version'
 import { createAliases as createPluginsModulesPathAliases, getPluginsModulesPath } from './utils/plugin_modules_path'
-import { zipNodeJs } from './utils/zip'
+import { getArchiveFiles, zipNodeJs } from './utils/zip'
 
 export type NodeBundlerName = 'esbuild' | 'esbuild_zisi' | 'nft' | 'zisi'
 
+// Extensions of files that need to be transpiled, for which esbuild is the only
+// bundler that can be used.
+const ESBUILD_EXTENSIONS = new Set(['.cts', '.jsx', '.mjs', '.mts', '.ts', '.tsx'])
+
 // We use ZISI as the default bundler, except for certain extensions, for which
 // esbuild is the only option.
 const getDefaultBundler = async ({
@@ -27,7 +34,7 @@ const getDefaultBundler = async ({
 }): Promise<NodeBundlerName> => {
   const { defaultEsModulesToEsbuild, traceWithNft } = featureFlags
 
-  if (['.mjs', '.ts'].includes(extension)) {
+  if (ESBUILD_EXTENSIONS.has(extension)) {
     return 'esbuild'
   }
 
@@ -62,7 +69,18 @@ const getSrcFilesWithBundler: GetSrcFilesFunction = async (parameters) => {
   return bundler.getSrcFiles({ ...parameters, pluginsModulesPath })
 }
 
-const zipFunction: ZipFunction = async function ({
+// The in-source config is parsed before bundling, since it can set the
+// properties used by the bundler, like `nodeBundler`.
+type ZipFunctionWithISC = (
+  args: Parameters<ZipFunction>[0] & { inSourceConfig: ISCValues; iscParsing: ZipFunctionTimings['iscParsing'] },
+) => ReturnType<ZipFunction>
+
+// The files read to infer the Node.js version are not bundled, but changing
+// them changes the target of the bundler, so they're inputs of the function.
+const getInputs = (inputs: string[] | undefined, nodeVersionFiles: string[]) =>
+  inputs === undefined ? undefined : [...inputs, ...nodeVersionFiles]
+
+const zipFunction: ZipFunctionWithISC = async function ({
   archiveFormat,
   basePath,
   config = {},
@@ -70,8 +88,11 @@ const zipFunction: ZipFunction = async function ({
   extension,
   featureFlags,
   filename,
+  inSourceConfig,
+  iscParsing,
   mainFile,
   name,
+  onBundled,
   repositoryRoot,
   runtime,
   srcDir,
@@ -90,38 +111,46 @@ const zipFunction: ZipFunction = async function ({
     return { config, path: destPath }
   }
 
-  const {
-    aliases = new Map(),
-    cleanupFunction,
-    basePath: finalBasePath,
-    bundlerWarnings,
-    inputs,
-    mainFile: finalMainFile = mainFile,
-    nativeNodeModules,
-    nodeModulesWithDynamicImports,
-    rewrites,
-    srcFiles,
-  } = await bundler.bundle({
-    basePath,
-    config,
-    extension,
-    featureFlags,
-    filename,
-    mainFile,
-    name,
-    pluginsModulesPath,
-    repositoryRoot,
-    runtime,
-    srcDir,
-    srcPath,
-    stat,
-  })
-
-  const inSourceConfig = await findISCDeclarationsInPath(mainFile)
+  const nodeVersion = await getNodeVersion({ config, rootDir: repositoryRoot ?? basePath, srcDir })
+  const [
+    {
+      aliases = new Map(),
+      cleanupFunction,
+      basePath: finalBasePath,
+      bundlerWarnings,
+      inputs,
+      mainFile: finalMainFile = mainFile,
+      nativeNodeModules,
+      nodeModulesWithDynamicImports,
+      reasons,
+      rewrites,
+      srcFiles,
+    },
+    bundling,
+  ] = await measure(() =>
+    bundler.bundle({
+      basePath,
+      // The Node.js version is only used to set the target of the bundler, so
+      // an inferred version is not added to the configuration of the result.
+      config: { ...config, nodeVersion: nodeVersion.version },
+      extension,
+      featureFlags,
+      filename,
+      mainFile,
+      name,
+      pluginsModulesPath,
+      repositoryRoot,
+      runtime,
+      srcDir,
+      srcPath,
+      stat,
+    }),
+  )
+  onBundled?.({ bundling, iscParsing })
 
   createPluginsModulesPathAliases(srcFiles, pluginsModulesPath, aliases, finalBasePath)
 
-  const zipPath = await zipNodeJs({
+  const zipOptions = {
     aliases,
     archiveFormat,
     basePath: finalBasePath,
@@ -131,23 +160,30 @@ const zipFunction: ZipFunction = async function ({
     mainFile: finalMainFile,
     rewrites,
     srcFiles,
-  })
+  }
+  const [zipPath, archiving] = await measure(() => zipNodeJs(zipOptions))
 
   await cleanupFunction?.()
 
   return {
+    archiveFiles: getArchiveFiles({ ...zipOptions, reasons }),
     bundler: bundlerName,
     bundlerWarnings,
     config,
-    inputs,
+    inputs: getInputs(inputs, nodeVersion.files),
     inSourceConfig,
     nativeNodeModules,
     nodeModulesWithDynamicImports,
     path: zipPath,
+    timings: { archiving, bundling, iscParsing },
   }
 }
 
-const zipWithFunctionWithFallback: ZipFunction = async ({ config = {}, ...parameters }) => {
+const zipWithFunctionWithFallback: ZipFunction = async ({ config: inputConfig = {}, ...functionParameters }) => {
+  const [inSourceConfig, iscParsing] = await measure(() => findISCDeclarationsInPath(functionParameters.mainFile))
+  const config = mergeInSourceConfig(inputConfig, inSourceConfig, functionParameters.mainFile)
+  const parameters = { ...functionParameters, inSourceConfig, iscParsing }
+
   // If a specific JS bundler version is specified, we'll use it.
   if (config.nodeBundler !== 'esbuild_zisi') {
     return zipFunction({ ...parameters, config })
@@ -171,9 +207,11 @@ const zipWithFunctionWithFallback: ZipFunction = async ({ config = {}, ...parame
 const runtime: Runtime = {
   findFunctionsInPaths,
   findFunctionInPath,
+  getInSourceConfig: ({ mainFile }) => findISCDeclarationsInPath(mainFile),
   getSrcFiles: getSrcFilesWithBundler,
   name: 'js',
   zipFunction: zipWithFunctionWithFallback,
 }
 
 export default runtime
+/* eslint-enable max-lines */
@@ -0,0 +1,28 @@
+import { Statement } from '@babel/types'
+
+// Returns the declaration of a top-level variable or function, including the
+// ones that are exported (e.g. `export const name = ...`).
+const getBindingDeclaration = (node: Statement) =>
+  node.type === 'ExportNamedDeclaration' && node.declaration ? node.declaration : node
+
+// Returns the value that a declaration assigns to a binding, which is the
+// initial value of a variable or the declaration of a function.
+const getDeclaredValue = (declaration: Statement, name: string) => {
+  if (declaration.type === 'FunctionDeclaration') {
+    return declaration.id?.name === name ? declaration : undefined
+  }
+
+  if (declaration.type !== 'VariableDeclaration') {
+    return
+  }
+
+  const declarator = declaration.declarations.find(({ id }) => id.type === 'Identifier' && id.name === name)
+
+  return declarator?.init ?? undefined
+}
+
+// Returns the value of a top-level binding of a module.
+const getBindingValue = (nodes: Statement[], name: string) =>
+  nodes.map((node) => getDeclaredValue(getBindingDeclaration(node), name)).find((value) => value !== undefined)
+
+export { getBindingValue }
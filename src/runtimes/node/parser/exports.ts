@@ -1,90 +1,117 @@
-import { CallExpression, Statement } from '@babel/types'
+import { ExportNamedDeclaration, Identifier, Node, ObjectExpression, Statement, StringLiteral } from '@babel/types'
 
 import type { ISCExport } from '../in_source_config'
 
+import { getBindingValue } from './bindings'
 import { isModuleExports } from './helpers'
 
-// Finds the main handler export in an AST.
-const getMainExport = (nodes: Statement[]) => {
-  let handlerExport: ISCExport[] = []
+// Finds the main handler export in an AST and returns the calls wrapping the
+// handler, from the outermost to the innermost. For example, the handler
+// `schedule('@daily', withSentry(fn))` returns the calls to `schedule` and to
+// `withSentry`. Exports that are a reference to a top-level variable, like
+// `export { handler }`, are resolved to the value of the variable.
+const getMainExport = (nodes: Statement[]): ISCExport[] => {
+  const handler = nodes.map(getHandlerExportValue).find((node) => node !== undefined)
 
-  nodes.find((node) => {
-    const esmExports = getMainExportFromESM(node)
-
-    if (esmExports.length !== 0) {
-      handlerExport = esmExports
-
-      return true
-    }
-
-    const cjsExports = getMainExportFromCJS(node)
-
-    if (cjsExports.length !== 0) {
-      handlerExport = cjsExports
-
-      return true
-    }
-
-    return false
-  })
-
-  return handlerExport
+  return getWrapperCalls(handler?.type === 'Identifier' ? getBindingValue(nodes, handler.name) : handler)
 }
 
-// Finds the main handler export in a CJS AST.
-const getMainExportFromCJS = (node: Statement) => {
+// Returns the value assigned to the `handler` export by a statement, if any.
+const getHandlerExportValue = (node: Statement) => {
   const handlerPaths = [
     ['module', 'exports', 'handler'],
     ['exports', 'handler'],
   ]
 
-  return handlerPaths.flatMap((handlerPath) => {
-    if (!isModuleExports(node, handlerPath) || node.expression.right.type !== 'CallExpression') {
-      return []
+  for (const handlerPath of handlerPaths) {
+    if (isModuleExports(node, handlerPath)) {
+      return node.expression.right
     }
+  }
 
-    return getExportsFromCallExpression(node.expression.right)
-  })
+  return getExportedFunction(node, 'handler') ?? getExportedVariableValue(node, 'handler')
 }
 
-// Finds the main handler export in an ESM AST.
-// eslint-disable-next-line complexity
-const getMainExportFromESM = (node: Statement) => {
-  if (node.type !== 'ExportNamedDeclaration' || node.exportKind !== 'value') {
+// Returns the calls wrapping a handler, descending into the arguments of each
+// call. Calls to functions that aren't identifiers, like `Sentry.wrap(fn)`,
+// are not returned, but their arguments are still checked.
+const getWrapperCalls = (node?: Node | null): ISCExport[] => {
+  if (node?.type !== 'CallExpression') {
     return []
   }
 
-  const { declaration } = node
+  const { arguments: args, callee } = node
+  const innerCalls = args.flatMap((arg) => getWrapperCalls(arg))
 
-  if (!declaration || declaration.type !== 'VariableDeclaration') {
-    return []
+  return callee.type === 'Identifier' ? [{ local: callee.name, args }, ...innerCalls] : innerCalls
+}
+
+// Finds an exported function declaration (e.g. `export function name() {}`) or
+// a local binding exported with that name (e.g. `export { local as name }`),
+// in which case the identifier of the local binding is returned.
+const getExportedFunction = (node: Statement, name: string) => {
+  if (node.type !== 'ExportNamedDeclaration' || node.source) {
+    return
+  }
+
+  if (node.declaration?.type === 'FunctionDeclaration') {
+    return node.declaration.id?.name === name ? node.declaration : undefined
   }
 
-  const handlerDeclaration = declaration.declarations.find((childDeclaration) => {
-    const { id, type } = childDeclaration
+  return getExportedBinding(node, name)
+}
 
-    return type === 'VariableDeclarator' && id.type === 'Identifier' && id.name === 'handler'
-  })
+const getExportedBinding = (node: ExportNamedDeclaration, name: string) => {
+  const specifier = node.specifiers.find(({ exported }) => getExportedName(exported) === name)
 
-  if (handlerDeclaration?.init?.type !== 'CallExpression') {
-    return []
+  return specifier?.type === 'ExportSpecifier' ? specifier.local : undefined
+}
+
+// Exported names can be string literals (e.g. `export { local as 'name' }`).
+const getExportedName = (node: Identifier | StringLiteral) => (node.type === 'Identifier' ? node.name : node.value)
+
+// Finds the declarator of a named ESM export (e.g. `export const name = ...`).
+const getNamedExportDeclarator = (node: Statement, name: string) => {
+  if (node.type !== 'ExportNamedDeclaration' || node.exportKind !== 'value') {
+    return
   }
 
-  const exports = getExportsFromCallExpression(handlerDeclaration.init)
+  const { declaration } = node
+
+  if (!declaration || declaration.type !== 'VariableDeclaration') {
+    return
+  }
 
-  return exports
+  return declaration.declarations.find(
+    (childDeclaration) =>
+      childDeclaration.type === 'VariableDeclarator' &&
+      childDeclaration.id.type === 'Identifier' &&
+      childDeclaration.id.name === name,
+  )
 }
 
-const getExportsFromCallExpression = (node: CallExpression) => {
-  const { arguments: args, callee } = node
+const getExportedVariableValue = (node: Statement, name: string) =>
+  getNamedExportDeclarator(node, name)?.init ?? undefined
 
-  if (callee.type !== 'Identifier') {
-    return []
-  }
+// Returns the value assigned to the `config` export by a statement, if any.
+const getConfigExportValue = (node: Statement) => {
+  const configPaths = [
+    ['module', 'exports', 'config'],
+    ['exports', 'config'],
+  ]
 
-  const exports = [{ local: callee.name, args }]
+  for (const configPath of configPaths) {
+    if (isModuleExports(node, configPath)) {
+      return node.expression.right
+    }
+  }
 
-  return exports
+  return getExportedVariableValue(node, 'config')
 }
 
-export { getMainExport }
+// Finds the object assigned to the `config` export in an AST, either with
+// `export const config = {}` or with `exports.config = {}`.
+const getConfigExport = (nodes: Statement[]) =>
+  nodes.map(getConfigExportValue).find((node): node is ObjectExpression => node?.type === 'ObjectExpression')
+
+export { getConfigExport, getMainExport }
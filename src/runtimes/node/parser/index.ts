@@ -1,7 +1,7 @@
 /* eslint-disable max-lines */
-import { join, relative, resolve } from 'path'
+import { extname, join, relative, resolve } from 'path'
 
-import { parse } from '@babel/parser'
+import { parse, ParserPlugin } from '@babel/parser'
 import type { BinaryExpression, CallExpression, Expression, PrivateName, TemplateLiteral, TSType } from '@babel/types'
 
 import { readFile } from '../../../utils/fs'
@@ -9,6 +9,10 @@ import { nonNullable } from '../../../utils/non_nullable'
 
 const GLOB_WILDCARD = '**'
 
+// Extensions of files that can contain JSX. The `jsx` plugin is not enabled for
+// the rest, since it doesn't allow type assertions like `<string>value`.
+const JSX_EXTENSIONS = new Set(['.jsx', '.tsx'])
+
 // Transforms an array of glob nodes into a glob string including an absolute
 // path.
 //
@@ -109,8 +113,9 @@ const parseExpression = ({
 // Parses a JS/TS file and returns the resulting AST.
 const parseFile = async (path: string) => {
   const code = await readFile(path, 'utf8')
+  const plugins: ParserPlugin[] = JSX_EXTENSIONS.has(extname(path)) ? ['typescript', 'jsx'] : ['typescript']
   const ast = parse(code, {
-    plugins: ['typescript'],
+    plugins,
     sourceType: 'module',
   })
 
@@ -0,0 +1,50 @@
+// Describes why a file was included in the archive of a function.
+type FileReason =
+  // The entry point of the function. With esbuild, this is the bundle, and
+  // `bundledFiles` contains the paths of the files that were inlined into it.
+  | { type: 'main-file'; bundledFiles?: string[] }
+  // The entry file generated by zip-it-and-ship-it to load the main file.
+  | { type: 'entry-file' }
+  // A file inside the function directory, for functions defined as a folder.
+  | { type: 'function-directory' }
+  // A local file imported by another file (`importer`).
+  | { type: 'local-import'; importer: string }
+  // A file from a Node module, which was required either by a file or by
+  // another module (`importer`). It is `undefined` when the module was added
+  // via the `externalNodeModules` configuration property.
+  | { type: 'node-module'; importer?: string; moduleName: string }
+  // A file generated by a module outside of its own directory.
+  | { type: 'side-file'; moduleName: string }
+  // A file matched by one of the globs in the `includedFiles` property.
+  | { type: 'included-files'; glob: string }
+  // A file matched by a glob generated from a dynamic import expression.
+  | { type: 'dynamic-import'; glob: string }
+
+type FileReasons = Map<string, FileReason>
+
+// A file inside the archive of a function, with the path of the source file
+// it was copied from (if any) and the reason why it was included.
+interface ArchiveFile {
+  path: string
+  reason?: FileReason
+  srcPath?: string
+}
+
+// Adds a reason for each of the paths in `matches`, which maps paths to the
+// glob that matched them, without overriding any existing reasons.
+const addGlobReasons = (
+  reasons: FileReasons,
+  matches: Map<string, string>,
+  getReason: (glob: string) => FileReason,
+) => {
+  matches.forEach((glob, path) => {
+    if (!reasons.has(path)) {
+      reasons.set(path, getReason(glob))
+    }
+  })
+
+  return reasons
+}
+
+export { addGlobReasons }
+export type { ArchiveFile, FileReason, FileReasons }
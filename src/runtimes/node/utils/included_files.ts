@@ -1,4 +1,5 @@
-import { normalize, resolve } from 'path'
+import { isAbsolute, normalize, resolve } from 'path'
+import { cwd as getCwd } from 'process'
 import { promisify } from 'util'
 
 import glob from 'glob'
@@ -18,22 +19,35 @@ const filterExcludedPaths = (paths: string[], exclude: string[] = []) => {
   return excludedPaths
 }
 
+const isAbsolutePattern = (pattern: string) => isAbsolute(pattern.startsWith('!') ? pattern.slice(1) : pattern)
+
+// Without a base path, only the absolute paths of `includedFiles`, like the
+// ones set in the configuration file of a function, can be resolved.
+const getResolvableFiles = (includedFiles: string[], basePath?: string) =>
+  basePath === undefined ? includedFiles.filter(isAbsolutePattern) : includedFiles
+
 const getPathsOfIncludedFiles = async (
   includedFiles: string[],
   basePath?: string,
-): Promise<{ exclude: string[]; paths: string[] }> => {
-  if (basePath === undefined) {
-    return { exclude: [], paths: [] }
+): Promise<{ exclude: string[]; matches: Map<string, string>; paths: string[] }> => {
+  const resolvableFiles = getResolvableFiles(includedFiles, basePath)
+
+  if (resolvableFiles.length === 0) {
+    return { exclude: [], matches: new Map(), paths: [] }
   }
 
+  // Absolute paths don't depend on the base path, so any directory works when
+  // it's not set.
+  const cwd = basePath ?? getCwd()
+
   // Some of the globs in `includedFiles` might be exclusion patterns, which
   // means paths that should NOT be included in the bundle. We need to treat
   // these differently, so we iterate on the array and put those paths in a
   // `exclude` array and the rest of the paths in an `include` array.
-  const { include, exclude } = includedFiles.reduce<{ include: string[]; exclude: string[] }>(
+  const { include, exclude } = resolvableFiles.reduce<{ include: string[]; exclude: string[] }>(
     (acc, path) => {
       if (path.startsWith('!')) {
-        const excludePath = resolve(basePath, path.slice(1))
+        const excludePath = resolve(cwd, path.slice(1))
 
         return {
           include: acc.include,
@@ -49,7 +63,7 @@ const getPathsOfIncludedFiles = async (
     { include: [], exclude: [] },
   )
   const pathGroups = await Promise.all(
-    include.map((expression) => pGlob(expression, { absolute: true, cwd: basePath, ignore: exclude, nodir: true })),
+    include.map((expression) => pGlob(expression, { absolute: true, cwd, ignore: exclude, nodir: true })),
   )
 
   // `pathGroups` is an array containing the paths for each expression in the
@@ -57,7 +71,19 @@ const getPathsOfIncludedFiles = async (
   const paths = pathGroups.flat()
   const normalizedPaths = paths.map(normalize)
 
-  return { exclude, paths: [...new Set(normalizedPaths)] }
+  // Keeping track of the expression that matched each path, so that we can
+  // explain why a file was included.
+  const matches = new Map<string, string>()
+
+  pathGroups.forEach((group, index) => {
+    group.map(normalize).forEach((path) => {
+      if (!matches.has(path)) {
+        matches.set(path, include[index])
+      }
+    })
+  })
+
+  return { exclude, matches, paths: [...new Set(normalizedPaths)] }
 }
 
 export { filterExcludedPaths, getPathsOfIncludedFiles }
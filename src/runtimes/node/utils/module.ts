@@ -10,4 +10,21 @@ const getModuleName = function (dependency: string): string {
   return moduleName
 }
 
-export { getModuleName }
+// Returns the name of the Node module that contains a given path, or
+// `undefined` if the path is not inside a `node_modules` directory. For
+// nested modules, the innermost module is returned.
+const getModuleNameFromPath = function (path: string): string | undefined {
+  const segments = path.split(/[/\\]/)
+  const index = segments.lastIndexOf('node_modules')
+
+  // The last segment is the filename, so it can't be a module name.
+  if (index === -1 || index + 2 >= segments.length) {
+    return
+  }
+
+  const [scopeOrName, name] = segments.slice(index + 1)
+
+  return scopeOrName.startsWith('@') ? `${scopeOrName}/${name}` : scopeOrName
+}
+
+export { getModuleName, getModuleNameFromPath }
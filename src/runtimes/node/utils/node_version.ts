@@ -0,0 +1,113 @@
+import { env } from 'process'
+
+import { minVersion, validRange } from 'semver'
+
+import { FunctionConfig, NODE_VERSION_REGEX, NodeVersion } from '../../../config'
+import { findUpToRoot, readFile } from '../../../utils/fs'
+
+import type { PackageJson } from './package_json'
+
+const NVMRC_FILE = '.nvmrc'
+const PACKAGE_JSON_FILE = 'package.json'
+
+// Functions were bundled for Node.js 12 before the version was inferred, so a
+// lower version is never inferred.
+const MIN_INFERRED_MAJOR_VERSION = 12
+
+// Returns the Node.js version with the lowest major version allowed by a semver
+// range (e.g. `>=16` or `v18.12.1`), or `undefined` if the range is not valid,
+// like the `lts/*` aliases supported by `.nvmrc`, or allows any version.
+const getVersionFromRange = (range: string): NodeVersion | undefined => {
+  const version = validRange(range.trim()) === null ? null : minVersion(range.trim())
+
+  if (version === null || version.major === 0) {
+    return
+  }
+
+  return `nodejs${Math.max(version.major, MIN_INFERRED_MAJOR_VERSION)}.x`
+}
+
+// Environment variable that sets the runtime that functions are deployed to.
+const NODE_VERSION_ENV_VARIABLE = 'AWS_LAMBDA_JS_RUNTIME'
+
+// The Node.js version inferred for a function, if any, and the files that were
+// read to infer it, which are inputs of the function.
+interface InferredNodeVersion {
+  files: string[]
+  version?: NodeVersion
+}
+
+const getVersionFromNvmrc = async (srcDir: string, rootDir?: string): Promise<InferredNodeVersion> => {
+  const nvmrcPath = await findUpToRoot(NVMRC_FILE, srcDir, rootDir)
+
+  if (nvmrcPath === undefined) {
+    return { files: [] }
+  }
+
+  return { files: [nvmrcPath], version: getVersionFromRange(await readFile(nvmrcPath, 'utf8')) }
+}
+
+// Reads the `engines.node` property of the closest `package.json` file. A file
+// that can't be parsed doesn't prevent the function from being bundled, so it's
+// skipped.
+const getRangeFromPackageJson = async (packageJsonPath: string) => {
+  try {
+    const { engines }: PackageJson = JSON.parse(await readFile(packageJsonPath, 'utf8'))
+
+    return engines?.node
+  } catch {
+    // no-op
+  }
+}
+
+const getVersionFromEngines = async (srcDir: string, rootDir?: string): Promise<InferredNodeVersion> => {
+  const packageJsonPath = await findUpToRoot(PACKAGE_JSON_FILE, srcDir, rootDir)
+
+  if (packageJsonPath === undefined) {
+    return { files: [] }
+  }
+
+  const range = await getRangeFromPackageJson(packageJsonPath)
+
+  return { files: [packageJsonPath], version: typeof range === 'string' ? getVersionFromRange(range) : undefined }
+}
+
+const getVersionFromEnvironment = () => {
+  const { [NODE_VERSION_ENV_VARIABLE]: version } = env
+
+  return version !== undefined && NODE_VERSION_REGEX.test(version) ? (version as NodeVersion) : undefined
+}
+
+// Returns the Node.js version to bundle a function for. In order of precedence,
+// it's the `nodeVersion` configuration property, the `AWS_LAMBDA_JS_RUNTIME`
+// environment variable (which sets the runtime that functions are deployed
+// to), the `engines.node` property of the function's `package.json` and the
+// `.nvmrc` file of the function or one of its parent directories, both looked
+// up until `rootDir`. The files that were read are returned too.
+const getNodeVersion = async ({
+  config,
+  rootDir,
+  srcDir,
+}: {
+  config: FunctionConfig
+  rootDir?: string
+  srcDir: string
+}): Promise<InferredNodeVersion> => {
+  const version = config.nodeVersion ?? getVersionFromEnvironment()
+
+  if (version !== undefined) {
+    return { files: [], version }
+  }
+
+  const fromEngines = await getVersionFromEngines(srcDir, rootDir)
+
+  if (fromEngines.version !== undefined) {
+    return fromEngines
+  }
+
+  const fromNvmrc = await getVersionFromNvmrc(srcDir, rootDir)
+
+  return { files: [...fromEngines.files, ...fromNvmrc.files], version: fromNvmrc.version }
+}
+
+export { getNodeVersion, NODE_VERSION_ENV_VARIABLE }
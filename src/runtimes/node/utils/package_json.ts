@@ -8,8 +8,11 @@ interface PackageJson {
   peerDependenciesMeta?: Record<string, { optional?: boolean }>
   optionalDependencies?: Record<string, string>
   devDependencies?: Record<string, string>
+  engines?: Record<string, string>
+  exports?: unknown
   files?: string[]
   gypfile?: boolean
+  main?: string
   binary?: boolean
   type?: string
 }
@@ -27,6 +30,46 @@ const sanitisePackageJson = (packageJson: Record<string, unknown>): PackageJson
   files: sanitiseFiles(packageJson.files),
 })
 
+// Conditions of the `exports` property that can point to the entry file of a
+// function. Other conditions, like `browser`, are skipped.
+const EXPORTS_CONDITIONS = new Set(['default', 'import', 'node', 'require'])
+
+const isObject = (value: unknown): value is Record<string, unknown> => typeof value === 'object' && value !== null
+
+// Resolves the `.` subpath of the `exports` property, which is a path, a list
+// of fallbacks or an object of subpaths or conditions, the first matching one
+// winning.
+const getExportsEntry = (exports: unknown): string | undefined => {
+  if (typeof exports === 'string') {
+    return exports
+  }
+
+  if (Array.isArray(exports)) {
+    return getFirstExportsEntry(exports)
+  }
+
+  if (!isObject(exports)) {
+    return
+  }
+
+  if (Object.keys(exports).some((key) => key.startsWith('.'))) {
+    return getExportsEntry(exports['.'])
+  }
+
+  return getFirstExportsEntry(
+    Object.entries(exports)
+      .filter(([condition]) => EXPORTS_CONDITIONS.has(condition))
+      .map(([, value]) => value),
+  )
+}
+
+const getFirstExportsEntry = (values: unknown[]) => values.map(getExportsEntry).find((entry) => entry !== undefined)
+
+// Returns the path of the entry file of a package, relative to its root, as
+// declared by the `exports` property or, if not set, the `main` property.
+const getPackageEntry = ({ exports, main }: PackageJson) =>
+  getExportsEntry(exports) ?? (typeof main === 'string' ? main : undefined)
+
 // Retrieve the `package.json` of a specific project or module
 const getPackageJson = async function (srcDir: string): Promise<PackageJson> {
   const packageRoot = await pkgDir(srcDir)
@@ -46,4 +89,4 @@ const getPackageJson = async function (srcDir: string): Promise<PackageJson> {
   }
 }
 
-export { getPackageJson, PackageJson, sanitisePackageJson }
+export { getPackageEntry, getPackageJson, PackageJson, sanitisePackageJson }
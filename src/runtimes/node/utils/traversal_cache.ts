@@ -1,14 +1,18 @@
+import type { FileReasons } from './file_reasons'
+
 // Local cache used for optimizing the traversal of module dependencies.
 interface TraversalCache {
   localFiles: Set<string>
   moduleNames: Set<string>
   modulePaths: Set<string>
+  reasons: FileReasons
 }
 
 const getNewCache = (): TraversalCache => ({
   localFiles: new Set(),
   moduleNames: new Set(),
   modulePaths: new Set(),
+  reasons: new Map(),
 })
 
 export { TraversalCache, getNewCache }
@@ -11,9 +11,20 @@ import makeDir from 'make-dir'
 import pMap from 'p-map'
 import unixify from 'unixify'
 
-import { startZip, addZipFile, addZipContent, endZip, ZipArchive } from '../../../archive'
+import {
+  startZip,
+  addZipFile,
+  addZipContent,
+  endZip,
+  getArchiveExtension,
+  ArchiveFileFormat,
+  ArchiveFormat,
+  ZipArchive,
+} from '../../../archive'
 import { mkdirAndWriteFile } from '../../../utils/fs'
 
+import type { ArchiveFile, FileReasons } from './file_reasons'
+
 const pLstat = promisify(fs.lstat)
 const pWriteFile = promisify(fs.writeFile)
 
@@ -24,8 +35,6 @@ const COPY_FILE_CONCURRENCY = os.cpus().length === 0 ? 2 : os.cpus().length * 2
 // the entry file generated by zip-it-and-ship-it).
 const DEFAULT_USER_SUBDIRECTORY = 'src'
 
-type ArchiveFormat = 'none' | 'zip'
-
 interface EntryFile {
   contents: string
   filename: string
@@ -93,6 +102,7 @@ const createDirectory = async function ({
 
 const createZipArchive = async function ({
   aliases,
+  archiveFormat,
   basePath,
   destFolder,
   extension,
@@ -100,24 +110,10 @@ const createZipArchive = async function ({
   mainFile,
   rewrites,
   srcFiles,
-}: ZipNodeParameters) {
-  const destPath = join(destFolder, `${basename(filename, extension)}.zip`)
-  const { archive, output } = startZip(destPath)
-  const entryFilename = `${basename(filename, extension)}.js`
-  const entryFilePath = resolve(basePath, entryFilename)
-
-  // We don't need an entry file if it would end up with the same path as the
-  // function's main file.
-  const needsEntryFile = entryFilePath !== mainFile
-
-  // There is a naming conflict with the entry file if one of the supporting
-  // files (i.e. not the main file) has the path that the entry file needs to
-  // take.
-  const hasEntryFileConflict = srcFiles.some((srcFile) => srcFile === entryFilePath && srcFile !== mainFile)
-
-  // If there is a naming conflict, we move all user files (everything other
-  // than the entry file) to its own sub-directory.
-  const userNamespace = hasEntryFileConflict ? DEFAULT_USER_SUBDIRECTORY : ''
+}: ZipNodeParameters & { archiveFormat: ArchiveFileFormat }) {
+  const destPath = join(destFolder, `${basename(filename, extension)}${getArchiveExtension(archiveFormat)}`)
+  const { archive, output } = startZip(destPath, archiveFormat)
+  const { needsEntryFile, userNamespace } = getEntryFileLayout({ basePath, extension, filename, mainFile, srcFiles })
 
   if (needsEntryFile) {
     const entryFile = getEntryFile({ commonPrefix: basePath, filename, mainFile, userNamespace })
@@ -146,15 +142,71 @@ const createZipArchive = async function ({
   return destPath
 }
 
+// Determines whether an archive needs an entry file and, if so, whether the
+// user files must be moved to a sub-directory to make room for it.
+const getEntryFileLayout = function ({
+  basePath,
+  extension,
+  filename,
+  mainFile,
+  srcFiles,
+}: Pick<ZipNodeParameters, 'basePath' | 'extension' | 'filename' | 'mainFile' | 'srcFiles'>) {
+  const entryFilename = `${basename(filename, extension)}.js`
+  const entryFilePath = resolve(basePath, entryFilename)
+
+  // We don't need an entry file if it would end up with the same path as the
+  // function's main file.
+  const needsEntryFile = entryFilePath !== mainFile
+
+  // There is a naming conflict with the entry file if one of the supporting
+  // files (i.e. not the main file) has the path that the entry file needs to
+  // take.
+  const hasEntryFileConflict = srcFiles.some((srcFile) => srcFile === entryFilePath && srcFile !== mainFile)
+
+  // If there is a naming conflict, we move all user files (everything other
+  // than the entry file) to its own sub-directory.
+  const userNamespace = hasEntryFileConflict ? DEFAULT_USER_SUBDIRECTORY : ''
+
+  return { needsEntryFile, userNamespace }
+}
+
+// Returns the list of files that `zipNodeJs` adds to the archive, with their
+// path inside the archive and the reason why they were included.
+const getArchiveFiles = function ({
+  aliases = new Map(),
+  archiveFormat,
+  reasons = new Map(),
+  ...options
+}: ZipNodeParameters & { archiveFormat: ArchiveFormat; reasons?: FileReasons }): ArchiveFile[] {
+  const { basePath, filename, mainFile, srcFiles } = options
+  const { needsEntryFile, userNamespace } =
+    archiveFormat === 'none'
+      ? { needsEntryFile: true, userNamespace: DEFAULT_USER_SUBDIRECTORY }
+      : getEntryFileLayout(options)
+  const files: ArchiveFile[] = srcFiles.map((srcFile) => ({
+    path: normalizeFilePath({ commonPrefix: basePath, path: aliases.get(srcFile) || srcFile, userNamespace }),
+    reason: reasons.get(srcFile),
+    srcPath: srcFile,
+  }))
+
+  if (!needsEntryFile) {
+    return files
+  }
+
+  const { filename: entryFilename } = getEntryFile({ commonPrefix: basePath, filename, mainFile, userNamespace })
+
+  return [{ path: entryFilename, reason: { type: 'entry-file' } }, ...files]
+}
+
 const zipNodeJs = function ({
   archiveFormat,
   ...options
 }: ZipNodeParameters & { archiveFormat: ArchiveFormat }): Promise<string> {
-  if (archiveFormat === 'zip') {
-    return createZipArchive(options)
+  if (archiveFormat === 'none') {
+    return createDirectory(options)
   }
 
-  return createDirectory(options)
+  return createZipArchive({ ...options, archiveFormat })
 }
 
 const addEntryFileToZip = function (archive: ZipArchive, { contents, filename }: EntryFile) {
@@ -190,6 +242,15 @@ const getEntryFile = ({
   }
 }
 
+// Matches the contents of an entry file created by `getEntryFile`, capturing
+// the path of the file it points to.
+const ENTRY_FILE_REGEX = /^module\.exports = require\('\.\/(.+)'\)$/
+
+// Returns the path, relative to the root of the archive, of the file that an
+// entry file points to, or `undefined` if the contents don't match the format
+// of `getEntryFile`.
+const getEntryFileTarget = (contents: string) => ENTRY_FILE_REGEX.exec(contents.trim())?.[1]
+
 const zipJsFile = function ({
   aliases = new Map(),
   archive,
@@ -236,5 +297,5 @@ const normalizeFilePath = function ({
   return pathC
 }
 
-export { ArchiveFormat, zipNodeJs }
+export { getArchiveFiles, getEntryFileTarget, zipNodeJs }
 /* eslint-enable max-lines */
@@ -0,0 +1,180 @@
+import { basename, join, resolve } from 'path'
+
+import pathExists from 'path-exists'
+import tmp from 'tmp-promise'
+
+import { FunctionConfig } from '../../config'
+import { readdir } from '../../utils/fs'
+import { runCommand } from '../../utils/shell'
+
+import { listFiles } from './local_modules'
+import {
+  checkRequirements,
+  createDependencyError,
+  listPackages,
+  readRequirements,
+  REQUIREMENTS_FILE,
+  runtimeName,
+} from './requirements'
+
+const DEFAULT_VENDOR_DIRECTORY = 'vendor'
+const DEFAULT_WHEELS_DIRECTORY = 'wheels'
+
+interface Dependencies {
+  cleanup?: () => Promise<void>
+
+  // Files of the installed packages, indexed by their path in the archive.
+  files: Map<string, string>
+
+  // Files that determine which packages are installed.
+  inputs: string[]
+}
+
+const NO_DEPENDENCIES: Dependencies = { files: new Map(), inputs: [] }
+
+// Returns the absolute paths of the directory with the packages installed from
+// `requirements.txt` and of the directory with the wheel cache.
+const getDependencyDirectories = (config: FunctionConfig, srcDir: string) => ({
+  vendorDirectory: resolve(srcDir, config.pythonVendorDirectory ?? DEFAULT_VENDOR_DIRECTORY),
+  wheelsDirectory: resolve(srcDir, config.pythonWheelsDirectory ?? DEFAULT_WHEELS_DIRECTORY),
+})
+
+// Installs the packages in `requirements.txt` from the wheel cache into a
+// temporary directory. The `--no-index` flag ensures that nothing is
+// downloaded from the network.
+const installWheels = async ({
+  functionName,
+  requirementsPath,
+  wheelsDirectory,
+}: {
+  functionName: string
+  requirementsPath: string
+  wheelsDirectory: string
+}): Promise<Dependencies> => {
+  const { cleanup, path } = await tmp.dir({ unsafeCleanup: true })
+
+  try {
+    await runCommand('python3', [
+      '-m',
+      'pip',
+      'install',
+      '--no-index',
+      '--find-links',
+      wheelsDirectory,
+      '--requirement',
+      requirementsPath,
+      '--target',
+      path,
+      '--quiet',
+    ])
+  } catch (error) {
+    await cleanup()
+
+    error.customErrorInfo = { type: 'functionsBundling', location: { functionName, runtime: runtimeName } }
+
+    console.error(`Could not install the Python dependencies of function ${functionName}:\n`)
+
+    throw error
+  }
+
+  const [files, wheels] = await Promise.all([listFiles(path, ['**/__pycache__/**']), readdir(wheelsDirectory)])
+
+  return {
+    cleanup,
+    files,
+    inputs: [requirementsPath, ...wheels.map((wheel) => join(wheelsDirectory, wheel))],
+  }
+}
+
+// Returns the packages installed in the vendor directory, checking that all
+// the packages in `requirements.txt` are there.
+const getVendoredDependencies = async ({
+  functionName,
+  requirements,
+  requirementsPath,
+  vendorDirectory,
+}: {
+  functionName: string
+  requirements: string[]
+  requirementsPath: string
+  vendorDirectory: string
+}): Promise<Dependencies> => {
+  const packages = await listPackages(vendorDirectory, ['.dist-info', '.egg-info'])
+
+  checkRequirements({ directory: vendorDirectory, functionName, packages, requirements })
+
+  const files = await listFiles(vendorDirectory, ['**/__pycache__/**'])
+
+  return { files, inputs: [...(requirements.length === 0 ? [] : [requirementsPath]), ...files.values()] }
+}
+
+const getMissingDependenciesError = ({
+  functionName,
+  vendorDirectory,
+  wheelsDirectory,
+}: {
+  functionName: string
+  vendorDirectory: string
+  wheelsDirectory: string
+}) => {
+  const vendorCommand = `pip install -r ${REQUIREMENTS_FILE} --target ${basename(vendorDirectory)}`
+  const wheelsCommand = `pip download -r ${REQUIREMENTS_FILE} -d ${basename(wheelsDirectory)}`
+
+  return createDependencyError(
+    `The Python dependencies of function ${functionName} are not installed. Install them with \`${vendorCommand}\` or download them with \`${wheelsCommand}\`.`,
+    functionName,
+  )
+}
+
+// Finds the dependencies of a Python function without using the network. They
+// can be installed in a vendor directory (e.g. with `pip install --target`) or
+// be available as wheels in a cache directory (e.g. with `pip download`), in
+// which case they're installed from there.
+const getDependencies = async ({
+  config,
+  functionName,
+  srcDir,
+}: {
+  config: FunctionConfig
+  functionName: string
+  srcDir: string
+}): Promise<Dependencies> => {
+  const requirementsPath = join(srcDir, REQUIREMENTS_FILE)
+  const requirements = await readRequirements(requirementsPath)
+  const { vendorDirectory, wheelsDirectory } = getDependencyDirectories(config, srcDir)
+
+  if (await pathExists(vendorDirectory)) {
+    return getVendoredDependencies({ functionName, requirements, requirementsPath, vendorDirectory })
+  }
+
+  if (requirements.length === 0) {
+    return NO_DEPENDENCIES
+  }
+
+  if (!(await pathExists(wheelsDirectory))) {
+    throw getMissingDependenciesError({ functionName, vendorDirectory, wheelsDirectory })
+  }
+
+  const wheels = await listPackages(wheelsDirectory, ['.whl'])
+
+  checkRequirements({ directory: wheelsDirectory, functionName, packages: wheels, requirements })
+
+  return installWheels({ functionName, requirementsPath, wheelsDirectory })
+}
+
+// Removes the temporary directory where the dependencies were installed, if
+// any. If they couldn't be found, there's nothing to remove, and the error is
+// thrown by the caller.
+const cleanupDependencies = async (pendingDependencies: Promise<Dependencies>) => {
+  let dependencies: Dependencies
+
+  try {
+    dependencies = await pendingDependencies
+  } catch {
+    return
+  }
+
+  await dependencies.cleanup?.()
+}
+
+export { cleanupDependencies, getDependencies, getDependencyDirectories, NO_DEPENDENCIES }
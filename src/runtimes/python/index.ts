@@ -0,0 +1,162 @@
+import type { Stats } from 'fs'
+import { basename, dirname, extname, join } from 'path'
+
+import { getArchiveExtension, getArchiveFileFormat } from '../../archive'
+import { SourceFile } from '../../function'
+import { cachedLstat, cachedReaddir, FsCache } from '../../utils/fs'
+import { nonNullable } from '../../utils/non_nullable'
+import { measure } from '../../utils/timer'
+import { findLocalConfig } from '../local_config'
+import {
+  CanBuildFunction,
+  FindFunctionInPathFunction,
+  FindFunctionsInPathsFunction,
+  Runtime,
+  ZipFunction,
+} from '../runtime'
+
+import { cleanupDependencies, getDependencies, getDependencyDirectories, NO_DEPENDENCIES } from './dependencies'
+import { getLocalFiles } from './local_modules'
+import { zipPython } from './zip'
+
+const PYTHON_EXTENSION = '.py'
+
+// Returns the name of the main file of a directory function, which is either
+// `<directory name>.py` or `main.py`.
+const getMainFileName = async ({ fsCache, path }: { fsCache: FsCache; path: string }) => {
+  const directoryName = basename(path)
+
+  const files = await cachedReaddir(fsCache, path)
+
+  return [`${directoryName}${PYTHON_EXTENSION}`, `main${PYTHON_EXTENSION}`].find((name) => files.includes(name))
+}
+
+// Python functions are always found, so that they're listed, but they're only
+// built when the `buildPythonSource` feature flag is enabled.
+const canBuild: CanBuildFunction = ({ featureFlags }) => featureFlags.buildPythonSource === true
+
+const findFunctionsInPaths: FindFunctionsInPathsFunction = async function ({ featureFlags, fsCache, paths }) {
+  const functions = await Promise.all(paths.map((path) => findFunctionInPath({ featureFlags, fsCache, path })))
+
+  return functions.filter(nonNullable)
+}
+
+const findFunctionInPath: FindFunctionInPathFunction = async function ({ fsCache, path }) {
+  const stat = (await cachedLstat(fsCache, path)) as Stats
+
+  if (stat.isFile()) {
+    return extname(path) === PYTHON_EXTENSION ? processFile({ fsCache, path, stat }) : undefined
+  }
+
+  if (stat.isDirectory()) {
+    return processDirectory({ fsCache, path, stat })
+  }
+}
+
+const processFile = async ({
+  fsCache,
+  path,
+  stat,
+}: {
+  fsCache: FsCache
+  path: string
+  stat: Stats
+}): Promise<SourceFile> => {
+  const name = basename(path, PYTHON_EXTENSION)
+  const srcDir = dirname(path)
+
+  return {
+    extension: PYTHON_EXTENSION,
+    filename: basename(path),
+    localConfig: await findLocalConfig({ fsCache, name, srcDir, stat }),
+    mainFile: path,
+    name,
+    srcDir,
+    srcPath: path,
+    stat,
+  }
+}
+
+const processDirectory = async ({
+  fsCache,
+  path,
+  stat,
+}: {
+  fsCache: FsCache
+  path: string
+  stat: Stats
+}): Promise<SourceFile | undefined> => {
+  const mainFileName = await getMainFileName({ fsCache, path })
+
+  if (mainFileName === undefined) {
+    return
+  }
+
+  return {
+    extension: PYTHON_EXTENSION,
+    filename: basename(path),
+    localConfig: await findLocalConfig({ fsCache, name: basename(path), srcDir: path, stat }),
+    mainFile: join(path, mainFileName),
+    name: basename(path),
+    srcDir: path,
+    srcPath: path,
+    stat,
+  }
+}
+
+const zipFunction: ZipFunction = async function ({
+  archiveFormat,
+  config,
+  destFolder,
+  mainFile,
+  name,
+  onBundled,
+  runtime,
+  srcDir,
+  stat,
+}) {
+  const pythonArchiveFormat = getArchiveFileFormat(archiveFormat)
+  const destPath = join(destFolder, `${name}${getArchiveExtension(pythonArchiveFormat)}`)
+  const { vendorDirectory, wheelsDirectory } = getDependencyDirectories(config, srcDir)
+
+  // Single-file functions share their directory with the other functions, so
+  // only directory functions can have their own dependencies.
+  const pendingDependencies = stat.isDirectory()
+    ? getDependencies({ config, functionName: name, srcDir })
+    : Promise.resolve(NO_DEPENDENCIES)
+
+  try {
+    const [[localFiles, dependencies], bundling] = await measure(() =>
+      Promise.all([
+        getLocalFiles({
+          ignoredDirectories: [vendorDirectory, wheelsDirectory],
+          isDirectory: stat.isDirectory(),
+          mainFile,
+          srcDir,
+        }),
+        pendingDependencies,
+      ]),
+    )
+
+    onBundled?.({ bundling })
+
+    // Local files take precedence over installed packages with the same path.
+    const files = new Map([...dependencies.files, ...localFiles])
+    const [, archiving] = await measure(() =>
+      zipPython({ archiveFormat: pythonArchiveFormat, destPath, files, runtime }),
+    )
+
+    return {
+      config,
+      inputs: [...localFiles.values(), ...dependencies.inputs],
+      path: destPath,
+      timings: { archiving, bundling },
+    }
+  } finally {
+    await cleanupDependencies(pendingDependencies)
+  }
+}
+
+const runtime: Runtime = { canBuild, findFunctionsInPaths, findFunctionInPath, name: 'py', zipFunction }
+
+export default runtime
@@ -0,0 +1,144 @@
+import { dirname, join, normalize, relative } from 'path'
+import { promisify } from 'util'
+
+import glob from 'glob'
+import pathExists from 'path-exists'
+import unixify from 'unixify'
+
+import { readFile } from '../../utils/fs'
+
+const pGlob = promisify(glob)
+
+// Files and directories that are never added to the archive of a directory
+// function, relative to the function directory.
+const IGNORED_PATTERNS = ['**/__pycache__/**', '**/*.pyc', '.venv/**', 'venv/**']
+
+// Matches `import a.b, c as d` and `from .a.b import c, d`. Multi-line imports
+// with parentheses are matched up to the end of the first line, which is
+// enough to find the module they import from.
+const IMPORT_REGEX = /^\s*import\s+([\w.]+(?:\s+as\s+\w+)?(?:\s*,\s*[\w.]+(?:\s+as\s+\w+)?)*)/gm
+const FROM_IMPORT_REGEX = /^\s*from\s+(\.*)([\w.]*)\s+import\s+\(?\s*([\w\s,]*)/gm
+
+interface ImportedModule {
+  // Number of leading dots of a relative import, or 0 for absolute imports.
+  level: number
+  name: string
+}
+
+const getImportedModules = (contents: string): ImportedModule[] => {
+  const imports = [...contents.matchAll(IMPORT_REGEX)].flatMap(([, names]) =>
+    names.split(',').map((name) => ({ level: 0, name: name.trim().split(/\s+/)[0] })),
+  )
+
+  // In `from a import b`, `b` can be a submodule of `a` or just a name defined
+  // in `a`, so we look for both.
+  const fromImports = [...contents.matchAll(FROM_IMPORT_REGEX)].flatMap(([, dots, module, names]) => {
+    const submodules = names
+      .split(',')
+      .map((name) => name.trim().split(/\s+/)[0])
+      .filter(Boolean)
+      .map((name) => ({ level: dots.length, name: module === '' ? name : `${module}.${name}` }))
+
+    return module === '' ? submodules : [{ level: dots.length, name: module }, ...submodules]
+  })
+
+  return [...imports, ...fromImports]
+}
+
+// Returns the files that make up a module found in `rootDir`: the file of the
+// module itself and the `__init__.py` files of its parent packages. Modules
+// that are not local (e.g. from the standard library) return an empty array.
+const resolveModule = async (rootDir: string, name: string) => {
+  const segments = name.split('.')
+  const modulePath = join(rootDir, ...segments)
+  const candidates = [`${modulePath}.py`, join(modulePath, '__init__.py')]
+  const checks = await Promise.all(candidates.map((candidate) => pathExists(candidate)))
+  const moduleFile = candidates.find((_, index) => checks[index])
+
+  if (moduleFile === undefined) {
+    return []
+  }
+
+  const packageFiles = segments
+    .slice(0, -1)
+    .map((_, index) => join(rootDir, ...segments.slice(0, index + 1), '__init__.py'))
+  const packageChecks = await Promise.all(packageFiles.map((path) => pathExists(path)))
+
+  return [...packageFiles.filter((_, index) => packageChecks[index]), moduleFile]
+}
+
+// Returns the directory that a relative import is resolved against.
+const getImportRoot = ({ file, level, rootDir }: { file: string; level: number; rootDir: string }) => {
+  if (level === 0) {
+    return rootDir
+  }
+
+  return join(dirname(file), ...Array.from({ length: level - 1 }, () => '..'))
+}
+
+// Follows the `import` statements of the main file of a function, and of every
+// local module it imports, returning the paths of all the local modules.
+const traceLocalModules = async ({ mainFile, rootDir }: { mainFile: string; rootDir: string }) => {
+  const files = new Set([mainFile])
+  const pending = [mainFile]
+
+  while (pending.length !== 0) {
+    const file = pending.pop() as string
+    // eslint-disable-next-line no-await-in-loop
+    const contents = await readFile(file, 'utf8')
+    // eslint-disable-next-line no-await-in-loop
+    const modules = await Promise.all(
+      getImportedModules(contents).map(({ level, name }) =>
+        resolveModule(getImportRoot({ file, level, rootDir }), name),
+      ),
+    )
+
+    modules.flat().forEach((path) => {
+      // Relative imports can't go above the root directory of the function.
+      if (!files.has(path) && !relative(rootDir, path).startsWith('..')) {
+        files.add(path)
+        pending.push(path)
+      }
+    })
+  }
+
+  return [...files]
+}
+
+// Returns all the files in a directory, indexed by their path relative to it.
+const listFiles = async (directory: string, ignore: string[] = []) => {
+  const paths = await pGlob('**', { absolute: true, cwd: directory, dot: true, ignore, nodir: true })
+
+  return getFilesMap(directory, paths)
+}
+
+const getFilesMap = (directory: string, paths: string[]) =>
+  new Map(paths.map(normalize).map((path) => [unixify(relative(directory, path)), path]))
+
+// Returns the local files of a function, indexed by their path in the archive.
+// For a directory, that's all its files, minus the ones in `ignoredDirectories`
+// (e.g. the directory with the vendored dependencies). For a single file, it's
+// the file itself plus any local modules it imports from its directory.
+const getLocalFiles = async ({
+  ignoredDirectories,
+  isDirectory,
+  mainFile,
+  srcDir,
+}: {
+  ignoredDirectories: string[]
+  isDirectory: boolean
+  mainFile: string
+  srcDir: string
+}) => {
+  if (isDirectory) {
+    const ignore = [...IGNORED_PATTERNS, ...ignoredDirectories.map((directory) => `${relative(srcDir, directory)}/**`)]
+
+    return listFiles(srcDir, ignore)
+  }
+
+  const paths = await traceLocalModules({ mainFile, rootDir: srcDir })
+
+  return getFilesMap(srcDir, paths)
+}
+
+export { getLocalFiles, listFiles }
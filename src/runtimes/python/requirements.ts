@@ -0,0 +1,66 @@
+import { readFile, readdir } from '../../utils/fs'
+import type { RuntimeName } from '../runtime'
+
+const runtimeName: RuntimeName = 'py'
+
+const REQUIREMENTS_FILE = 'requirements.txt'
+
+// Normalizes the name of a Python package, so that `Foo_Bar` and `foo-bar`
+// are considered the same package (https://peps.python.org/pep-0503/).
+const normalizePackageName = (name: string) => name.toLowerCase().replace(/[._-]+/g, '-')
+
+// Returns the normalized names of the packages listed in a requirements file,
+// ignoring comments and options like `--index-url` or `-r other.txt`.
+const readRequirements = async (path: string) => {
+  try {
+    const contents = await readFile(path, 'utf8')
+
+    return contents
+      .split(/\r?\n/)
+      .map((line) => line.replace(/(^|\s)#.*$/, '').trim())
+      .filter((line) => line !== '' && !line.startsWith('-'))
+      .map((line) => normalizePackageName(line.split(/[^\w.-]/)[0]))
+  } catch (_) {
+    return []
+  }
+}
+
+// Returns the normalized names of the packages found in a directory, based on
+// the names of `*.dist-info` and `*.egg-info` directories (for installed
+// packages) or `*.whl` files (for wheels).
+const listPackages = async (directory: string, extensions: string[]) => {
+  const entries = await readdir(directory)
+
+  return entries
+    .filter((entry) => extensions.some((extension) => entry.endsWith(extension)))
+    .map((entry) => normalizePackageName(entry.split('-')[0]))
+}
+
+const createDependencyError = (message: string, functionName: string) =>
+  Object.assign(new Error(message), {
+    customErrorInfo: { type: 'functionsBundling', location: { functionName, runtime: runtimeName } },
+  })
+
+// Throws if any of the packages in `requirements` is not in `packages`.
+const checkRequirements = ({
+  directory,
+  functionName,
+  packages,
+  requirements,
+}: {
+  directory: string
+  functionName: string
+  packages: string[]
+  requirements: string[]
+}) => {
+  const missingPackages = requirements.filter((requirement) => !packages.includes(requirement))
+
+  if (missingPackages.length !== 0) {
+    throw createDependencyError(
+      `Could not find the following packages from ${REQUIREMENTS_FILE} in ${directory}: ${missingPackages.join(', ')}`,
+      functionName,
+    )
+  }
+}
+
+export { checkRequirements, createDependencyError, listPackages, readRequirements, REQUIREMENTS_FILE, runtimeName }
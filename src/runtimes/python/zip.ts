@@ -0,0 +1,33 @@
+import { addZipContent, addZipFile, ArchiveFileFormat, endZip, startZip } from '../../archive'
+import { lstat } from '../../utils/fs'
+import { Runtime } from '../runtime'
+
+// Zips the files of a Python function, indexed by their path in the archive,
+// along with a `netlify-toolchain` file like `zipBinary` does.
+const zipPython = async function ({
+  archiveFormat,
+  destPath,
+  files,
+  runtime,
+}: {
+  archiveFormat: ArchiveFileFormat
+  destPath: string
+  files: Map<string, string>
+  runtime: Runtime
+}) {
+  const { archive, output } = startZip(destPath, archiveFormat)
+
+  // Sorting the entries so that the archive doesn't depend on the order in
+  // which files were found.
+  const entries = [...files].sort(([nameA], [nameB]) => (nameA < nameB ? -1 : 1))
+  const stats = await Promise.all(entries.map(([, srcPath]) => lstat(srcPath)))
+
+  entries.forEach(([name, srcPath], index) => {
+    addZipFile(archive, srcPath, name, stats[index])
+  })
+  addZipContent(archive, JSON.stringify({ runtime: runtime.name }), 'netlify-toolchain')
+
+  await endZip(archive, output)
+}
+
+export { zipPython }
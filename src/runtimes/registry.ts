@@ -0,0 +1,83 @@
+import goRuntime from './go'
+import jsRuntime from './node'
+import pythonRuntime from './python'
+import type { Runtime, RuntimeName } from './runtime'
+import rustRuntime from './rust'
+
+interface RegisterRuntimeOptions {
+  after?: RuntimeName
+  before?: RuntimeName
+}
+
+const BUILT_IN_RUNTIMES = [jsRuntime, goRuntime, rustRuntime, pythonRuntime]
+
+const REQUIRED_METHODS = ['findFunctionsInPaths', 'findFunctionInPath', 'zipFunction'] as const
+
+// The order of this array determines the priority of the runtimes. If a path
+// is used by the first time, it won't be made available to the subsequent
+// runtimes.
+const runtimes: Runtime[] = [...BUILT_IN_RUNTIMES]
+
+const getRuntimes = () => runtimes
+
+const getRuntimeIndex = (name: RuntimeName) => {
+  const index = runtimes.findIndex((runtime) => runtime.name === name)
+
+  if (index === -1) {
+    throw new Error(`Unknown runtime: ${name}`)
+  }
+
+  return index
+}
+
+// Returns the position where a new runtime should be inserted. By default,
+// custom runtimes have a lower priority than all the existing ones.
+const getInsertIndex = ({ after, before }: RegisterRuntimeOptions) => {
+  if (before !== undefined && after !== undefined) {
+    throw new Error('Only one of `before` and `after` can be used when registering a runtime')
+  }
+
+  if (before !== undefined) {
+    return getRuntimeIndex(before)
+  }
+
+  return after === undefined ? runtimes.length : getRuntimeIndex(after) + 1
+}
+
+const validateRuntime = (runtime: Runtime) => {
+  if (typeof runtime.name !== 'string' || runtime.name === '') {
+    throw new Error('Runtimes must have a `name` property')
+  }
+
+  const missingMethod = REQUIRED_METHODS.find((method) => typeof runtime[method] !== 'function')
+
+  if (missingMethod !== undefined) {
+    throw new Error(`Runtime "${runtime.name}" must have a \`${missingMethod}\` method`)
+  }
+
+  if (runtimes.some(({ name }) => name === runtime.name)) {
+    throw new Error(`A runtime named "${runtime.name}" is already registered`)
+  }
+}
+
+// Registers a custom runtime. Its priority relative to the other runtimes can
+// be set with `before` or `after`, which take the name of another runtime.
+const registerRuntime = (runtime: Runtime, options: RegisterRuntimeOptions = {}) => {
+  validateRuntime(runtime)
+
+  runtimes.splice(getInsertIndex(options), 0, runtime)
+}
+
+// Removes a custom runtime. Built-in runtimes can't be removed.
+const unregisterRuntime = (name: RuntimeName) => {
+  const index = getRuntimeIndex(name)
+
+  if (BUILT_IN_RUNTIMES.includes(runtimes[index])) {
+    throw new Error(`Built-in runtime "${name}" can't be unregistered`)
+  }
+
+  runtimes.splice(index, 1)
+}
+
+export { getRuntimes, registerRuntime, unregisterRuntime }
+export type { RegisterRuntimeOptions }
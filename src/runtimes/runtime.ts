@@ -6,8 +6,14 @@ import { FsCache } from '../utils/fs'
 
 import type { NodeBundlerName } from './node'
 import type { ISCValues } from './node/in_source_config'
+import type { ArchiveFile } from './node/utils/file_reasons'
 
-type RuntimeName = 'go' | 'js' | 'rs'
+type BuiltInRuntimeName = 'go' | 'js' | 'py' | 'rs'
+
+// Custom runtimes can use any name. The intersection keeps the names of the
+// built-in runtimes available for autocompletion.
+// eslint-disable-next-line @typescript-eslint/ban-types
+type RuntimeName = BuiltInRuntimeName | (string & {})
 
 type FindFunctionsInPathsFunction = (args: {
   featureFlags: FeatureFlags
@@ -21,6 +27,10 @@ type FindFunctionInPathFunction = (args: {
   path: string
 }) => Promise<SourceFile | undefined>
 
+// Returns whether the functions found by a runtime can be built. Runtimes that
+// are still experimental are only built when a feature flag is enabled.
+type CanBuildFunction = (args: { featureFlags: FeatureFlags }) => boolean
+
 type GetSrcFilesFunction = (
   args: {
     basePath?: string
@@ -30,16 +40,31 @@ type GetSrcFilesFunction = (
   } & FunctionSource,
 ) => Promise<string[]>
 
+// Reads the configuration properties declared in the source code of a function,
+// like its schedule.
+type GetInSourceConfigFunction = (args: FunctionSource) => Promise<ISCValues>
+
+// Time spent, in milliseconds, in each of the phases of zipping a function.
+// Runtimes only report the phases that apply to them.
+interface ZipFunctionTimings {
+  archiving?: number
+  bundling?: number
+  iscParsing?: number
+}
+
 interface ZipFunctionResult {
+  archiveFiles?: ArchiveFile[]
   bundler?: NodeBundlerName
   bundlerErrors?: object[]
   bundlerWarnings?: object[]
   config: FunctionConfig
+  configIssues?: string[]
   inputs?: string[]
   inSourceConfig?: ISCValues
   nativeNodeModules?: object
   nodeModulesWithDynamicImports?: string[]
   path: string
+  timings?: ZipFunctionTimings
 }
 
 type ZipFunction = (
@@ -49,24 +74,31 @@ type ZipFunction = (
     config: FunctionConfig
     destFolder: string
     featureFlags: FeatureFlags
+    // Called once the function has been bundled, before it's archived.
+    onBundled?: (timings: Omit<ZipFunctionTimings, 'archiving'>) => void
     repositoryRoot?: string
   } & FunctionSource,
 ) => Promise<ZipFunctionResult>
 
 interface Runtime {
+  canBuild?: CanBuildFunction
   findFunctionsInPaths: FindFunctionsInPathsFunction
   findFunctionInPath: FindFunctionInPathFunction
+  getInSourceConfig?: GetInSourceConfigFunction
   getSrcFiles?: GetSrcFilesFunction
   name: RuntimeName
   zipFunction: ZipFunction
 }
 
 export {
+  CanBuildFunction,
   FindFunctionInPathFunction,
   FindFunctionsInPathsFunction,
+  GetInSourceConfigFunction,
   GetSrcFilesFunction,
   Runtime,
   RuntimeName,
   ZipFunction,
   ZipFunctionResult,
+  ZipFunctionTimings,
 }
@@ -1,13 +1,23 @@
 import type { Stats } from 'fs'
 import { join, extname, dirname, basename } from 'path'
 
+import { getArchiveExtension, getArchiveFileFormat } from '../../archive'
 import { FeatureFlags } from '../../feature_flags'
 import { SourceFile } from '../../function'
 import { cachedLstat, cachedReaddir, FsCache } from '../../utils/fs'
 import { nonNullable } from '../../utils/non_nullable'
+import { measure } from '../../utils/timer'
 import { zipBinary } from '../../zip_binary'
 import { detectBinaryRuntime } from '../detect_runtime'
-import { FindFunctionsInPathsFunction, FindFunctionInPathFunction, Runtime, ZipFunction } from '../runtime'
+import { findLocalConfig } from '../local_config'
+import { findMagicCommentsInPath } from '../magic_comments'
+import {
+  FindFunctionsInPathsFunction,
+  FindFunctionInPathFunction,
+  GetInSourceConfigFunction,
+  Runtime,
+  ZipFunction,
+} from '../runtime'
 
 import { build } from './builder'
 import { MANIFEST_NAME } from './constants'
@@ -19,9 +29,7 @@ const detectRustFunction = async ({ fsCache, path }: { fsCache: FsCache; path: s
     return
   }
 
-  // @ts-expect-error TODO: The `makeCachedFunction` abstraction is causing the
-  // return value of `readdir` to be incorrectly typed.
-  const files = (await cachedReaddir(fsCache, path)) as string[]
+  const files = await cachedReaddir(fsCache, path)
   const hasCargoManifest = files.includes(MANIFEST_NAME)
 
   if (!hasCargoManifest) {
@@ -78,10 +86,12 @@ const processBinary = async ({ fsCache, path }: { fsCache: FsCache; path: string
   const filename = basename(path)
   const extension = extname(path)
   const name = basename(path, extension)
+  const localConfig = await findLocalConfig({ fsCache, name, srcDir: dirname(path), stat })
 
   return {
     extension,
     filename,
+    localConfig,
     mainFile: path,
     name,
     srcDir: dirname(path),
@@ -107,10 +117,12 @@ const processSource = async ({
   const filename = basename(path)
   const extension = extname(path)
   const name = basename(path, extension)
+  const localConfig = await findLocalConfig({ fsCache, name, srcDir: path, stat })
 
   return {
     extension,
     filename,
+    localConfig,
     mainFile,
     name,
     srcDir: path,
@@ -119,41 +131,54 @@ const processSource = async ({
   }
 }
 
+// Functions built from source can declare their in-source configuration with
+// magic comments in `src/main.rs` (e.g. `//netlify:schedule @hourly`).
+const getInSourceConfig: GetInSourceConfigFunction = async ({ mainFile }) =>
+  extname(mainFile) === '.rs' ? await findMagicCommentsInPath(mainFile) : {}
+
 // The name of the binary inside the zip file must always be `bootstrap`
 // because they include the Lambda runtime, and that's the name that AWS
 // expects for those kind of functions.
 const zipFunction: ZipFunction = async function ({
+  archiveFormat,
   config,
   destFolder,
   filename,
   mainFile,
+  onBundled,
   runtime,
   srcDir,
   srcPath,
   stat,
 }) {
-  const destPath = join(destFolder, `${filename}.zip`)
+  const binaryArchiveFormat = getArchiveFileFormat(archiveFormat)
+  const destPath = join(destFolder, `${filename}${getArchiveExtension(binaryArchiveFormat)}`)
   const isSource = extname(mainFile) === '.rs'
   const zipOptions = {
+    archiveFormat: binaryArchiveFormat,
     destPath,
     filename: 'bootstrap',
     runtime,
   }
 
+  const [inSourceConfig, iscParsing] = isSource
+    ? await measure(() => findMagicCommentsInPath(mainFile))
+    : [undefined, undefined]
+
   // If we're building from source, we first need to build the source and zip
   // the resulting binary. Otherwise, we're dealing with a binary so we zip it
   // directly.
-  if (isSource) {
-    const { path: binaryPath, stat: binaryStat } = await build({ config, name: filename, srcDir })
+  const [binary, bundling] = isSource
+    ? await measure(() => build({ config, name: filename, srcDir }))
+    : [{ path: srcPath, stat }, undefined]
 
-    await zipBinary({ ...zipOptions, srcPath: binaryPath, stat: binaryStat })
-  } else {
-    await zipBinary({ ...zipOptions, srcPath, stat })
-  }
+  onBundled?.({ bundling, iscParsing })
+
+  const [, archiving] = await measure(() => zipBinary({ ...zipOptions, srcPath: binary.path, stat: binary.stat }))
 
-  return { config, path: destPath }
+  return { config, inSourceConfig, path: destPath, timings: { archiving, bundling, iscParsing } }
 }
 
-const runtime: Runtime = { findFunctionsInPaths, findFunctionInPath, name: 'rs', zipFunction }
+const runtime: Runtime = { findFunctionsInPaths, findFunctionInPath, getInSourceConfig, name: 'rs', zipFunction }
 
 export default runtime
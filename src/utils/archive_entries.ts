@@ -0,0 +1,70 @@
+import { Buffer } from 'buffer'
+import { join, relative } from 'path'
+
+import { readArchive } from './archive_reader'
+import { lstat, readdir, readFile } from './fs'
+
+// An entry (i.e. a file, a directory or a symlink) inside an archive.
+interface ArchiveEntry {
+  // Size of the entry inside the archive. Only available for ZIP archives.
+  compressedSize?: number
+  mode: number
+  name: string
+  size: number
+  type: 'directory' | 'file' | 'symlink'
+}
+
+// Lists the files inside a directory, recursively, in the same format as the
+// entries of an archive. This is used for the `none` archive format.
+const getDirectoryEntries = async (directory: string, root = directory): Promise<ArchiveEntry[]> => {
+  const filenames = await readdir(directory)
+  const entries = await Promise.all(
+    filenames.sort().map(async (filename) => {
+      const path = join(directory, filename)
+      const stat = await lstat(path)
+
+      if (stat.isDirectory()) {
+        return getDirectoryEntries(path, root)
+      }
+
+      const type: ArchiveEntry['type'] = stat.isSymbolicLink() ? 'symlink' : 'file'
+
+      return [{ mode: stat.mode, name: relative(root, path).split('\\').join('/'), size: stat.size, type }]
+    }),
+  )
+
+  return entries.flat()
+}
+
+// Lists the entries of an archive created by `zipFunctions`, inferring its
+// format from the path. Directories are also supported.
+const listArchiveEntries = async (path: string): Promise<ArchiveEntry[]> => {
+  const stat = await lstat(path)
+
+  if (stat.isDirectory()) {
+    return getDirectoryEntries(path)
+  }
+
+  const { entries } = await readArchive(path)
+
+  return entries
+}
+
+// Returns the contents of an entry of an archive created by `zipFunctions`, or
+// `undefined` if there is no such entry. Directories are also supported.
+const readArchiveEntry = async (path: string, name: string): Promise<Buffer | undefined> => {
+  const stat = await lstat(path)
+
+  if (stat.isDirectory()) {
+    const entries = await getDirectoryEntries(path)
+
+    return entries.some((entry) => entry.name === name) ? readFile(join(path, name)) : undefined
+  }
+
+  const { contents } = await readArchive(path, name)
+
+  return contents
+}
+
+export { listArchiveEntries, readArchiveEntry }
+export type { ArchiveEntry }
@@ -0,0 +1,138 @@
+import { Buffer } from 'buffer'
+import { createReadStream } from 'fs'
+import { pipeline, Transform } from 'stream'
+import { promisify } from 'util'
+import zlib from 'zlib'
+
+import getStream from 'get-stream'
+import tarStream, { Headers } from 'tar-stream'
+import yauzl, { Entry, Options, ZipFile } from 'yauzl'
+
+import type { ArchiveEntry } from './archive_entries'
+
+// The entries of an archive and, if requested, the contents of one of them.
+interface ArchiveContents {
+  contents?: Buffer
+  entries: ArchiveEntry[]
+}
+
+const pOpenZip = promisify<string, Options, ZipFile>(yauzl.open)
+const pPipeline = promisify(pipeline)
+
+const S_IFMT = 0o170000
+const S_IFDIR = 0o040000
+const S_IFLNK = 0o120000
+
+// External attributes of a ZIP entry keep the Unix mode in the upper 16 bits.
+const MODE_SHIFT = 16
+
+// `zlib.createZstdDecompress` is only available in recent versions of Node.js.
+const { createZstdDecompress } = zlib as typeof zlib & { createZstdDecompress?: () => Transform }
+
+const getTypeFromMode = (mode: number): ArchiveEntry['type'] => {
+  // eslint-disable-next-line no-bitwise
+  const fileType = mode & S_IFMT
+
+  if (fileType === S_IFDIR) {
+    return 'directory'
+  }
+
+  return fileType === S_IFLNK ? 'symlink' : 'file'
+}
+
+const getZipEntry = ({ compressedSize, externalFileAttributes, fileName, uncompressedSize }: Entry): ArchiveEntry => {
+  // eslint-disable-next-line no-bitwise
+  const mode = externalFileAttributes >>> MODE_SHIFT
+
+  return {
+    compressedSize,
+    mode,
+    name: fileName,
+    size: uncompressedSize,
+    type: fileName.endsWith('/') ? 'directory' : getTypeFromMode(mode),
+  }
+}
+
+const getTarEntry = ({ mode = 0, name, size = 0, type }: Headers): ArchiveEntry => ({
+  mode,
+  name,
+  size,
+  type: type === 'directory' || type === 'symlink' ? type : 'file',
+})
+
+const readZipEntryContents = async (zipFile: ZipFile, entry: Entry) => {
+  const stream = await promisify<Entry, NodeJS.ReadableStream>(zipFile.openReadStream.bind(zipFile))(entry)
+
+  return getStream.buffer(stream)
+}
+
+// Lists the entries of a ZIP archive from its central directory, only reading
+// the contents of the entry called `name`, if any.
+const readZipArchive = async (path: string, name?: string): Promise<ArchiveContents> => {
+  const zipFile = await pOpenZip(path, { autoClose: false })
+
+  try {
+    const entries: Entry[] = []
+
+    zipFile.on('entry', (entry: Entry) => {
+      entries.push(entry)
+    })
+
+    await new Promise((resolve, reject) => {
+      zipFile.on('end', resolve)
+      zipFile.on('error', reject)
+    })
+
+    const match = entries.find(({ fileName }) => fileName === name)
+    const contents = match === undefined ? undefined : await readZipEntryContents(zipFile, match)
+
+    return { contents, entries: entries.map(getZipEntry) }
+  } finally {
+    zipFile.close()
+  }
+}
+
+const getDecompressionStream = (path: string) => {
+  if (path.endsWith('.tar.gz')) {
+    return zlib.createGunzip()
+  }
+
+  if (createZstdDecompress === undefined) {
+    throw new Error('Reading `tar.zst` archives requires a version of Node.js with Zstandard support')
+  }
+
+  return createZstdDecompress()
+}
+
+// Lists the entries of a tarball, which can only be read sequentially, as it's
+// streamed through the decompression stream. Only the contents of the entry
+// called `name`, if any, are kept.
+const readTarArchive = async (path: string, name?: string): Promise<ArchiveContents> => {
+  const extract = tarStream.extract()
+  const entries: ArchiveEntry[] = []
+  const chunks: Buffer[] = []
+  let hasMatch = false
+
+  extract.on('entry', (header: Headers, stream, next) => {
+    entries.push(getTarEntry(header))
+
+    if (header.name === name) {
+      hasMatch = true
+      stream.on('data', (chunk: Buffer) => chunks.push(chunk))
+    }
+
+    stream.on('end', next)
+    stream.resume()
+  })
+
+  await pPipeline(createReadStream(path), getDecompressionStream(path), extract)
+
+  return { contents: hasMatch ? Buffer.concat(chunks) : undefined, entries }
+}
+
+// Reads the entries of a ZIP archive or a tarball, inferring the format from
+// the path, and the contents of the entry called `name`, if set.
+const readArchive = (path: string, name?: string) =>
+  path.endsWith('.zip') ? readZipArchive(path, name) : readTarArchive(path, name)
+
+export { readArchive }
@@ -1,15 +1,23 @@
-import { extname } from 'path'
-
+import { ARCHIVE_FORMATS, getArchiveExtension } from '../archive'
 import type { FunctionArchive } from '../function'
 
-import { stat } from './fs'
+import { listArchiveEntries } from './archive_entries'
+import { lstat, stat } from './fs'
+import { removeUndefined } from './remove_undefined'
+import { getSizeWarning, SizeLimitViolation, SizeLimits } from './size_report'
+
+type SizeLimitAction = 'error' | 'warn'
+
+const isArchivePath = (path: string) =>
+  ARCHIVE_FORMATS.some((format) => format !== 'none' && path.endsWith(getArchiveExtension(format)))
 
 // Returns the input object with an additional `size` property containing the
-// size of the file at `path` when it is a ZIP archive.
+// size of the file at `path` when it is an archive (i.e. a ZIP file or a
+// tarball).
 const addArchiveSize = async (result: FunctionArchive) => {
   const { path } = result
 
-  if (extname(path) !== '.zip') {
+  if (!isArchivePath(path)) {
     return result
   }
 
@@ -18,4 +26,73 @@ const addArchiveSize = async (result: FunctionArchive) => {
   return { ...result, size }
 }
 
-export { addArchiveSize }
+// Returns whether the output of a function can be measured: archives and
+// directories can, but things like Go binaries can't.
+const isMeasurable = async (path: string) => {
+  if (isArchivePath(path)) {
+    return true
+  }
+
+  try {
+    const pathStat = await lstat(path)
+
+    return pathStat.isDirectory()
+  } catch (_) {
+    return false
+  }
+}
+
+// Returns the limits that apply to a function, with the ones defined in its
+// configuration object taking precedence over the global ones.
+const getSizeLimits = (config: FunctionArchive['config'], globalLimits: SizeLimits): SizeLimits => ({
+  ...globalLimits,
+  ...removeUndefined({ maxArchiveSize: config.maxArchiveSize, maxUncompressedSize: config.maxUncompressedSize }),
+})
+
+const getViolations = (limits: SizeLimits, sizes: Record<keyof SizeLimits, number | undefined>) =>
+  (Object.keys(limits) as (keyof SizeLimits)[])
+    .map((property) => ({ limit: limits[property], property, size: sizes[property] }))
+    .filter(
+      (violation): violation is SizeLimitViolation =>
+        violation.limit !== undefined && violation.size !== undefined && violation.size > violation.limit,
+    )
+
+// Checks the archive of a function against the size limits defined in its
+// configuration object or globally, with the former taking precedence. If a
+// limit is exceeded, an error is thrown or a `sizeWarning` property is added
+// to the result, depending on `action`.
+const checkArchiveSize = async (
+  result: FunctionArchive,
+  { action = 'error', limits: globalLimits }: { action?: SizeLimitAction; limits: SizeLimits },
+) => {
+  const limits = getSizeLimits(result.config, globalLimits)
+  const hasLimits = Object.values(limits).some((limit) => limit !== undefined)
+
+  if (!hasLimits || !(await isMeasurable(result.path))) {
+    return result
+  }
+
+  const entries = await listArchiveEntries(result.path)
+  const uncompressedSize = entries.reduce((total, { size }) => total + size, 0)
+  const violations = getViolations(limits, { maxArchiveSize: result.size, maxUncompressedSize: uncompressedSize })
+
+  if (violations.length === 0) {
+    return { ...result, uncompressedSize }
+  }
+
+  const sizeWarning = getSizeWarning({ entries, name: result.name, violations })
+
+  if (action === 'warn') {
+    return { ...result, sizeWarning, uncompressedSize }
+  }
+
+  throw Object.assign(new Error(sizeWarning.message), {
+    customErrorInfo: {
+      type: 'functionsBundling',
+      location: { functionName: result.name, runtime: result.runtime.name },
+    },
+  })
+}
+
+export { addArchiveSize, checkArchiveSize, isMeasurable }
+export type { SizeLimitAction }
@@ -0,0 +1,38 @@
+// Returns the number of single-character insertions, deletions or
+// substitutions needed to turn `source` into `target`.
+const getEditDistance = (source: string, target: string) => {
+  let previousRow = Array.from({ length: target.length + 1 }, (_, index) => index)
+
+  for (const [sourceIndex, sourceChar] of [...source].entries()) {
+    const row = [sourceIndex + 1]
+
+    for (const [targetIndex, targetChar] of [...target].entries()) {
+      const substitutionCost = sourceChar === targetChar ? 0 : 1
+
+      row.push(
+        Math.min(previousRow[targetIndex + 1] + 1, row[targetIndex] + 1, previousRow[targetIndex] + substitutionCost),
+      )
+    }
+
+    previousRow = row
+  }
+
+  return previousRow[target.length]
+}
+
+// Candidates further away than this fraction of their length are considered
+// unrelated to the input.
+const MAX_DISTANCE_RATIO = 0.4
+
+// Returns the candidate that is the closest to `value`, as long as it's close
+// enough to be a likely typo, or `undefined` otherwise.
+const getClosestMatch = (value: string, candidates: string[]) => {
+  const matches = candidates
+    .map((candidate) => ({ candidate, distance: getEditDistance(value.toLowerCase(), candidate.toLowerCase()) }))
+    .filter(({ candidate, distance }) => distance <= Math.ceil(candidate.length * MAX_DISTANCE_RATIO))
+    .sort((matchA, matchB) => matchA.distance - matchB.distance)
+
+  return matches.length === 0 ? undefined : matches[0].candidate
+}
+
+export { getClosestMatch }
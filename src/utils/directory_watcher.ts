@@ -0,0 +1,57 @@
+import { FSWatcher, watch } from 'fs'
+import { join } from 'path'
+
+interface DirectoryWatcher {
+  close: () => void
+  update: (directories: Set<string>) => void
+}
+
+// Watches a set of directories, non-recursively, calling `onChange` with the
+// path of any entry that is added, modified or removed. When the name of the
+// entry is not known, the path of the directory is used instead.
+const createDirectoryWatcher = ({
+  onChange,
+  onError,
+}: {
+  onChange: (path: string) => void
+  onError: (error: Error) => void
+}): DirectoryWatcher => {
+  const watchers = new Map<string, FSWatcher>()
+
+  const addDirectory = (directory: string) => {
+    try {
+      const watcher = watch(directory, (_, filename) => {
+        onChange(filename ? join(directory, filename.toString()) : directory)
+      })
+
+      watcher.on('error', onError)
+      watchers.set(directory, watcher)
+    } catch (_) {
+      // The directory doesn't exist (anymore). If it's created later, we'll
+      // try again on the next update.
+    }
+  }
+
+  // Starts watching any new directories and stops watching the ones that are
+  // no longer in the list.
+  const update = (directories: Set<string>) => {
+    watchers.forEach((watcher, directory) => {
+      if (!directories.has(directory)) {
+        watcher.close()
+        watchers.delete(directory)
+      }
+    })
+    directories.forEach((directory) => {
+      if (!watchers.has(directory)) {
+        addDirectory(directory)
+      }
+    })
+  }
+
+  const close = () => update(new Set())
+
+  return { close, update }
+}
+
+export { createDirectoryWatcher }
+export type { DirectoryWatcher }
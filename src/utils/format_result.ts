@@ -1,24 +1,60 @@
-import { FunctionArchive } from '../function'
+import { FunctionArchive, FunctionSource } from '../function'
 import { RuntimeName } from '../runtimes/runtime'
 
+import { FunctionType, getFunctionType } from './function_type'
 import { removeUndefined } from './remove_undefined'
+import { getSchedule } from './schedule'
 
 type FunctionResult = Omit<FunctionArchive, 'runtime'> & {
   runtime: RuntimeName
   schedule?: string
+  type: FunctionType
+}
+
+// A function that couldn't be zipped, returned instead of a `FunctionResult`
+// when the `continueOnError` option is set.
+interface FailedFunctionResult {
+  error: {
+    customErrorInfo?: object
+    message: string
+  }
+  mainFile: string
+  name: string
+  runtime: RuntimeName
+  status: 'failed'
 }
 
 // Takes the result of zipping a function and formats it for output.
 const formatZipResult = (archive: FunctionArchive) => {
+  const schedule = getSchedule(archive)
   const functionResult: FunctionResult = {
     ...archive,
+    archiveFiles: undefined,
     inSourceConfig: undefined,
     runtime: archive.runtime.name,
-    schedule: archive.inSourceConfig?.schedule ?? archive?.config?.schedule,
+    schedule,
+    timings: undefined,
+    type: getFunctionType({ inSourceConfig: archive.inSourceConfig, name: archive.name, schedule }),
   }
 
   return removeUndefined(functionResult)
 }
 
-export { formatZipResult }
-export type { FunctionResult }
+// Takes a function and the error thrown when zipping it and formats them for
+// output, keeping the `customErrorInfo` property added to user errors.
+const formatFailedResult = (
+  { mainFile, name, runtime }: FunctionSource,
+  { customErrorInfo, message }: Error & { customErrorInfo?: object },
+): FailedFunctionResult => ({
+  error: removeUndefined({ customErrorInfo, message }),
+  mainFile,
+  name,
+  runtime: runtime.name,
+  status: 'failed',
+})
+
+const isFailedResult = (result: FunctionResult | FailedFunctionResult): result is FailedFunctionResult =>
+  'status' in result && result.status === 'failed'
+
+export { formatFailedResult, formatZipResult, isFailedResult }
+export type { FailedFunctionResult, FunctionResult }
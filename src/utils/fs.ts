@@ -2,7 +2,9 @@ import { lstat, readdir, readFile, stat, unlink, writeFile } from 'fs'
 import { dirname, format, join, parse, resolve } from 'path'
 import { promisify } from 'util'
 
+import findUp from 'find-up'
 import makeDir from 'make-dir'
+import pathExists from 'path-exists'
 
 import { nonNullable } from './non_nullable'
 
@@ -35,9 +37,40 @@ const makeCachedFunction =
   }
 
 const cachedLstat = makeCachedFunction(pLstat)
-const cachedReaddir = makeCachedFunction(pReaddir)
+
+// `makeCachedFunction` picks the last overload of `readdir`, which returns
+// `Dirent` objects, so the names of the entries are typed here instead.
+const cachedReaddir = makeCachedFunction(pReaddir) as unknown as (cache: FsCache, path: string) => Promise<string[]>
+
 const cachedReadFile = makeCachedFunction(pReadFile)
 
+// Reads and parses a JSON file using the cache. The file might have been read
+// as a buffer by another consumer of the cache, so we convert it to a string
+// either way.
+const cachedReadJsonFile = async (cache: FsCache, path: string) => {
+  const contents = String(await cachedReadFile(cache, path))
+
+  try {
+    return JSON.parse(contents)
+  } catch (error) {
+    throw new Error(`${path} is invalid JSON: ${error.message}`)
+  }
+}
+
+// Looks for a file in a directory and its parents, stopping at `rootDir` if
+// set, and returns its path.
+const findUpToRoot = (fileName: string, cwd: string, rootDir?: string) =>
+  findUp(
+    async (directory) => {
+      if (await pathExists(join(directory, fileName))) {
+        return fileName
+      }
+
+      return directory === rootDir ? findUp.stop : undefined
+    },
+    { cwd },
+  )
+
 const getPathWithExtension = (path: string, extension: string) =>
   format({ ...parse(path), base: undefined, ext: extension })
 
@@ -102,6 +135,8 @@ export {
   cachedLstat,
   cachedReaddir,
   cachedReadFile,
+  cachedReadJsonFile,
+  findUpToRoot,
   pLstat as lstat,
   getPathWithExtension,
   listFunctionsDirectories,
@@ -111,6 +146,7 @@ export {
   pStat as stat,
   pWriteFile as writeFile,
   pReadFile as readFile,
+  pReaddir as readdir,
   mkdirAndWriteFile,
 }
 export type { FsCache }
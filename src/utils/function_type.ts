@@ -0,0 +1,31 @@
+import type { ISCValues } from '../runtimes/node/in_source_config'
+
+type FunctionType = 'background' | 'builder' | 'scheduled' | 'standard'
+
+const BACKGROUND_SUFFIX = '-background'
+
+// Returns the type of a function. Background functions are identified by the
+// `-background` suffix of their name, On-Demand Builders by the `builder()`
+// helper wrapping their handler and scheduled functions by their schedule.
+const getFunctionType = ({
+  inSourceConfig,
+  name,
+  schedule,
+}: {
+  inSourceConfig?: ISCValues
+  name: string
+  schedule?: string
+}): FunctionType => {
+  if (name.endsWith(BACKGROUND_SUFFIX)) {
+    return 'background'
+  }
+
+  if (inSourceConfig?.builder) {
+    return 'builder'
+  }
+
+  return schedule === undefined ? 'standard' : 'scheduled'
+}
+
+export { getFunctionType }
+export type { FunctionType }
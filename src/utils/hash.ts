@@ -0,0 +1,29 @@
+import { Buffer } from 'buffer'
+import { createHash } from 'crypto'
+import { createReadStream } from 'fs'
+
+// Returns the SHA-256 checksum of a string or a buffer, in hexadecimal format.
+const getHash = (contents: string | Buffer) => createHash('sha256').update(contents).digest('hex')
+
+// Returns the SHA-256 checksum of the file at the given path, in hexadecimal
+// format. The file is read in streaming mode, so that we don't need to load
+// large archives into memory.
+const getFileHash = (path: string) =>
+  new Promise<string>((resolve, reject) => {
+    const hash = createHash('sha256')
+
+    createReadStream(path)
+      .on('error', reject)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+  })
+
+// Returns a checksum of the contents of a list of files, which doesn't depend
+// on the order of the list.
+const getInputsHash = async (paths: string[]) => {
+  const inputHashes = await Promise.all([...new Set(paths)].sort().map(async (path) => [path, await getFileHash(path)]))
+
+  return getHash(JSON.stringify(inputHashes))
+}
+
+export { getFileHash, getHash, getInputsHash }
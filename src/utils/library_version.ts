@@ -0,0 +1,16 @@
+import { join } from 'path'
+
+import readPackageJson from 'read-package-json-fast'
+
+// Path of the `package.json` of this module, from both `src/utils` and
+// `dist/utils`.
+const PACKAGE_JSON_PATH = join(__dirname, '..', '..', 'package.json')
+
+// Returns the version of this module.
+const getLibraryVersion = async () => {
+  const { version } = await readPackageJson(PACKAGE_JSON_PATH)
+
+  return version as string
+}
+
+export { getLibraryVersion }
@@ -0,0 +1,71 @@
+import type { Report, ReportFile } from '../report'
+import type { FileReason } from '../runtimes/node/utils/file_reasons'
+
+import { formatBytes } from './size_report'
+
+const HTML_ENTITIES: Record<string, string> = {
+  '"': '&quot;',
+  '&': '&amp;',
+  "'": '&#39;',
+  '<': '&lt;',
+  '>': '&gt;',
+}
+
+const escapeHtml = (text: string) => text.replace(/["&'<>]/g, (character) => HTML_ENTITIES[character])
+
+type ReasonDescriptions = {
+  [Type in FileReason['type']]: (reason: Extract<FileReason, { type: Type }>) => string
+}
+
+const REASON_DESCRIPTIONS: ReasonDescriptions = {
+  'dynamic-import': ({ glob }) => `Matched by the dynamic import glob "${glob}"`,
+  'entry-file': () => 'Entry file generated by zip-it-and-ship-it',
+  'function-directory': () => 'Part of the function directory',
+  'included-files': ({ glob }) => `Matched by the \`includedFiles\` glob "${glob}"`,
+  'local-import': ({ importer }) => `Imported by ${importer}`,
+  'main-file': ({ bundledFiles }) =>
+    bundledFiles === undefined ? 'Main file' : `Main file, bundled from ${bundledFiles.length} input file(s)`,
+  'node-module': ({ importer, moduleName }) =>
+    importer === undefined
+      ? `File from module "${moduleName}", listed in \`externalNodeModules\``
+      : `File from module "${moduleName}", a dependency of ${importer}`,
+  'side-file': ({ moduleName }) => `Side file generated by module "${moduleName}"`,
+}
+
+// Returns a human-readable description of the reason why a file was included.
+const describeReason = (reason?: FileReason) => {
+  if (reason === undefined) {
+    return 'Unknown'
+  }
+
+  const describe = REASON_DESCRIPTIONS[reason.type] as (fileReason: FileReason) => string
+
+  return describe(reason)
+}
+
+const renderFile = ({ path, reason, size }: ReportFile) =>
+  `<tr><td>${escapeHtml(path)}</td><td>${formatBytes(size)}</td><td>${escapeHtml(describeReason(reason))}</td></tr>`
+
+// Renders the HTML version of a bundle report.
+const renderReport = ({ bundler = 'n/a', files, name, size, uncompressedSize }: Report) => `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Bundle report for ${escapeHtml(name)}</title>
+</head>
+<body>
+<h1>Bundle report for ${escapeHtml(name)}</h1>
+<p>Bundler: ${escapeHtml(bundler)}</p>
+<p>Archive size: ${size === undefined ? 'n/a' : formatBytes(size)}</p>
+<p>Uncompressed size: ${formatBytes(uncompressedSize)}</p>
+<table>
+<thead><tr><th>File</th><th>Size</th><th>Reason</th></tr></thead>
+<tbody>
+${files.map(renderFile).join('\n')}
+</tbody>
+</table>
+</body>
+</html>
+`
+
+export { renderReport }
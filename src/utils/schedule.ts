@@ -0,0 +1,84 @@
+import cronParser from 'cron-parser'
+
+import type { FunctionConfig } from '../config'
+import type { ISCValues } from '../runtimes/node/in_source_config'
+import type { RuntimeName } from '../runtimes/runtime'
+
+// The shortcuts supported by scheduled functions, with their equivalent in
+// `cron-parser`, which doesn't know about `@annually` and `@midnight`.
+const SHORTCUTS: Record<string, string> = {
+  '@annually': '@yearly',
+  '@daily': '@daily',
+  '@hourly': '@hourly',
+  '@midnight': '@daily',
+  '@monthly': '@monthly',
+  '@weekly': '@weekly',
+  '@yearly': '@yearly',
+}
+
+// `cron-parser` also accepts a field for the seconds, which scheduled
+// functions don't support.
+const FIELDS_COUNT = 5
+
+// Parses a cron expression into an iterator of the times it runs after
+// `currentDate`. Scheduled functions run in UTC.
+const parseCronExpression = (expression: string, currentDate = new Date()) => {
+  const trimmedExpression = expression.trim()
+
+  if (trimmedExpression.startsWith('@')) {
+    const shortcut = SHORTCUTS[trimmedExpression.toLowerCase()]
+
+    if (shortcut === undefined) {
+      throw new Error(`"${trimmedExpression}" is not a supported shortcut`)
+    }
+
+    return cronParser.parseExpression(shortcut, { currentDate, utc: true })
+  }
+
+  const fieldsCount = trimmedExpression.split(/\s+/).length
+
+  if (fieldsCount !== FIELDS_COUNT) {
+    throw new Error(`expected ${FIELDS_COUNT} fields, got ${fieldsCount}`)
+  }
+
+  return cronParser.parseExpression(trimmedExpression, { currentDate, utc: true })
+}
+
+// Returns the next `count` times, after `from`, at which a cron expression
+// runs.
+const getNextRuns = (expression: string, count: number, from = new Date()) => {
+  const interval = parseCronExpression(expression, from)
+
+  return Array.from({ length: count }, () => interval.next().toDate())
+}
+
+// The schedule of a function can be set in its configuration or in its code,
+// with the latter taking precedence.
+const getSchedule = ({ config, inSourceConfig }: { config?: FunctionConfig; inSourceConfig?: ISCValues }) =>
+  inSourceConfig?.schedule ?? config?.schedule
+
+// Returns the reason why a cron expression is not valid, if any. Expressions
+// that never run, like `0 0 30 2 *`, are not valid either.
+const getScheduleIssue = (schedule: string) => {
+  try {
+    parseCronExpression(schedule).next()
+  } catch (error) {
+    return error.message as string
+  }
+}
+
+// Throws an error if the schedule of a function is not a valid cron expression
+// or never runs.
+const validateSchedule = ({ name, runtime, schedule }: { name: string; runtime: RuntimeName; schedule?: string }) => {
+  const issue = schedule === undefined ? undefined : getScheduleIssue(schedule)
+
+  if (issue === undefined) {
+    return
+  }
+
+  throw Object.assign(new Error(`Invalid schedule "${schedule}" for function "${name}": ${issue}`), {
+    customErrorInfo: { type: 'functionsBundling', location: { functionName: name, runtime } },
+  })
+}
+
+export { getNextRuns, getSchedule, parseCronExpression, validateSchedule }
@@ -0,0 +1,90 @@
+import { getModuleNameFromPath } from '../runtimes/node/utils/module'
+
+import type { ArchiveEntry } from './archive_entries'
+
+// Number of entries to include in each of the rankings of a size report.
+const SIZE_REPORT_LENGTH = 10
+
+interface SizeLimits {
+  maxArchiveSize?: number
+  maxUncompressedSize?: number
+}
+
+interface SizeLimitViolation {
+  limit: number
+  property: keyof SizeLimits
+  size: number
+}
+
+interface SizeWarning {
+  largestFiles: { path: string; size: number }[]
+  largestNodeModules: { name: string; size: number }[]
+  message: string
+  violations: SizeLimitViolation[]
+}
+
+const BYTES_PER_KB = 1024
+
+const formatBytes = (bytes: number) => {
+  const units = ['B', 'KB', 'MB', 'GB']
+  const exponent = Math.min(Math.floor(Math.log(Math.max(bytes, 1)) / Math.log(BYTES_PER_KB)), units.length - 1)
+  const value = bytes / BYTES_PER_KB ** exponent
+
+  return `${Number.isInteger(value) ? value : value.toFixed(1)} ${units[exponent]}`
+}
+
+const getLargestFiles = (entries: ArchiveEntry[]) =>
+  entries
+    .filter(({ type }) => type === 'file')
+    .map(({ name, size }) => ({ path: name, size }))
+    .sort((entryA, entryB) => entryB.size - entryA.size)
+    .slice(0, SIZE_REPORT_LENGTH)
+
+const getLargestNodeModules = (entries: ArchiveEntry[]) => {
+  const moduleSizes = new Map<string, number>()
+
+  entries.forEach(({ name, size }) => {
+    const moduleName = getModuleNameFromPath(name)
+
+    if (moduleName !== undefined) {
+      moduleSizes.set(moduleName, (moduleSizes.get(moduleName) ?? 0) + size)
+    }
+  })
+
+  return [...moduleSizes.entries()]
+    .map(([name, size]) => ({ name, size }))
+    .sort((moduleA, moduleB) => moduleB.size - moduleA.size)
+    .slice(0, SIZE_REPORT_LENGTH)
+}
+
+const getSizeWarning = ({
+  entries,
+  name,
+  violations,
+}: {
+  entries: ArchiveEntry[]
+  name: string
+  violations: SizeLimitViolation[]
+}): SizeWarning => {
+  const largestFiles = getLargestFiles(entries)
+  const largestNodeModules = getLargestNodeModules(entries)
+  const lines = [
+    ...violations.map(
+      ({ limit, property, size }) =>
+        `Function "${name}" exceeds the ${
+          property === 'maxArchiveSize' ? 'maximum archive size' : 'maximum uncompressed size'
+        }: ${formatBytes(size)} (limit: ${formatBytes(limit)})`,
+    ),
+    'Largest files:',
+    ...largestFiles.map(({ path, size }) => `  - ${path}: ${formatBytes(size)}`),
+  ]
+
+  if (largestNodeModules.length !== 0) {
+    lines.push('Largest Node modules:', ...largestNodeModules.map((mod) => `  - ${mod.name}: ${formatBytes(mod.size)}`))
+  }
+
+  return { largestFiles, largestNodeModules, message: lines.join('\n'), violations }
+}
+
+export { formatBytes, getSizeWarning }
+export type { SizeLimits, SizeLimitViolation, SizeWarning }
@@ -0,0 +1,12 @@
+import { performance } from 'perf_hooks'
+
+// Runs a function and returns its result along with the time it took to run,
+// in milliseconds.
+const measure = async <T>(func: () => Promise<T>): Promise<[T, number]> => {
+  const start = performance.now()
+  const result = await func()
+
+  return [result, performance.now() - start]
+}
+
+export { measure }
@@ -0,0 +1,413 @@
+/* eslint-disable max-lines */
+import { EventEmitter } from 'events'
+import { basename, dirname, extname, isAbsolute, join, relative, resolve, sep } from 'path'
+
+import deleteFiles from 'del'
+import { hasMagic } from 'glob'
+import makeDir from 'make-dir'
+import minimatch from 'minimatch'
+import pMap from 'p-map'
+
+import { getFunctionConfigIssues, validateConfig } from './config_validation'
+import { FeatureFlags, getFlags } from './feature_flags'
+import { FunctionSource } from './function'
+import { getFunctionsFromPaths } from './runtimes'
+import { getPathsOfIncludedFiles } from './runtimes/node/utils/included_files'
+import { createDirectoryWatcher, DirectoryWatcher } from './utils/directory_watcher'
+import type { FunctionResult } from './utils/format_result'
+import { listFunctionsDirectories, resolveFunctionsDirectories } from './utils/fs'
+import { nonNullable } from './utils/non_nullable'
+import { validateArchiveFormat, zipFunctionSource, ZipFunctionsOptions } from './zip'
+
+type WatchFunctionsOptions = Omit<ZipFunctionsOptions, 'manifest' | 'manifestVersion'>
+
+// Emits a `build` event with the result of every build of a function, a
+// `buildError` event for every function that fails to build, a `remove` event
+// with the name of every function that is removed, an `error` event for any
+// other error and a `ready` event once the initial build is done.
+type FunctionsWatcher = EventEmitter & { close: () => void }
+
+interface WatchedFunction {
+  func: FunctionSource
+  includedFiles: string[]
+  inputs: Set<string>
+
+  // Path of the archive created by the last successful build.
+  path?: string
+}
+
+interface WatchState {
+  closed: boolean
+  destFolder: string
+  directoryWatcher: DirectoryWatcher
+  featureFlags: FeatureFlags
+  flushing: boolean
+  functions: Map<string, WatchedFunction>
+  options: WatchFunctionsOptions
+  pendingNames: Set<string>
+
+  // Paths of the entries of the source folders (or of the directories with
+  // nested functions) that have been added, modified or removed.
+  pendingPaths: Set<string>
+
+  // Whether all the source folders must be scanned again, which happens on the
+  // initial build or when the entries of a source folder are unknown.
+  pendingRescan: boolean
+
+  srcFolders: string[]
+  timeout?: NodeJS.Timeout
+  watcher: EventEmitter
+}
+
+// Time to wait for more changes before rebuilding, so that saving several
+// files at once only triggers a single build.
+const DEBOUNCE_DELAY = 100
+
+const DEFAULT_PARALLEL_LIMIT = 5
+
+// An `error` event throws if there are no listeners for it, which would crash
+// the process from a callback that nobody awaits.
+const emitError = (state: WatchState, error: Error) => {
+  if (state.watcher.listenerCount('error') !== 0) {
+    state.watcher.emit('error', error)
+  }
+}
+
+// Returns the directory of a glob up to its first dynamic segment, which is
+// where any new files matching the glob would appear.
+const getGlobDirectory = (pattern: string) => {
+  const segments = pattern.split('/')
+  const index = segments.findIndex((segment) => hasMagic(segment))
+
+  return index === -1 ? dirname(pattern) : segments.slice(0, index).join('/') || '/'
+}
+
+// Returns the absolute globs of the `includedFiles` property of a function,
+// leaving out the exclusion patterns. Without a base path, only the globs that
+// are already absolute are returned.
+const getIncludedFiles = ({ config }: FunctionSource, basePath?: string) => {
+  const includedFilesBasePath = config.includedFilesBasePath || basePath
+
+  const patterns = (config.includedFiles || []).filter((pattern) => !pattern.startsWith('!'))
+
+  if (includedFilesBasePath === undefined) {
+    return patterns.filter((pattern) => isAbsolute(pattern))
+  }
+
+  return patterns.map((pattern) => resolve(includedFilesBasePath, pattern))
+}
+
+const getWatchedDirectories = ({ functions, srcFolders }: WatchState) => {
+  const directories = new Set(srcFolders)
+
+  functions.forEach(({ func, includedFiles, inputs }) => {
+    if (func.stat.isDirectory()) {
+      directories.add(func.srcPath)
+    }
+
+    // The directories of nested functions are watched so that new functions
+    // added next to them are found.
+    if (func.nestedPath !== undefined) {
+      directories.add(dirname(func.srcPath))
+    }
+
+    inputs.forEach((path) => {
+      directories.add(dirname(path))
+    })
+    includedFiles.forEach((pattern) => {
+      directories.add(getGlobDirectory(pattern))
+    })
+  })
+
+  return directories
+}
+
+// Returns the list of files that trigger a rebuild of a function, based on the
+// inputs reported by the bundler and the files matched by `includedFiles`.
+const getInputs = async ({ config, mainFile }: FunctionSource, result: FunctionResult, basePath?: string) => {
+  const { paths: includedFilePaths } = await getPathsOfIncludedFiles(
+    config.includedFiles || [],
+    config.includedFilesBasePath || basePath,
+  )
+
+  return new Set([mainFile, ...(result.inputs || []), ...includedFilePaths])
+}
+
+// Zips a function and updates the list of files that trigger a rebuild of it.
+const buildFunction = async (state: WatchState, name: string) => {
+  const watchedFunction = state.functions.get(name)
+
+  if (watchedFunction === undefined) {
+    return
+  }
+
+  const { archiveFormat = 'zip', basePath, config = {}, configValidation, repositoryRoot = basePath } = state.options
+
+  try {
+    const result = await zipFunctionSource(watchedFunction.func, state.destFolder, {
+      ...state.options,
+      archiveFormat,
+      configIssues: getFunctionConfigIssues(config, watchedFunction.func, configValidation),
+      featureFlags: state.featureFlags,
+      repositoryRoot,
+    })
+
+    watchedFunction.inputs = await getInputs(watchedFunction.func, result, basePath)
+    watchedFunction.path = result.path
+    state.watcher.emit('build', result)
+
+    return result
+  } catch (error) {
+    state.watcher.emit('buildError', { error, name })
+  }
+}
+
+// Returns the entry of a source folder that contains a path, if any.
+const getTopLevelEntry = (srcFolders: string[], path: string) => {
+  const srcFolder = srcFolders.find((folder) => path.startsWith(`${folder}${sep}`))
+
+  return srcFolder === undefined ? undefined : join(srcFolder, relative(srcFolder, path).split(sep)[0])
+}
+
+// Functions are named after the entry of the source folder they are in, so
+// entries with the same name in different source folders can shadow each other.
+const getEntryName = (path: string) => basename(path, extname(path))
+
+// Returns the entries of the source folders that must be scanned again after
+// a change, as well as their names, which are `undefined` if all of them must
+// be scanned. These are the entries that contain the changed paths and the
+// ones with the same name in the other source folders.
+const getChangedEntries = async (state: WatchState, changedPaths?: string[]) => {
+  const entries = await listFunctionsDirectories(state.srcFolders)
+
+  if (changedPaths === undefined) {
+    return { entries }
+  }
+
+  const names = new Set(
+    changedPaths
+      .map((path) => getTopLevelEntry(state.srcFolders, path))
+      .filter(nonNullable)
+      .map(getEntryName),
+  )
+
+  return { entries: entries.filter((entry) => names.has(getEntryName(entry))), names }
+}
+
+// Removes a function from the list of watched functions, deleting its archive.
+const removeFunction = async (state: WatchState, name: string) => {
+  const { path } = state.functions.get(name) as WatchedFunction
+
+  state.functions.delete(name)
+
+  if (path !== undefined) {
+    await deleteFiles(path, { force: true })
+  }
+
+  state.watcher.emit('remove', name)
+}
+
+// Looks for functions in the entries of the source directories that have
+// changed, or in all of them if `changedPaths` is not set, adding the new ones
+// and the ones whose main file has changed to the list of functions to build,
+// and removing the ones that no longer exist.
+const rescanFunctions = async (state: WatchState, changedPaths?: string[]) => {
+  const { entries, names } = await getChangedEntries(state, changedPaths)
+  const functions = await getFunctionsFromPaths(entries, {
+    config: state.options.config,
+    dedupe: true,
+    featureFlags: state.featureFlags,
+    nameCollisionAction: state.options.nameCollisionAction,
+    nestedDiscovery: state.options.nestedDiscovery,
+    nestedNameSeparator: state.options.nestedNameSeparator,
+  })
+  const removedNames = [...state.functions]
+    .filter(([name, { func }]) => {
+      const entry = getTopLevelEntry(state.srcFolders, func.srcPath)
+      const isChanged = names === undefined || (entry !== undefined && names.has(getEntryName(entry)))
+
+      return isChanged && !functions.has(name)
+    })
+    .map(([name]) => name)
+
+  await Promise.all(removedNames.map((name) => removeFunction(state, name)))
+
+  functions.forEach((func, name) => {
+    if (state.functions.get(name)?.func.mainFile !== func.mainFile) {
+      state.functions.set(name, {
+        func,
+        includedFiles: getIncludedFiles(func, state.options.basePath),
+        inputs: new Set([func.mainFile]),
+      })
+      state.pendingNames.add(name)
+    }
+  })
+}
+
+// Returns the paths that have changed since the last run, or `undefined` if all
+// the source folders must be scanned again.
+const getChangedPaths = (state: WatchState) => (state.pendingRescan ? undefined : [...state.pendingPaths])
+
+// Clears the changed paths once they have been scanned, keeping the ones that
+// have been queued in the meantime.
+const clearChangedPaths = (state: WatchState, changedPaths?: string[]) => {
+  if (changedPaths === undefined) {
+    state.pendingRescan = false
+    state.pendingPaths.clear()
+
+    return
+  }
+
+  changedPaths.forEach((path) => {
+    state.pendingPaths.delete(path)
+  })
+}
+
+// Processes all the changes that have been queued since the last run. The
+// changes are only cleared once the source folders have been scanned, so that
+// they are processed again on the next run if the scan fails.
+const flush = async (state: WatchState) => {
+  const changedPaths = getChangedPaths(state)
+
+  state.flushing = true
+
+  try {
+    if (changedPaths?.length !== 0) {
+      await rescanFunctions(state, changedPaths)
+    }
+
+    clearChangedPaths(state, changedPaths)
+
+    const names = [...state.pendingNames]
+
+    state.pendingNames.clear()
+
+    return await pMap(names, (name) => buildFunction(state, name), {
+      concurrency: state.options.parallelLimit ?? DEFAULT_PARALLEL_LIMIT,
+    })
+  } finally {
+    if (!state.closed) {
+      state.directoryWatcher.update(getWatchedDirectories(state))
+    }
+
+    state.flushing = false
+  }
+}
+
+// Runs `flush` once no changes have happened for `DEBOUNCE_DELAY`, making sure
+// that two runs never overlap.
+const scheduleFlush = (state: WatchState) => {
+  if (state.timeout !== undefined) {
+    clearTimeout(state.timeout)
+  }
+
+  state.timeout = setTimeout(async () => {
+    state.timeout = undefined
+
+    if (state.flushing) {
+      scheduleFlush(state)
+
+      return
+    }
+
+    try {
+      await flush(state)
+    } catch (error) {
+      emitError(state, error)
+    }
+  }, DEBOUNCE_DELAY)
+}
+
+// Whether a path is an entry of a directory that can contain functions, which
+// might be a new or removed function.
+const isFunctionsDirectoryEntry = (state: WatchState, path: string) => {
+  const directory = dirname(path)
+
+  if (state.srcFolders.includes(directory)) {
+    return true
+  }
+
+  return [...state.functions.values()].some(
+    ({ func }) => func.nestedPath !== undefined && dirname(func.srcPath) === directory,
+  )
+}
+
+const handleChange = (state: WatchState, path: string) => {
+  if (state.srcFolders.includes(path)) {
+    state.pendingRescan = true
+  } else if (isFunctionsDirectoryEntry(state, path)) {
+    state.pendingPaths.add(path)
+  }
+
+  state.functions.forEach(({ func, includedFiles, inputs }, name) => {
+    const isFunctionFile = inputs.has(path) || path.startsWith(`${func.srcPath}${sep}`)
+
+    if (isFunctionFile || includedFiles.some((pattern) => minimatch(path, pattern))) {
+      state.pendingNames.add(name)
+    }
+  })
+
+  scheduleFlush(state)
+}
+
+const runInitialBuild = async (state: WatchState) => {
+  try {
+    await makeDir(state.destFolder)
+
+    const results = await flush(state)
+
+    state.watcher.emit('ready', results.filter(nonNullable))
+  } catch (error) {
+    emitError(state, error)
+  }
+}
+
+const closeWatcher = (state: WatchState) => {
+  state.closed = true
+
+  if (state.timeout !== undefined) {
+    clearTimeout(state.timeout)
+  }
+
+  state.directoryWatcher.close()
+}
+
+// Zips all the functions in `srcFolders` and keeps watching them, rebuilding a
+// function whenever one of its input files or a file matching its
+// `includedFiles` globs changes, and building or removing functions as they
+// are added to or removed from `srcFolders`.
+const watchFunctions = (
+  relativeSrcFolders: string | string[],
+  destFolder: string,
+  options: WatchFunctionsOptions = {},
+): FunctionsWatcher => {
+  validateArchiveFormat(options.archiveFormat ?? 'zip')
+  validateConfig(options.config ?? {}, { action: options.configValidation })
+
+  const emitter = new EventEmitter()
+  const state: WatchState = {
+    closed: false,
+    destFolder,
+    directoryWatcher: createDirectoryWatcher({
+      onChange: (path) => handleChange(state, path),
+      onError: (error) => emitError(state, error),
+    }),
+    featureFlags: getFlags(options.featureFlags),
+    flushing: false,
+    functions: new Map(),
+    options,
+    pendingNames: new Set(),
+    pendingPaths: new Set(),
+    pendingRescan: true,
+    srcFolders: resolveFunctionsDirectories(relativeSrcFolders),
+    watcher: emitter,
+  }
+
+  runInitialBuild(state)
+
+  return Object.assign(emitter, { close: () => closeWatcher(state) })
+}
+
+export { watchFunctions }
+export type { FunctionsWatcher, WatchFunctionsOptions }
+/* eslint-enable max-lines */
@@ -1,41 +1,233 @@
+/* eslint-disable max-lines */
 import { resolve } from 'path'
 
 import makeDir from 'make-dir'
 import pMap from 'p-map'
 
-import { ArchiveFormat } from './archive'
+import { ARCHIVE_FORMATS, ArchiveFormat } from './archive'
+import { zipFunctionWithCache } from './cache'
 import { Config } from './config'
+import {
+  combineConfigIssues,
+  ConfigValidationAction,
+  getFunctionConfigIssues,
+  validateConfig,
+} from './config_validation'
 import { FeatureFlags, getFlags } from './feature_flags'
 import { FunctionSource } from './function'
-import { createManifest } from './manifest'
-import { getFunctionsFromPaths } from './runtimes'
-import { addArchiveSize } from './utils/archive_size'
-import { formatZipResult } from './utils/format_result'
+import type { FunctionHooks, FunctionTimings } from './hooks'
+import { createManifest, ManifestVersion } from './manifest'
+import { ReportFormat, writeReport } from './report'
+import { canBuildFunction, getFunctionsFromPaths } from './runtimes'
+import type { NameCollisionAction } from './runtimes/name_collisions'
+import type { ZipFunctionResult } from './runtimes/runtime'
+import { addArchiveSize, checkArchiveSize, SizeLimitAction } from './utils/archive_size'
+import { formatFailedResult, formatZipResult, FunctionResult, isFailedResult } from './utils/format_result'
 import { listFunctionsDirectories, resolveFunctionsDirectories } from './utils/fs'
-import { nonNullable } from './utils/non_nullable'
+import { getSchedule, validateSchedule } from './utils/schedule'
+import { measure } from './utils/timer'
 
 interface ZipFunctionOptions {
   archiveFormat?: ArchiveFormat
   basePath?: string
   config?: Config
+  configValidation?: ConfigValidationAction
   featureFlags?: FeatureFlags
+  maxArchiveSize?: number
+  maxUncompressedSize?: number
   repositoryRoot?: string
+  sizeLimitAction?: SizeLimitAction
 }
 
-type ZipFunctionsOptions = ZipFunctionOptions & {
-  manifest?: string
-  parallelLimit?: number
-}
+type ZipFunctionsOptions = ZipFunctionOptions &
+  FunctionHooks & {
+    cacheDirectory?: string
+    continueOnError?: boolean
+    manifest?: string
+    manifestVersion?: ManifestVersion
+    nameCollisionAction?: NameCollisionAction
+    nestedDiscovery?: boolean
+    nestedNameSeparator?: string
+    parallelLimit?: number
+    report?: ReportFormat
+  }
 
 const DEFAULT_PARALLEL_LIMIT = 5
 
 // TODO: now that we have types, do we still need runtime validation?
 const validateArchiveFormat = (archiveFormat: ArchiveFormat) => {
-  if (!['none', 'zip'].includes(archiveFormat)) {
+  if (!ARCHIVE_FORMATS.includes(archiveFormat)) {
     throw new Error(`Invalid archive format: ${archiveFormat}`)
   }
 }
 
+type ZipFunctionSourceOptions = Omit<
+  ZipFunctionsOptions,
+  | 'config'
+  | 'continueOnError'
+  | 'manifest'
+  | 'nameCollisionAction'
+  | 'nestedDiscovery'
+  | 'nestedNameSeparator'
+  | 'parallelLimit'
+> & {
+  archiveFormat: ArchiveFormat
+
+  // Issues found in the configuration that applies to the function.
+  configIssues?: string[]
+
+  discovery?: number
+  featureFlags: FeatureFlags
+}
+
+// Validates the in-source configuration of a function, which is only read when
+// the function is zipped, and adds the issues found to the result.
+const addInSourceConfigIssues = (
+  result: ZipFunctionResult,
+  mainFile: string,
+  action?: ConfigValidationAction,
+): ZipFunctionResult => {
+  const invalidConfig = result.inSourceConfig?.invalidConfig
+
+  if (invalidConfig === undefined) {
+    return result
+  }
+
+  const issues = validateConfig({ [mainFile]: invalidConfig }, { action })
+
+  return { ...result, configIssues: combineConfigIssues(result.configIssues, issues) }
+}
+
+// Zips a single function with the options given to `zipFunctions`, going
+// through the build cache, the size limits and the bundle report.
+const zipFunctionSource = async function (func: FunctionSource, destFolder: string, options: ZipFunctionSourceOptions) {
+  const { discovery, onFunctionArchived, onFunctionError, onFunctionStart } = options
+  const { mainFile, name, runtime } = func
+  const state: { timings: FunctionTimings } = { timings: { discovery } }
+
+  onFunctionStart?.({ mainFile, name, runtime: runtime.name, timings: state.timings })
+
+  try {
+    const result = await zipAndCheckFunction(func, destFolder, options, state)
+
+    onFunctionArchived?.({ name, result, timings: state.timings })
+
+    return result
+  } catch (error) {
+    onFunctionError?.({ error, name, timings: state.timings })
+
+    throw error
+  }
+}
+
+// Throws before zipping a function if its schedule, set in its configuration
+// or in its code, is not valid, so that no archive is written for it.
+const validateFunctionSchedule = async (func: FunctionSource) => {
+  const inSourceConfig = await func.runtime.getInSourceConfig?.(func)
+
+  validateSchedule({
+    name: func.name,
+    runtime: func.runtime.name,
+    schedule: getSchedule({ config: func.config, inSourceConfig }),
+  })
+}
+
+// Zips a function, keeping track of how long each phase took in `state`.
+const zipAndCheckFunction = async function (
+  func: FunctionSource,
+  destFolder: string,
+  {
+    archiveFormat,
+    basePath,
+    cacheDirectory,
+    configIssues,
+    configValidation,
+    featureFlags,
+    maxArchiveSize,
+    maxUncompressedSize,
+    onFunctionBundled,
+    report,
+    repositoryRoot,
+    sizeLimitAction,
+  }: ZipFunctionSourceOptions,
+  state: { timings: FunctionTimings },
+) {
+  const onBundled = (timings: FunctionTimings) => {
+    state.timings = { ...state.timings, ...timings }
+    onFunctionBundled?.({ name: func.name, runtime: func.runtime.name, timings: state.timings })
+  }
+
+  await validateFunctionSchedule(func)
+
+  const zipResult = await zipFunctionWithCache({
+    archiveFormat,
+    basePath,
+    cacheDirectory,
+    destFolder,
+    featureFlags,
+    func,
+    repositoryRoot,
+    zip: async () => {
+      const result = await func.runtime.zipFunction({
+        archiveFormat,
+        basePath,
+        config: func.config,
+        destFolder,
+        extension: func.extension,
+        filename: func.filename,
+        mainFile: func.mainFile,
+        name: func.name,
+        onBundled,
+        repositoryRoot,
+        runtime: func.runtime,
+        srcDir: func.srcDir,
+        srcPath: func.srcPath,
+        stat: func.stat,
+        featureFlags,
+      })
+
+      state.timings = { ...state.timings, ...result.timings }
+
+      return addInSourceConfigIssues(result, func.mainFile, configValidation)
+    },
+  })
+
+  const resultWithSize = await addArchiveSize({
+    ...zipResult,
+    configIssues: combineConfigIssues(configIssues, zipResult.configIssues),
+    mainFile: func.mainFile,
+    name: func.name,
+    nameCollision: func.nameCollision,
+    runtime: func.runtime,
+  })
+  const checkedResult = await checkArchiveSize(resultWithSize, {
+    action: sizeLimitAction,
+    limits: { maxArchiveSize, maxUncompressedSize },
+  })
+  const reportedResult =
+    report === undefined ? checkedResult : await writeReport(checkedResult, { destFolder, format: report })
+
+  return formatZipResult(reportedResult)
+}
+
+// Like `zipFunctionSource`, but when `continueOnError` is set, an error zipping
+// the function is returned as a failed result instead of being thrown.
+const zipFunctionSourceOrFail = async function (
+  func: FunctionSource,
+  destFolder: string,
+  { continueOnError, ...options }: ZipFunctionSourceOptions & { continueOnError?: boolean },
+) {
+  try {
+    return await zipFunctionSource(func, destFolder, options)
+  } catch (error) {
+    if (!continueOnError) {
+      throw error
+    }
+
+    return formatFailedResult(func, error)
+  }
+}
+
 // Zip `srcFolder/*` (Node.js or Go files) to `destFolder/*.zip` so it can be
 // used by AWS Lambda
 const zipFunctions = async function (
@@ -45,10 +237,16 @@ const zipFunctions = async function (
     archiveFormat = 'zip',
     basePath,
     config = {},
+    configValidation,
     featureFlags: inputFeatureFlags,
     manifest,
+    manifestVersion,
+    nameCollisionAction,
+    nestedDiscovery,
+    nestedNameSeparator,
     parallelLimit = DEFAULT_PARALLEL_LIMIT,
     repositoryRoot = basePath,
+    ...options
   }: ZipFunctionsOptions = {},
 ) {
   validateArchiveFormat(archiveFormat)
@@ -56,46 +254,49 @@ const zipFunctions = async function (
   const featureFlags = getFlags(inputFeatureFlags)
   const srcFolders = resolveFunctionsDirectories(relativeSrcFolders)
   const [paths] = await Promise.all([listFunctionsDirectories(srcFolders), makeDir(destFolder)])
-  const functions = await getFunctionsFromPaths(paths, { config, dedupe: true, featureFlags })
+  const [functions, discovery] = await measure(() =>
+    getFunctionsFromPaths(paths, {
+      config,
+      dedupe: true,
+      featureFlags,
+      nameCollisionAction,
+      nestedDiscovery,
+      nestedNameSeparator,
+    }),
+  )
+
+  const configIssues = validateConfig(config, { action: configValidation, functions: [...functions.values()] })
+
   const results = await pMap(
-    functions.values(),
-    async (func) => {
-      const zipResult = await func.runtime.zipFunction({
+    [...functions.values()],
+    (func) =>
+      zipFunctionSourceOrFail(func, destFolder, {
+        ...options,
         archiveFormat,
         basePath,
-        config: func.config,
-        destFolder,
-        extension: func.extension,
-        filename: func.filename,
-        mainFile: func.mainFile,
-        name: func.name,
-        repositoryRoot,
-        runtime: func.runtime,
-        srcDir: func.srcDir,
-        srcPath: func.srcPath,
-        stat: func.stat,
+        configIssues: getFunctionConfigIssues(config, func, configValidation),
+        configValidation,
+        discovery,
         featureFlags,
-      })
-
-      return { ...zipResult, mainFile: func.mainFile, name: func.name, runtime: func.runtime }
-    },
+        repositoryRoot,
+      }),
     {
       concurrency: parallelLimit,
     },
   )
-  const formattedResults = await Promise.all(
-    results.filter(nonNullable).map(async (result) => {
-      const resultWithSize = await addArchiveSize(result)
-
-      return formatZipResult(resultWithSize)
-    }),
-  )
 
   if (manifest !== undefined) {
-    await createManifest({ functions: formattedResults, path: resolve(manifest) })
+    await createManifest({
+      configIssues,
+      failedFunctions: results.filter(isFailedResult),
+      featureFlags,
+      functions: results.filter((result): result is FunctionResult => !isFailedResult(result)),
+      path: resolve(manifest),
+      version: manifestVersion,
+    })
   }
 
-  return formattedResults
+  return results
 }
 
 const zipFunction = async function (
@@ -105,51 +306,70 @@ const zipFunction = async function (
     archiveFormat = 'zip',
     basePath,
     config: inputConfig = {},
+    configValidation,
     featureFlags: inputFeatureFlags,
+    maxArchiveSize,
+    maxUncompressedSize,
     repositoryRoot = basePath,
+    sizeLimitAction,
   }: ZipFunctionOptions = {},
 ) {
   validateArchiveFormat(archiveFormat)
+  validateConfig(inputConfig, { action: configValidation })
 
   const featureFlags = getFlags(inputFeatureFlags)
   const srcPath = resolve(relativeSrcPath)
   const functions = await getFunctionsFromPaths([srcPath], { config: inputConfig, dedupe: true, featureFlags })
+  const func: FunctionSource | undefined = functions.values().next().value
 
-  if (functions.size === 0) {
+  if (func === undefined || !canBuildFunction(func, featureFlags)) {
     return
   }
 
-  const {
-    config,
-    extension,
-    filename,
-    mainFile,
-    name,
-    runtime,
-    srcDir,
-    stat: stats,
-  }: FunctionSource = functions.values().next().value
+  const { config, extension, filename, mainFile, name, runtime, srcDir, stat: stats } = func
 
+  await validateFunctionSchedule(func)
   await makeDir(destFolder)
 
-  const zipResult = await runtime.zipFunction({
-    archiveFormat,
-    basePath,
-    config,
-    destFolder,
-    extension,
-    featureFlags,
-    filename,
+  const zipResult = addInSourceConfigIssues(
+    await runtime.zipFunction({
+      archiveFormat,
+      basePath,
+      config,
+      destFolder,
+      extension,
+      featureFlags,
+      filename,
+      mainFile,
+      name,
+      repositoryRoot,
+      runtime,
+      srcDir,
+      srcPath,
+      stat: stats,
+    }),
+    mainFile,
+    configValidation,
+  )
+
+  const resultWithSize = await addArchiveSize({
+    ...zipResult,
+    configIssues: combineConfigIssues(
+      getFunctionConfigIssues(inputConfig, func, configValidation),
+      zipResult.configIssues,
+    ),
     mainFile,
     name,
-    repositoryRoot,
     runtime,
-    srcDir,
-    srcPath,
-    stat: stats,
+  })
+  const checkedResult = await checkArchiveSize(resultWithSize, {
+    action: sizeLimitAction,
+    limits: { maxArchiveSize, maxUncompressedSize },
   })
 
-  return formatZipResult({ ...zipResult, mainFile, name, runtime })
+  return formatZipResult(checkedResult)
 }
 
-export { zipFunction, zipFunctions }
+export { validateArchiveFormat, zipFunction, zipFunctions, zipFunctionSource }
+export type { ZipFunctionsOptions }
+/* eslint-enable max-lines */
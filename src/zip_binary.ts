@@ -1,23 +1,25 @@
 import type { Stats } from 'fs'
 
-import { startZip, addZipFile, addZipContent, endZip } from './archive'
+import { startZip, addZipFile, addZipContent, endZip, ArchiveFileFormat } from './archive'
 import { Runtime } from './runtimes/runtime'
 
 // Zip a binary function file
 const zipBinary = async function ({
+  archiveFormat = 'zip',
   destPath,
   filename,
   runtime,
   srcPath,
   stat,
 }: {
+  archiveFormat?: ArchiveFileFormat
   destPath: string
   filename: string
   runtime: Runtime
   srcPath: string
   stat: Stats
 }) {
-  const { archive, output } = startZip(destPath)
+  const { archive, output } = startZip(destPath, archiveFormat)
   addZipFile(archive, srcPath, filename, stat)
   addZipContent(archive, JSON.stringify({ runtime: runtime.name }), 'netlify-toolchain')
   await endZip(archive, output)
@@ -1,4 +1,6 @@
+const { mkdir, unlink, writeFile } = require('fs')
 const { join } = require('path')
+const { promisify } = require('util')
 
 const test = require('ava')
 const execa = require('execa')
@@ -8,6 +10,10 @@ const { version } = require('../package.json')
 
 const { FIXTURES_DIR } = require('./helpers/main')
 
+const pMkdir = promisify(mkdir)
+const pUnlink = promisify(unlink)
+const pWriteFile = promisify(writeFile)
+
 const BINARY_PATH = join(__dirname, '..', 'dist', 'bin.js')
 
 const exec = (args, options) => execa('node', [BINARY_PATH, ...args], options)
@@ -33,6 +39,32 @@ test('CLI | Normal execution', async (t) => {
   t.is(zipped[0].runtime, 'js')
 })
 
+test('CLI | Prints the issues found in the configuration', async (t) => {
+  const tmpDir = await tmpName({ prefix: 'zip-it-test' })
+  const { stderr } = await exec([join(FIXTURES_DIR, 'simple'), tmpDir, '--config.*.nodeBunder=zisi'])
+
+  t.is(stderr, 'Warning: Unknown property "nodeBunder" in the configuration for "*". Did you mean "nodeBundler"?')
+})
+
+test('CLI | Prints the functions with the same name', async (t) => {
+  const srcDir = await tmpName({ prefix: 'zip-it-test' })
+  const tmpDir = await tmpName({ prefix: 'zip-it-test' })
+
+  await pMkdir(join(srcDir, 'func'), { recursive: true })
+  await pWriteFile(join(srcDir, 'func.js'), 'module.exports.handler = () => {}')
+  await pWriteFile(join(srcDir, 'func', 'index.js'), 'module.exports.handler = () => {}')
+
+  const { stderr, stdout } = await exec([srcDir, tmpDir])
+  const filePath = join(srcDir, 'func.js')
+  const directoryPath = join(srcDir, 'func')
+
+  t.is(JSON.parse(stdout).length, 1)
+  t.is(
+    stderr,
+    `Warning: Found 2 functions named "func": ${filePath} (js), ${directoryPath} (js). Only ${directoryPath} is used.`,
+  )
+})
+
 test('CLI | Error execution', async (t) => {
   const { exitCode, stderr } = await exec(['doesNotExist', 'destFolder'], { reject: false })
 
@@ -53,3 +85,138 @@ test('CLI | Should throw on missing destFolder', async (t) => {
   t.is(exitCode, 1)
   t.true(stderr.includes('Not enough non-option arguments'))
 })
+
+test('CLI | Exits with code 2 when `--continue-on-error` is set and a function fails', async (t) => {
+  const tmpDir = await tmpName({ prefix: 'zip-it-test' })
+  const { exitCode, stdout } = await exec(
+    [join(FIXTURES_DIR, 'node-syntax-error'), tmpDir, '--continue-on-error', '--config.*.nodeBundler=esbuild'],
+    { reject: false },
+  )
+  const [result] = JSON.parse(stdout)
+
+  t.is(exitCode, 2)
+  t.is(result.status, 'failed')
+  t.is(result.error.customErrorInfo.type, 'functionsBundling')
+})
+
+test('CLI | `list` prints the functions found in the source folders', async (t) => {
+  const { stdout } = await exec(['list', join(FIXTURES_DIR, 'many-functions'), join(FIXTURES_DIR, 'simple')])
+  const functions = JSON.parse(stdout)
+
+  t.true(functions.length > 1)
+  t.true(functions.some(({ mainFile }) => mainFile === join(FIXTURES_DIR, 'simple', 'function.js')))
+  t.true(functions.every(({ runtime }) => runtime === 'js'))
+})
+
+test('CLI | `list` accepts `--parse-isc` and prints a table with `--format table`', async (t) => {
+  const { stdout } = await exec([
+    'list',
+    join(FIXTURES_DIR, 'in-source-config', 'functions'),
+    '--parse-isc',
+    '--format',
+    'table',
+  ])
+  const [header, ...rows] = stdout.split('\n')
+
+  t.deepEqual(header.split(/\s{2,}/), ['NAME', 'RUNTIME', 'TYPE', 'MAIN FILE', 'SCHEDULE'])
+  t.true(rows.length !== 0)
+  t.true(rows.every((row) => row.includes('scheduled') && row.endsWith('@daily')))
+})
+
+test('CLI | `list` accepts `--feature-flags`', async (t) => {
+  const { stdout: withoutFlag } = await exec(['list', join(FIXTURES_DIR, 'go-source')])
+  const { stdout: withFlag } = await exec(['list', join(FIXTURES_DIR, 'go-source'), '--feature-flags.buildGoSource'])
+
+  t.deepEqual(JSON.parse(withoutFlag), [])
+  t.true(JSON.parse(withFlag).every(({ runtime }) => runtime === 'go'))
+})
+
+test('CLI | `list` accepts `--nested-discovery` and `--nested-name-separator`', async (t) => {
+  const { stdout } = await exec([
+    'list',
+    join(FIXTURES_DIR, 'nested-functions'),
+    '--nested-discovery',
+    '--nested-name-separator',
+    '.',
+  ])
+  const names = JSON.parse(stdout).map(({ name }) => name)
+
+  t.deepEqual(names.sort(), ['api.posts', 'api.users', 'api.v2.comments', 'hello'])
+})
+
+test('CLI | `list-files` prints the files used by each function', async (t) => {
+  const { stdout } = await exec([
+    'list-files',
+    join(FIXTURES_DIR, 'local-parent-require'),
+    '--config.*.nodeBundler=zisi',
+  ])
+  const files = JSON.parse(stdout)
+
+  t.true(files.every(({ name }) => name === 'function'))
+  t.true(files.some(({ srcFile }) => srcFile === join(FIXTURES_DIR, 'local-parent-require', 'file', 'test.js')))
+})
+
+test('CLI | `list` reads the config from `--netlify-toml`, with `--config` taking precedence', async (t) => {
+  const fixtureDir = join(FIXTURES_DIR, 'netlify-toml')
+  const { stdout } = await exec([
+    'list',
+    join(fixtureDir, 'functions'),
+    '--netlify-toml',
+    join(fixtureDir, 'netlify.toml'),
+    '--config.other.schedule=@daily',
+  ])
+  const functions = JSON.parse(stdout)
+
+  t.is(functions.find(({ name }) => name === 'func1').schedule, '@hourly')
+  t.is(functions.find(({ name }) => name === 'other').schedule, '@daily')
+})
+
+test('CLI | `list` exits with an error when the source folder does not exist', async (t) => {
+  const { exitCode, stderr } = await exec(['list', 'doesNotExist'], { reject: false })
+
+  t.is(exitCode, 1)
+  t.true(stderr.includes('Functions folder does not exist'))
+})
+
+test('CLI | `inspect` prints the entries of an archive and checks its entry file', async (t) => {
+  const tmpDir = await tmpName({ prefix: 'zip-it-test' })
+
+  await exec([
+    join(FIXTURES_DIR, 'local-parent-require'),
+    tmpDir,
+    '--archive-format',
+    'tar.gz',
+    '--config.*.nodeBundler=zisi',
+  ])
+
+  const { exitCode, stdout } = await exec(['inspect', join(tmpDir, 'function.tar.gz')])
+  const { entries, entryFile, runtime } = JSON.parse(stdout)
+
+  t.is(exitCode, 0)
+  t.is(runtime, 'js')
+  t.deepEqual(entryFile, { name: 'function.js', target: 'function/function.js', targetExists: true })
+  t.true(entries.some(({ mode, name }) => name === 'file/test.js' && /^0[0-7]{3}$/.test(mode)))
+})
+
+test('CLI | `inspect` exits with an error when the entry file points to a missing file', async (t) => {
+  const tmpDir = await tmpName({ prefix: 'zip-it-test' })
+
+  await exec([
+    join(FIXTURES_DIR, 'local-parent-require'),
+    tmpDir,
+    '--archive-format',
+    'none',
+    '--config.*.nodeBundler=zisi',
+  ])
+
+  const functionDir = join(tmpDir, 'function')
+  const { stdout: before } = await exec(['inspect', functionDir])
+  const { target } = JSON.parse(before).entryFile
+
+  await pUnlink(join(functionDir, target))
+
+  const { exitCode, stdout } = await exec(['inspect', functionDir, '--format', 'table'], { reject: false })
+
+  t.is(exitCode, 1)
+  t.true(stdout.includes(`Entry file: function.js -> ${target} (missing)`))
+})
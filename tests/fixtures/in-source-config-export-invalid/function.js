@@ -0,0 +1,9 @@
+const schedule = '@daily'
+
+exports.config = {
+  externalNodeModules: ['test', 5],
+  nodeBundler: 'esbuil',
+  schedule,
+}
+
+exports.handler = async () => ({ statusCode: 200 })
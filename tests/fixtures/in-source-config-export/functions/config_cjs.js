@@ -0,0 +1,6 @@
+exports.config = {
+  nodeVersion: '18.x',
+  schedule: '@weekly',
+}
+
+exports.handler = async () => ({ statusCode: 200 })
@@ -0,0 +1,7 @@
+export const config = {
+  includedFiles: ['files/*'],
+  nodeBundler: 'esbuild',
+  schedule: '@hourly',
+}
+
+export const handler = async () => ({ statusCode: 200 })
@@ -0,0 +1,10 @@
+package main
+
+import (
+	"fmt"
+)
+
+//netlify:schedule @hourly
+func main() {
+	fmt.Println("Hello, world!")
+}
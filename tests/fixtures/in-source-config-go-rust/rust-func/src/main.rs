@@ -0,0 +1,4 @@
+// netlify:schedule 0 12 * * mon-fri
+fn main() {
+    println!("Hello, world!");
+}
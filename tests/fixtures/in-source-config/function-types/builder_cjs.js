@@ -0,0 +1,5 @@
+const { builder } = require('@netlify/functions')
+
+const handler = () => ({ statusCode: 200 })
+
+exports.handler = builder(handler)
@@ -0,0 +1,11 @@
+const { builder } = require('@netlify/functions')
+
+const withLogging =
+  (handler) =>
+  (...args) => {
+    console.log('Running function')
+
+    return handler(...args)
+  }
+
+exports.handler = withLogging(builder(() => ({ statusCode: 200 })))
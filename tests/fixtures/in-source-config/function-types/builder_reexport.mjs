@@ -0,0 +1,5 @@
+import { builder } from '@netlify/functions'
+
+const handler = builder(() => ({ statusCode: 200 }))
+
+export { handler }
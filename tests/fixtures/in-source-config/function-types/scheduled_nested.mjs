@@ -0,0 +1,14 @@
+import { schedule } from '@netlify/functions'
+
+const withLogging =
+  (handler) =>
+  (...args) => {
+    console.log('Running function')
+
+    return handler(...args)
+  }
+
+export const handler = schedule(
+  '@hourly',
+  withLogging(() => ({ statusCode: 200 })),
+)
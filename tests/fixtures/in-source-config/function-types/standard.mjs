@@ -0,0 +1,3 @@
+export function handler() {
+  return { statusCode: 200 }
+}
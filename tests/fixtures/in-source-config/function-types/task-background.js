@@ -0,0 +1,3 @@
+exports.handler = () => {
+  console.log('Running in the background')
+}
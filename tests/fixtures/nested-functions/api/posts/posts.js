@@ -0,0 +1 @@
+module.exports.handler = () => require('dep')
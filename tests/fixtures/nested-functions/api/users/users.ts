@@ -0,0 +1,3 @@
+import { getMessage } from '../../lib/message'
+
+export const handler = (): string => getMessage('api/users')
@@ -0,0 +1 @@
+export const handler = () => 'Hello from api/v2/comments'
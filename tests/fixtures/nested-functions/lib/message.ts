@@ -0,0 +1 @@
+export const getMessage = (path: string): string => `Hello from ${path}`
@@ -0,0 +1,3 @@
+import { getValue } from './lib/value'
+
+module.exports.handler = (): string => getValue('cts')
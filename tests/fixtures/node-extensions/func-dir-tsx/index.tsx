@@ -0,0 +1,6 @@
+/** @jsx h */
+import { h, render } from '../lib/jsx'
+
+const label = 'tsx' as string
+
+export const handler = (): string => render(<p>{label}</p>)
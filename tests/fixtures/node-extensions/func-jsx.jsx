@@ -0,0 +1,4 @@
+/** @jsx h */
+import { h, render } from './lib/jsx'
+
+export const handler = () => render(<p>jsx</p>)
@@ -0,0 +1,3 @@
+import { getValue } from './lib/value'
+
+export const handler = (): string => getValue('mts')
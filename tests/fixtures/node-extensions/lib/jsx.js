@@ -0,0 +1,4 @@
+const h = (tag, props, ...children) => `<${tag}>${children.join('')}</${tag}>`
+const render = (element) => element
+
+module.exports = { h, render }
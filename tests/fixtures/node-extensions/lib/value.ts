@@ -0,0 +1 @@
+export const getValue = (extension: string): string => `Hello from ${extension}`
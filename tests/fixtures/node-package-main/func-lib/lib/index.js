@@ -0,0 +1 @@
+module.exports.handler = () => 'Hello from lib'
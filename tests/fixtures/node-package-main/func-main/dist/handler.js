@@ -0,0 +1,4 @@
+const { getMessage } = require('./message')
+
+module.exports.handler = () => getMessage('main')
+module.exports.config = { schedule: '@daily' }
@@ -0,0 +1 @@
+module.exports.getMessage = (field) => `Hello from ${field}`
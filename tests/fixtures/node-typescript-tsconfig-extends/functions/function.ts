@@ -0,0 +1,5 @@
+import { message } from '@lib/message'
+
+const value = message
+
+export { value }
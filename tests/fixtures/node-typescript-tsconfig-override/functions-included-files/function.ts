@@ -0,0 +1,7 @@
+import { message } from '@lib/message'
+
+export const config = {
+  includedFiles: ['../lib/*'],
+}
+
+export const value = message
@@ -0,0 +1,3 @@
+const message = 'Hello from the override'
+
+export { message }
@@ -0,0 +1,11 @@
+const noop = () => {}
+
+module.exports.handler = () => {
+  try {
+    noop()
+  } catch {
+    // ¯\_(ツ)_/¯
+  }
+
+  return true
+}
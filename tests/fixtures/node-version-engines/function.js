@@ -0,0 +1,5 @@
+module.exports = (options) => {
+  options.name ??= 'default'
+
+  return options
+}
@@ -0,0 +1,7 @@
+import json
+
+from lib.util import greet
+
+
+def handler(event, context):
+    return {"statusCode": 200, "body": json.dumps(greet("world"))}
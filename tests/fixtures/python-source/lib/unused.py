@@ -0,0 +1 @@
+UNUSED = True
@@ -0,0 +1,5 @@
+from .constants import GREETING
+
+
+def greet(name):
+    return f"{GREETING}, {name}!"
@@ -0,0 +1,7 @@
+import json
+import os
+
+
+def handler(event, context):
+    with open(os.path.join(os.path.dirname(__file__), "data.json")) as file:
+        return {"statusCode": 200, "body": json.dumps(json.load(file))}
@@ -1,6 +1,8 @@
+const { createHash } = require('crypto')
+const { once } = require('events')
 const { readFile, chmod, symlink, unlink, rename, stat, writeFile } = require('fs')
 const { tmpdir } = require('os')
-const { basename, dirname, isAbsolute, join, normalize, resolve, sep } = require('path')
+const { basename, dirname, extname, isAbsolute, join, normalize, resolve, sep } = require('path')
 const { arch, env, platform, version: nodeVersion } = require('process')
 const { promisify } = require('util')
 
@@ -27,8 +29,19 @@ const shellUtils = require('../dist/utils/shell')
 
 const shellUtilsStub = sinon.stub(shellUtils, 'runCommand')
 
-// eslint-disable-next-line import/order
-const { zipFunction, listFunctions, listFunctionsFiles, listFunction } = require('..')
+/* eslint-disable import/order */
+const {
+  zipFunction,
+  listFunctions,
+  listFunctionsFiles,
+  listFunction,
+  loadNetlifyToml,
+  registerRuntime,
+  unregisterRuntime,
+  watchFunctions,
+  zipFunctions,
+} = require('..')
+/* eslint-enable import/order */
 
 const { ESBUILD_LOG_LIMIT } = require('../dist/runtimes/node/bundlers/esbuild/bundler')
 
@@ -46,10 +59,41 @@ const pWriteFile = promisify(writeFile)
 
 const EXECUTABLE_PERMISSION = 0o755
 
-const normalizeFiles = function (fixtureDir, { name, mainFile, runtime, extension, srcFile, schedule }) {
+const normalizeFiles = function (
+  fixtureDir,
+  { name, mainFile, runtime, extension, srcFile, schedule, type, nameCollision },
+) {
   const mainFileA = normalize(`${fixtureDir}/${mainFile}`)
   const srcFileA = srcFile === undefined ? {} : { srcFile: normalize(`${fixtureDir}/${srcFile}`) }
-  return { name, mainFile: mainFileA, runtime, extension, schedule, ...srcFileA }
+  const nameCollisionA =
+    nameCollision === undefined ? {} : { nameCollision: normalizeNameCollision(fixtureDir, nameCollision) }
+  return { name, mainFile: mainFileA, runtime, extension, schedule, type, ...srcFileA, ...nameCollisionA }
+}
+
+const normalizeNameCollision = function (fixtureDir, { contenders, winner }) {
+  return {
+    contenders: contenders.map(({ path, runtime }) => ({ path: normalize(`${fixtureDir}/${path}`), runtime })),
+    winner: normalize(`${fixtureDir}/${winner}`),
+  }
+}
+
+// Functions named `test` in the `list` fixture.
+const LIST_NAME_COLLISION = {
+  contenders: [
+    { path: 'test.zip', runtime: 'js' },
+    { path: 'test.js', runtime: 'js' },
+    { path: 'test', runtime: 'go' },
+  ],
+  winner: 'test',
+}
+
+// Functions named `function` in the `multiple-src-directories` fixture.
+const MULTIPLE_SRC_DIRECTORIES_NAME_COLLISION = {
+  contenders: [
+    { path: '.netlify/internal-functions/function.js', runtime: 'js' },
+    { path: 'netlify/functions/function.js', runtime: 'js' },
+  ],
+  winner: 'netlify/functions/function.js',
 }
 
 const getZipChecksum = async function (t, bundler) {
@@ -814,13 +858,34 @@ test('Can list function main files with listFunctions()', async (t) => {
   t.deepEqual(
     functions,
     [
-      { schedule: undefined, name: 'test', mainFile: 'test.zip', runtime: 'js', extension: '.zip' },
-      { schedule: undefined, name: 'test', mainFile: 'test.js', runtime: 'js', extension: '.js' },
+      {
+        schedule: undefined,
+        name: 'test',
+        nameCollision: LIST_NAME_COLLISION,
+        mainFile: 'test.zip',
+        runtime: 'js',
+        extension: '.zip',
+      },
+      {
+        schedule: undefined,
+        name: 'test',
+        nameCollision: LIST_NAME_COLLISION,
+        mainFile: 'test.js',
+        runtime: 'js',
+        extension: '.js',
+      },
       { schedule: undefined, name: 'five', mainFile: 'five/index.ts', runtime: 'js', extension: '.ts' },
       { schedule: undefined, name: 'four', mainFile: 'four.js/four.js.js', runtime: 'js', extension: '.js' },
       { schedule: undefined, name: 'one', mainFile: 'one/index.js', runtime: 'js', extension: '.js' },
       { schedule: undefined, name: 'two', mainFile: 'two/two.js', runtime: 'js', extension: '.js' },
-      { schedule: undefined, name: 'test', mainFile: 'test', runtime: 'go', extension: '' },
+      {
+        schedule: undefined,
+        name: 'test',
+        nameCollision: LIST_NAME_COLLISION,
+        mainFile: 'test',
+        runtime: 'go',
+        extension: '',
+      },
     ].map(normalizeFiles.bind(null, fixtureDir)),
   )
 })
@@ -838,6 +903,7 @@ test('Can list function main files from multiple source directories with listFun
       {
         schedule: undefined,
         name: 'function',
+        nameCollision: MULTIPLE_SRC_DIRECTORIES_NAME_COLLISION,
         mainFile: '.netlify/internal-functions/function.js',
         runtime: 'js',
         extension: '.js',
@@ -852,6 +918,7 @@ test('Can list function main files from multiple source directories with listFun
       {
         schedule: undefined,
         name: 'function',
+        nameCollision: MULTIPLE_SRC_DIRECTORIES_NAME_COLLISION,
         mainFile: 'netlify/functions/function.js',
         runtime: 'js',
         extension: '.js',
@@ -913,10 +980,27 @@ testMany(
         schedule: undefined,
         srcFile: 'one/index.js',
       },
-      { name: 'test', mainFile: 'test', runtime: 'go', extension: '', schedule: undefined, srcFile: 'test' },
-      { name: 'test', mainFile: 'test.js', runtime: 'js', extension: '.js', schedule: undefined, srcFile: 'test.js' },
       {
         name: 'test',
+        nameCollision: LIST_NAME_COLLISION,
+        mainFile: 'test',
+        runtime: 'go',
+        extension: '',
+        schedule: undefined,
+        srcFile: 'test',
+      },
+      {
+        name: 'test',
+        nameCollision: LIST_NAME_COLLISION,
+        mainFile: 'test.js',
+        runtime: 'js',
+        extension: '.js',
+        schedule: undefined,
+        srcFile: 'test.js',
+      },
+      {
+        name: 'test',
+        nameCollision: LIST_NAME_COLLISION,
         mainFile: 'test.zip',
         runtime: 'js',
         extension: '.zip',
@@ -972,6 +1056,7 @@ testMany(
         [
           {
             name: 'function',
+            nameCollision: MULTIPLE_SRC_DIRECTORIES_NAME_COLLISION,
             mainFile: '.netlify/internal-functions/function.js',
             runtime: 'js',
             extension: '.js',
@@ -980,6 +1065,7 @@ testMany(
 
           !shouldInlineFiles && {
             name: 'function',
+            nameCollision: MULTIPLE_SRC_DIRECTORIES_NAME_COLLISION,
             mainFile: '.netlify/internal-functions/function.js',
             runtime: 'js',
             extension: '.js',
@@ -988,6 +1074,7 @@ testMany(
 
           !shouldInlineFiles && {
             name: 'function',
+            nameCollision: MULTIPLE_SRC_DIRECTORIES_NAME_COLLISION,
             mainFile: '.netlify/internal-functions/function.js',
             runtime: 'js',
             extension: '.json',
@@ -1020,6 +1107,7 @@ testMany(
 
           {
             name: 'function',
+            nameCollision: MULTIPLE_SRC_DIRECTORIES_NAME_COLLISION,
             mainFile: 'netlify/functions/function.js',
             runtime: 'js',
             extension: '.js',
@@ -1028,6 +1116,7 @@ testMany(
 
           !shouldInlineFiles && {
             name: 'function',
+            nameCollision: MULTIPLE_SRC_DIRECTORIES_NAME_COLLISION,
             mainFile: 'netlify/functions/function.js',
             runtime: 'js',
             extension: '.js',
@@ -1036,6 +1125,7 @@ testMany(
 
           !shouldInlineFiles && {
             name: 'function',
+            nameCollision: MULTIPLE_SRC_DIRECTORIES_NAME_COLLISION,
             mainFile: 'netlify/functions/function.js',
             runtime: 'js',
             extension: '.json',
@@ -1368,6 +1458,73 @@ testMany(
   },
 )
 
+testMany(
+  'Uses the entry file declared by the package.json of a directory function without a main file',
+  ['bundler_default', 'bundler_esbuild', 'bundler_nft'],
+  async (options, t) => {
+    const FUNCTIONS_COUNT = 4
+    const { files, tmpDir } = await zipFixture(t, 'node-package-main', {
+      length: FUNCTIONS_COUNT,
+      opts: options,
+    })
+
+    await unzipFiles(files)
+
+    t.is(require(`${tmpDir}/func-main.js`).handler(), 'Hello from main')
+    t.is(require(`${tmpDir}/func-exports.js`).handler(), 'Hello from exports')
+    t.is(require(`${tmpDir}/func-lib.js`).handler(), 'Hello from lib')
+    t.is(require(`${tmpDir}/func-name.js`).handler(), 'Hello from name')
+  },
+)
+
+test('listFunctions returns the entry file declared by the package.json of a directory function', async (t) => {
+  const fixtureDir = join(FIXTURES_DIR, 'node-package-main')
+  const functions = await listFunctions(fixtureDir, { parseISC: true })
+  const mainFiles = Object.fromEntries(functions.map(({ name, mainFile }) => [name, mainFile]))
+  const { schedule } = functions.find(({ name }) => name === 'func-main')
+
+  t.deepEqual(mainFiles, {
+    'func-exports': join(fixtureDir, 'func-exports', 'lib', 'main.js'),
+    'func-name': join(fixtureDir, 'func-name', 'func-name.js'),
+    'func-lib': join(fixtureDir, 'func-lib', 'lib', 'index.js'),
+    'func-main': join(fixtureDir, 'func-main', 'dist', 'handler.js'),
+  })
+  t.is(schedule, '@daily')
+})
+
+test('listFunctions ignores directories with an invalid package.json and no main file', async (t) => {
+  const { path: tmpDir } = await getTmpDir({ prefix: 'zip-it-test' })
+
+  await makeDir(join(tmpDir, 'func', 'dist'))
+  await pWriteFile(join(tmpDir, 'func', 'dist', 'handler.js'), 'module.exports.handler = () => {}')
+  await pWriteFile(join(tmpDir, 'func', 'package.json'), '{ "main": "dist/handler.js",')
+
+  t.deepEqual(await listFunctions(tmpDir), [])
+})
+
+testMany(
+  'Handles a function with a .cts, .mts, .jsx or .tsx extension',
+  ['bundler_esbuild', 'bundler_default'],
+  async (options, t) => {
+    const FUNCTIONS_COUNT = 4
+    const { files, tmpDir } = await zipFixture(t, 'node-extensions', {
+      length: FUNCTIONS_COUNT,
+      opts: options,
+    })
+
+    await unzipFiles(files)
+
+    files.forEach((file) => {
+      t.is(file.bundler, 'esbuild')
+    })
+
+    t.is(require(`${tmpDir}/func-cts.js`).handler(), 'Hello from cts')
+    t.is(require(`${tmpDir}/func-mts.js`).handler(), 'Hello from mts')
+    t.is(require(`${tmpDir}/func-jsx.js`).handler(), '<p>jsx</p>')
+    t.is(require(`${tmpDir}/func-dir-tsx.js`).handler(), '<p>tsx</p>')
+  },
+)
+
 testMany(
   'Loads a tsconfig.json placed in the same directory as the function',
   ['bundler_default', 'bundler_esbuild', 'bundler_esbuild_zisi', 'bundler_default_nft', 'todo:bundler_nft'],
@@ -1392,6 +1549,69 @@ testMany(
   },
 )
 
+testMany(
+  'Adds the tsconfig.json of the function to its inputs',
+  ['bundler_default', 'bundler_esbuild'],
+  async (options, t) => {
+    const fixtureDir = join(FIXTURES_DIR, 'node-typescript-tsconfig-parent')
+    const { files } = await zipFixture(t, 'node-typescript-tsconfig-parent/functions', {
+      opts: options,
+    })
+
+    t.true(files[0].inputs.includes(join(fixtureDir, 'tsconfig.json')))
+  },
+)
+
+testMany(
+  'Adds the tsconfig files extended by the tsconfig.json of the function to its inputs',
+  ['bundler_default', 'bundler_esbuild'],
+  async (options, t) => {
+    const fixtureDir = join(FIXTURES_DIR, 'node-typescript-tsconfig-extends')
+    const { files, tmpDir } = await zipFixture(t, 'node-typescript-tsconfig-extends/functions', {
+      opts: options,
+    })
+
+    await unzipFiles(files)
+
+    t.is(require(`${tmpDir}/function.js`).value, 'Hello from the base tsconfig')
+    t.true(files[0].inputs.includes(join(fixtureDir, 'functions', 'tsconfig.json')))
+    t.true(files[0].inputs.includes(join(fixtureDir, 'tsconfig.base.json')))
+  },
+)
+
+testMany(
+  'Uses the tsconfig file set in the `nodeTsconfig` configuration property',
+  ['bundler_default', 'bundler_esbuild'],
+  async (options, t) => {
+    const fixtureDir = join(FIXTURES_DIR, 'node-typescript-tsconfig-override')
+    const opts = merge(options, { basePath: fixtureDir, config: { '*': { nodeTsconfig: 'tsconfig.functions.json' } } })
+    const { files, tmpDir } = await zipFixture(t, 'node-typescript-tsconfig-override/functions', { opts })
+
+    await unzipFiles(files)
+
+    t.is(require(`${tmpDir}/function.js`).value, 'Hello from the override')
+    t.true(files[0].inputs.includes(join(fixtureDir, 'tsconfig.functions.json')))
+    t.false(files[0].inputs.includes(join(fixtureDir, 'functions', 'tsconfig.json')))
+  },
+)
+
+testMany(
+  'Resolves the `nodeTsconfig` configuration property relative to the base path when the function sets `includedFiles`',
+  ['bundler_default', 'bundler_esbuild'],
+  async (options, t) => {
+    const fixtureDir = join(FIXTURES_DIR, 'node-typescript-tsconfig-override')
+    const opts = merge(options, { basePath: fixtureDir, config: { '*': { nodeTsconfig: 'tsconfig.functions.json' } } })
+    const { files, tmpDir } = await zipFixture(t, 'node-typescript-tsconfig-override/functions-included-files', {
+      opts,
+    })
+
+    await unzipFiles(files)
+
+    t.is(require(`${tmpDir}/function.js`).value, 'Hello from the override')
+    t.true(files[0].inputs.includes(join(fixtureDir, 'tsconfig.functions.json')))
+  },
+)
+
 testMany(
   'Respects the target defined in the config over a `target` property defined in tsconfig',
   ['bundler_esbuild', 'bundler_default', 'todo:bundler_nft'],
@@ -1533,6 +1753,48 @@ testMany(
   },
 )
 
+testMany(
+  'Generates a tarball if `archiveFormat` is set to `tar.gz`',
+  ['bundler_default', 'bundler_esbuild', 'bundler_default_nft'],
+  async (options, t) => {
+    const opts = merge(options, {
+      archiveFormat: 'tar.gz',
+    })
+    const { files, tmpDir } = await zipNode(t, 'node-fetch', {
+      opts,
+    })
+
+    t.is(files[0].path, join(tmpDir, 'function.tar.gz'))
+    t.not(files[0].size, 0)
+
+    const extractDir = join(tmpDir, 'extracted')
+
+    await makeDir(extractDir)
+    await execa('tar', ['-xzf', files[0].path, '-C', extractDir])
+
+    const functionEntry = require(`${extractDir}/function.js`)
+
+    t.is(typeof functionEntry, 'function')
+  },
+)
+
+test('Generates a `tar.zst` archive if Zstandard is supported, and throws otherwise', async (t) => {
+  const opts = { archiveFormat: 'tar.zst', config: { '*': { nodeBundler: 'esbuild' } } }
+
+  if (typeof require('zlib').createZstdCompress !== 'function') {
+    await t.throwsAsync(zipNode(t, 'node-fetch', { opts }), {
+      message: /requires a version of Node.js with Zstandard support/,
+    })
+
+    return
+  }
+
+  const { files, tmpDir } = await zipNode(t, 'node-fetch', { opts })
+
+  t.is(files[0].path, join(tmpDir, 'function.tar.zst'))
+  t.not(files[0].size, 0)
+})
+
 testMany(
   'Includes in the bundle any paths matched by a `included_files` glob',
   ['bundler_default', 'bundler_esbuild', 'bundler_esbuild_zisi', 'bundler_default_nft', 'bundler_nft'],
@@ -1589,6 +1851,77 @@ test('Generates a bundle for the Node runtime version specified in the `nodeVers
   t.regex(node12Function, /catch {/)
 })
 
+// Logical assignment operators are only supported natively from Node.js 15, so
+// they're transpiled down when bundling for older versions.
+const zipLogicalAssignmentFixture = async (t, fixtureName, config = {}) => {
+  const { files } = await zipNode(t, fixtureName, {
+    opts: { archiveFormat: 'none', config: { '*': { nodeBundler: 'esbuild', ...config } } },
+  })
+
+  return pReadFile(`${files[0].path}/src/function.js`, 'utf8')
+}
+
+test('Generates a bundle for any `nodejsNN.x` value of the `nodeVersion` config property', async (t) => {
+  const node18Function = await zipLogicalAssignmentFixture(t, 'node-logical-assignment', { nodeVersion: 'nodejs18.x' })
+  const defaultFunction = await zipLogicalAssignmentFixture(t, 'node-logical-assignment')
+
+  t.true(node18Function.includes('??='))
+  t.false(defaultFunction.includes('??='))
+})
+
+test('Infers the Node runtime version from the `engines.node` property of the package.json', async (t) => {
+  const inferredFunction = await zipLogicalAssignmentFixture(t, 'node-version-engines')
+  const configuredFunction = await zipLogicalAssignmentFixture(t, 'node-version-engines', { nodeVersion: '12.x' })
+
+  t.true(inferredFunction.includes('??='))
+  t.false(configuredFunction.includes('??='))
+})
+
+test('Does not infer the Node runtime version from a package.json above the `basePath`', async (t) => {
+  const fixtureName = 'node-version-engines-parent'
+  const basePath = join(FIXTURES_DIR, fixtureName, 'functions')
+  const config = { '*': { nodeBundler: 'esbuild' } }
+  const {
+    files: [inferredFunction],
+  } = await zipNode(t, `${fixtureName}/functions`, { opts: { archiveFormat: 'none', config } })
+  const {
+    files: [boundedFunction],
+  } = await zipNode(t, `${fixtureName}/functions`, { opts: { archiveFormat: 'none', basePath, config } })
+
+  const inferredContents = await pReadFile(`${inferredFunction.path}/src/function.js`, 'utf8')
+  const boundedContents = await pReadFile(`${boundedFunction.path}/function.js`, 'utf8')
+
+  t.true(inferredContents.includes('??='))
+  t.false(boundedContents.includes('??='))
+})
+
+test('Does not infer a Node runtime version lower than 12', async (t) => {
+  const { files } = await zipNode(t, 'node-version-engines-old', {
+    opts: { archiveFormat: 'none', config: { '*': { nodeBundler: 'esbuild' } } },
+  })
+  const bundledFunction = await pReadFile(`${files[0].path}/src/function.js`, 'utf8')
+
+  t.regex(bundledFunction, /catch {/)
+})
+
+test('Infers the Node runtime version from an .nvmrc file', async (t) => {
+  const inferredFunction = await zipLogicalAssignmentFixture(t, 'node-version-nvmrc')
+
+  t.true(inferredFunction.includes('??='))
+})
+
+test.serial('Infers the Node runtime version from the `AWS_LAMBDA_JS_RUNTIME` environment variable', async (t) => {
+  env.AWS_LAMBDA_JS_RUNTIME = 'nodejs18.x'
+
+  try {
+    const inferredFunction = await zipLogicalAssignmentFixture(t, 'node-logical-assignment')
+
+    t.true(inferredFunction.includes('??='))
+  } finally {
+    delete env.AWS_LAMBDA_JS_RUNTIME
+  }
+})
+
 testMany(
   'Returns an `inputs` property with all the imported paths',
   ['bundler_default', 'bundler_esbuild', 'bundler_esbuild_zisi', 'bundler_default_nft', 'bundler_nft'],
@@ -1719,6 +2052,117 @@ testMany(
   },
 )
 
+test('listFunctions finds the functions in sub-directories when `nestedDiscovery` is set', async (t) => {
+  const fixtureDir = join(FIXTURES_DIR, 'nested-functions')
+  const functions = await listFunctions(fixtureDir, { nestedDiscovery: true })
+  const nestedFunctions = await listFunctions(fixtureDir, { nestedDiscovery: true, nestedNameSeparator: '_' })
+  const topLevelFunctions = await listFunctions(fixtureDir)
+
+  t.deepEqual(Object.fromEntries(functions.map(({ mainFile, name }) => [name, mainFile])), {
+    'api-posts': join(fixtureDir, 'api', 'posts', 'posts.js'),
+    'api-users': join(fixtureDir, 'api', 'users', 'users.ts'),
+    'api-v2-comments': join(fixtureDir, 'api', 'v2', 'comments', 'comments.mjs'),
+    hello: join(fixtureDir, 'hello', 'index.js'),
+  })
+  t.deepEqual(nestedFunctions.map(({ name }) => name).sort(), ['api_posts', 'api_users', 'api_v2_comments', 'hello'])
+  t.deepEqual(
+    topLevelFunctions.map(({ name }) => name),
+    ['hello'],
+  )
+})
+
+testMany(
+  'Zips the functions in sub-directories when `nestedDiscovery` is set',
+  ['bundler_default', 'bundler_nft'],
+  async (options, t) => {
+    const FUNCTIONS_COUNT = 4
+    const config = { ...options.config, 'api/**': { nodeBundler: 'esbuild' } }
+    const { files, tmpDir } = await zipFixture(t, 'nested-functions', {
+      length: FUNCTIONS_COUNT,
+      opts: { ...options, config, nestedDiscovery: true },
+    })
+
+    await unzipFiles(files)
+
+    const bundlers = Object.fromEntries(files.map(({ bundler, name }) => [name, bundler]))
+
+    t.is(bundlers['api-posts'], 'esbuild')
+    t.is(bundlers['api-users'], 'esbuild')
+    t.is(bundlers['api-v2-comments'], 'esbuild')
+    t.not(bundlers.hello, 'esbuild')
+    t.is(require(`${tmpDir}/api-posts.js`).handler(), 'Hello from api/posts')
+    t.is(require(`${tmpDir}/api-users.js`).handler(), 'Hello from api/users')
+    t.is(require(`${tmpDir}/api-v2-comments.js`).handler(), 'Hello from api/v2/comments')
+    t.is(require(`${tmpDir}/hello.js`).handler(), 'Hello from hello')
+  },
+)
+
+test('zipFunctions reports the functions with the same name in different source directories', async (t) => {
+  const { path: tmpDir } = await getTmpDir({ prefix: 'zip-it-test' })
+  const internalDir = join(FIXTURES_DIR, 'multiple-src-directories', '.netlify', 'internal-functions')
+  const userDir = join(FIXTURES_DIR, 'multiple-src-directories', 'netlify', 'functions')
+  const consoleWarn = sinon.stub(console, 'warn')
+  const files = await zipFunctions([internalDir, userDir], tmpDir)
+
+  consoleWarn.restore()
+
+  const { nameCollision } = files.find(({ name }) => name === 'function')
+
+  t.deepEqual(nameCollision, {
+    contenders: [
+      { path: join(internalDir, 'function.js'), runtime: 'js' },
+      { path: join(userDir, 'function.js'), runtime: 'js' },
+    ],
+    winner: join(userDir, 'function.js'),
+  })
+  t.true(files.filter(({ name }) => name !== 'function').every((file) => file.nameCollision === undefined))
+  t.false(consoleWarn.called)
+})
+
+test('zipFunctions does not report the functions with the same name when `nameCollisionAction` is `off`', async (t) => {
+  const { path: tmpDir } = await getTmpDir({ prefix: 'zip-it-test' })
+  const fixtureDir = join(FIXTURES_DIR, 'multiple-src-directories')
+  const files = await zipFunctions(
+    [join(fixtureDir, '.netlify', 'internal-functions'), join(fixtureDir, 'netlify', 'functions')],
+    tmpDir,
+    { nameCollisionAction: 'off' },
+  )
+
+  t.true(files.every((file) => file.nameCollision === undefined))
+})
+
+test('Throws an error listing the functions with the same name when `nameCollisionAction` is `error`', async (t) => {
+  const { path: tmpDir } = await getTmpDir({ prefix: 'zip-it-test' })
+  const internalDir = join(FIXTURES_DIR, 'multiple-src-directories', '.netlify', 'internal-functions')
+  const userDir = join(FIXTURES_DIR, 'multiple-src-directories', 'netlify', 'functions')
+  const error = await t.throwsAsync(zipFunctions([internalDir, userDir], tmpDir, { nameCollisionAction: 'error' }))
+  const internalPath = join(internalDir, 'function.js')
+  const userPath = join(userDir, 'function.js')
+
+  t.is(
+    error.message,
+    `Functions with the same name:\n- Found 2 functions named "function": ${internalPath} (js), ${userPath} (js). Only ${userPath} is used.`,
+  )
+})
+
+test('listFunctions throws an error listing the functions with the same name when `nameCollisionAction` is `error`', async (t) => {
+  const internalDir = join(FIXTURES_DIR, 'multiple-src-directories', '.netlify', 'internal-functions')
+  const userDir = join(FIXTURES_DIR, 'multiple-src-directories', 'netlify', 'functions')
+  const error = await t.throwsAsync(listFunctions([internalDir, userDir], { nameCollisionAction: 'error' }))
+
+  t.true(error.message.startsWith('Functions with the same name:\n- Found 2 functions named "function"'))
+})
+
+test('listFunctions does not report the functions with the same name when `nameCollisionAction` is `off`', async (t) => {
+  const fixtureDir = join(FIXTURES_DIR, 'multiple-src-directories')
+  const functions = await listFunctions(
+    [join(fixtureDir, '.netlify', 'internal-functions'), join(fixtureDir, 'netlify', 'functions')],
+    { nameCollisionAction: 'off' },
+  )
+
+  t.true(functions.every((func) => func.nameCollision === undefined))
+})
+
 test('When generating a directory for a function with `archiveFormat: "none"`, it empties the directory before copying any files', async (t) => {
   const { path: tmpDir } = await getTmpDir({ prefix: 'zip-it-test' })
   const functionDirectory = join(tmpDir, 'function')
@@ -1749,6 +2193,57 @@ test('Throws an error if the `archiveFormat` property contains an invalid value`
   )
 })
 
+test('Throws an error listing every invalid configuration property when `configValidation` is `error`', async (t) => {
+  const { path: tmpDir } = await getTmpDir({ prefix: 'zip-it-test' })
+  const config = { '*': { includedFiles: 'files/*', nodeBunder: 'zisi' }, function: { nodeBundler: 'webpack' } }
+  const error = await t.throwsAsync(
+    zipFunctions(join(FIXTURES_DIR, 'simple'), tmpDir, { config, configValidation: 'error' }),
+  )
+
+  t.is(
+    error.message,
+    `Invalid functions configuration:
+- Invalid value for "includedFiles" in the configuration for "*": expected an array of strings, got "files/*".
+- Unknown property "nodeBunder" in the configuration for "*". Did you mean "nodeBundler"?
+- Invalid value for "nodeBundler" in the configuration for "function": expected one of "esbuild", "esbuild_zisi", "nft", "zisi", got "webpack".`,
+  )
+})
+
+test.serial('Returns the invalid configuration properties and the globs that match no function', async (t) => {
+  const { path: tmpDir } = await getTmpDir({ prefix: 'zip-it-test' })
+  const manifestPath = join(tmpDir, 'manifest.json')
+  const consoleWarn = sinon.stub(console, 'warn')
+
+  try {
+    const config = { '*': { nodeVersion: 'latest', schedul: '@daily' }, 'does-not-exist-*': {} }
+    const [result] = await zipFunctions(join(FIXTURES_DIR, 'simple'), tmpDir, { config, manifest: manifestPath })
+    const functionIssues = [
+      'Invalid value for "nodeVersion" in the configuration for "*": expected a Node.js version like "18.x" or "nodejs18.x", got "latest".',
+      'Unknown property "schedul" in the configuration for "*". Did you mean "schedule"?',
+    ]
+
+    t.is(result.name, 'function')
+    t.deepEqual(result.configIssues, functionIssues)
+    t.deepEqual(require(manifestPath).configIssues, [
+      ...functionIssues,
+      'The configuration for "does-not-exist-*" does not match any function.',
+    ])
+    t.true(consoleWarn.notCalled)
+  } finally {
+    consoleWarn.restore()
+  }
+})
+
+test('Returns the invalid configuration properties of the function with `zipFunction`', async (t) => {
+  const { path: tmpDir } = await getTmpDir({ prefix: 'zip-it-test' })
+  const config = { '*': { nodeBunder: 'zisi' }, 'does-not-exist-*': { nodeBundler: 'webpack' } }
+  const result = await zipFunction(join(FIXTURES_DIR, 'simple', 'function.js'), tmpDir, { config })
+
+  t.deepEqual(result.configIssues, [
+    'Unknown property "nodeBunder" in the configuration for "*". Did you mean "nodeBundler"?',
+  ])
+})
+
 testMany(
   'Adds `type: "functionsBundling"` to user errors when parsing with esbuild',
   ['bundler_esbuild'],
@@ -2018,6 +2513,20 @@ test('Zips Rust function files', async (t) => {
   t.is(tc.trim(), '{"runtime":"rs"}')
 })
 
+test('Creates tarballs for Rust function files if `archiveFormat` is set to `tar.gz`', async (t) => {
+  const { files, tmpDir } = await zipFixture(t, 'rust-simple', { length: 1, opts: { archiveFormat: 'tar.gz' } })
+
+  t.is(files[0].path, join(tmpDir, 'hello-world.tar.gz'))
+
+  await execa('tar', ['-xzf', files[0].path, '-C', tmpDir])
+
+  t.true(await pathExists(`${tmpDir}/bootstrap`))
+
+  const tc = await pReadFile(`${tmpDir}/netlify-toolchain`, 'utf8')
+
+  t.is(tc.trim(), '{"runtime":"rs"}')
+})
+
 test('Does not zip Go function files', async (t) => {
   const { files } = await zipFixture(t, 'go-simple', { length: 1 })
 
@@ -2099,6 +2608,31 @@ test.serial('Adds `type: "functionsBundling"` to errors resulting from compiling
   }
 })
 
+test('listFunctions includes the schedule set with a magic comment in Go and Rust functions', async (t) => {
+  const functions = await listFunctions(join(FIXTURES_DIR, 'in-source-config-go-rust'), {
+    featureFlags: { buildGoSource: true, buildRustSource: true },
+    parseISC: true,
+  })
+  const schedules = Object.fromEntries(functions.map(({ name, schedule }) => [name, schedule]))
+
+  t.deepEqual(schedules, { 'go-func': '@hourly', 'rust-func': '0 12 * * mon-fri' })
+})
+
+test.serial('Adds the schedule set with a magic comment to the result of zipping a Go function', async (t) => {
+  shellUtilsStub.callsFake((...args) => pWriteFile(args[1][2], ''))
+
+  const { files } = await zipFixture(t, 'in-source-config-go-rust', {
+    opts: {
+      featureFlags: {
+        buildGoSource: true,
+      },
+    },
+  })
+
+  t.is(files[0].name, 'go-func')
+  t.is(files[0].schedule, '@hourly')
+})
+
 test.serial(
   'Does not build Rust functions from source if the `buildRustSource` feature flag is not enabled',
   async (t) => {
@@ -2303,6 +2837,38 @@ test('Creates a manifest file with the list of created functions if the `manifes
   })
 })
 
+testMany(
+  'Creates a version 2 manifest file with hashes, sizes and bundler information if `manifestVersion` is 2',
+  ['bundler_default', 'bundler_esbuild', 'bundler_nft'],
+  async (options, t) => {
+    const { path: tmpDir } = await getTmpDir({ prefix: 'zip-it-test' })
+    const manifestPath = join(tmpDir, 'manifest.json')
+    const featureFlags = { defaultEsModulesToEsbuild: true }
+    const opts = merge(options, { featureFlags, manifest: manifestPath, manifestVersion: 2 })
+    const { files } = await zipNode(t, 'node-fetch', { opts })
+    const manifest = require(manifestPath)
+    const [fn] = manifest.functions
+    const { version } = require('../package.json')
+
+    t.is(manifest.version, 2)
+    t.is(manifest.libraryVersion, version)
+    t.true(manifest.featureFlags.defaultEsModulesToEsbuild)
+    t.is(manifest.system.platform, platform)
+    t.is(fn.name, files[0].name)
+    t.is(fn.path, files[0].path)
+    t.is(fn.bundler, files[0].bundler)
+    t.is(fn.size, files[0].size)
+    t.is(
+      fn.sha256,
+      createHash('sha256')
+        .update(await pReadFile(files[0].path))
+        .digest('hex'),
+    )
+    t.is(typeof fn.inputsHash, 'string')
+    t.deepEqual(fn.config, files[0].config)
+  },
+)
+
 testMany(
   'Correctly follows node_modules via symlink',
   ['bundler_esbuild', platform === 'win32' ? 'todo:bundler_nft' : 'bundler_nft'],
@@ -2458,6 +3024,59 @@ testMany(
   },
 )
 
+test('Applies the properties of the `config` export to the configuration used to bundle the function', async (t) => {
+  const { path: tmpDir } = await getTmpDir({ prefix: 'zip-it-test' })
+  const results = await zipFunctions(join(FIXTURES_DIR, 'in-source-config-export', 'functions'), tmpDir, {
+    config: { '*': { nodeBundler: 'zisi', schedule: '@daily' } },
+  })
+  const configCjs = results.find(({ name }) => name === 'config_cjs')
+  const configEsm = results.find(({ name }) => name === 'config_esm')
+
+  await unzipFiles([configEsm])
+
+  t.is(configCjs.bundler, 'zisi')
+  t.is(configCjs.config.nodeVersion, '18.x')
+  t.is(configCjs.schedule, '@weekly')
+  t.is(configEsm.bundler, 'esbuild')
+  t.is(configEsm.schedule, '@hourly')
+  t.true(await pathExists(join(tmpDir, 'files', 'hello.txt')))
+})
+
+test('Returns the properties of the `config` export that are not static or not valid', async (t) => {
+  const { path: tmpDir } = await getTmpDir({ prefix: 'zip-it-test' })
+  const mainFile = join(FIXTURES_DIR, 'in-source-config-export-invalid', 'function.js')
+  const [result] = await zipFunctions(join(FIXTURES_DIR, 'in-source-config-export-invalid'), tmpDir)
+
+  t.is(result.bundler, 'zisi')
+  t.is(result.schedule, undefined)
+  t.deepEqual(result.configIssues, [
+    `Invalid value for "externalNodeModules" in the configuration for "${mainFile}": expected an array of strings, got ["test",5].`,
+    `Invalid value for "nodeBundler" in the configuration for "${mainFile}": expected one of "esbuild", "esbuild_zisi", "nft", "zisi", got "esbuil".`,
+    `Invalid value for "schedule" in the configuration for "${mainFile}": expected a static value.`,
+  ])
+})
+
+test('Throws an error for the invalid properties of the `config` export when `configValidation` is `error`', async (t) => {
+  const { path: tmpDir } = await getTmpDir({ prefix: 'zip-it-test' })
+  const error = await t.throwsAsync(
+    zipFunction(join(FIXTURES_DIR, 'in-source-config-export-invalid', 'function.js'), tmpDir, {
+      configValidation: 'error',
+    }),
+  )
+
+  t.true(error.message.startsWith('Invalid functions configuration:'))
+  t.true(error.message.includes('got "esbuil"'))
+})
+
+test('listFunctions includes the schedule set in the `config` export', async (t) => {
+  const functions = await listFunctions(join(FIXTURES_DIR, 'in-source-config-export', 'functions'), {
+    parseISC: true,
+  })
+  const schedules = Object.fromEntries(functions.map(({ name, schedule }) => [name, schedule]))
+
+  t.deepEqual(schedules, { config_cjs: '@weekly', config_esm: '@hourly' })
+})
+
 test('listFunctions surfaces schedule config property', async (t) => {
   const functions = await listFunctions(join(FIXTURES_DIR, 'many-functions'), {
     config: {
@@ -2470,6 +3089,155 @@ test('listFunctions surfaces schedule config property', async (t) => {
   t.is(five.schedule, '@daily')
 })
 
+test('Throws an error when the schedule of a function is not a valid cron expression', async (t) => {
+  const { path: tmpDir } = await getTmpDir({ prefix: 'zip-it-test' })
+  const mainFile = join(FIXTURES_DIR, 'many-functions', 'one.js')
+  const error = await t.throwsAsync(zipFunction(mainFile, tmpDir, { config: { one: { schedule: '* * *' } } }))
+
+  t.is(error.message, 'Invalid schedule "* * *" for function "one": expected 5 fields, got 3')
+  t.deepEqual(error.customErrorInfo, {
+    type: 'functionsBundling',
+    location: { functionName: 'one', runtime: 'js' },
+  })
+})
+
+test('Throws an error before zipping a function whose in-source schedule is not a valid cron expression', async (t) => {
+  const { path: srcDir } = await getTmpDir({ prefix: 'zip-it-test' })
+  const { path: tmpDir } = await getTmpDir({ prefix: 'zip-it-test' })
+
+  await pWriteFile(join(srcDir, 'func.js'), "exports.config = { schedule: '* * *' }")
+
+  const error = await t.throwsAsync(zipFunctions(srcDir, tmpDir))
+
+  t.is(error.message, 'Invalid schedule "* * *" for function "func": expected 5 fields, got 3')
+  t.false(await pathExists(join(tmpDir, 'func.zip')))
+})
+
+test('listFunctions throws an error when an in-source schedule is not a valid cron expression', async (t) => {
+  const { path: tmpDir } = await getTmpDir({ prefix: 'zip-it-test' })
+
+  await pWriteFile(join(tmpDir, 'func.js'), "exports.config = { schedule: '0 0 31 feb *' }")
+
+  await t.notThrowsAsync(listFunctions(tmpDir))
+
+  const error = await t.throwsAsync(listFunctions(tmpDir, { parseISC: true }))
+
+  t.is(error.message, 'Invalid schedule "0 0 31 feb *" for function "func": Invalid explicit day of month definition')
+})
+
+test.serial(
+  'listFunctions returns the next runs of scheduled functions when the `nextRuns` option is set',
+  async (t) => {
+    const clock = sinon.useFakeTimers({ now: new Date('2021-10-15T10:30:00Z'), toFake: ['Date'] })
+    const functions = await listFunctions(join(FIXTURES_DIR, 'in-source-config-export', 'functions'), {
+      config: { config_cjs: { schedule: '@daily' } },
+      nextRuns: 2,
+      parseISC: true,
+    })
+
+    clock.restore()
+
+    const nextRuns = Object.fromEntries(functions.map(({ name, nextRuns: runs }) => [name, runs]))
+
+    t.deepEqual(nextRuns, {
+      config_cjs: ['2021-10-17T00:00:00.000Z', '2021-10-24T00:00:00.000Z'],
+      config_esm: ['2021-10-15T11:00:00.000Z', '2021-10-15T12:00:00.000Z'],
+    })
+  },
+)
+
+test('loadNetlifyToml converts the `[functions]` section of a netlify.toml file to a config object', async (t) => {
+  const fixtureDir = join(FIXTURES_DIR, 'netlify-toml')
+  const { config, directory } = await loadNetlifyToml(join(fixtureDir, 'netlify.toml'))
+
+  t.is(directory, join(fixtureDir, 'functions'))
+  t.deepEqual(config, {
+    '*': { externalNodeModules: ['test'], nodeBundler: 'zisi' },
+    'func*': { includedFiles: ['files/*'], includedFilesBasePath: fixtureDir, schedule: '@hourly' },
+  })
+})
+
+test('The config loaded from a netlify.toml file can be passed to zipFunctions', async (t) => {
+  const { path: tmpDir } = await getTmpDir({ prefix: 'zip-it-test' })
+  const fixtureDir = join(FIXTURES_DIR, 'netlify-toml')
+  const { config, directory } = await loadNetlifyToml(join(fixtureDir, 'netlify.toml'))
+  const results = await zipFunctions(directory, tmpDir, { config })
+  const func1 = results.find(({ name }) => name === 'func1')
+  const other = results.find(({ name }) => name === 'other')
+
+  t.is(func1.bundler, 'zisi')
+  t.true(func1.inputs.includes(join(fixtureDir, 'files', 'hello.txt')))
+  t.false(other.inputs.includes(join(fixtureDir, 'files', 'hello.txt')))
+})
+
+test('loadNetlifyToml throws an error with the location of a syntax error', async (t) => {
+  const tmpFile = await tmpName({ postfix: '.toml' })
+
+  await pWriteFile(tmpFile, '[functions]\nnode_bundler = \n')
+
+  const error = await t.throwsAsync(loadNetlifyToml(tmpFile))
+
+  t.true(error.message.startsWith(`Could not parse ${tmpFile} (line 2`))
+})
+
+test('Reads the configuration of a function from a `<name>.config.json` file or from its package.json', async (t) => {
+  const functions = await listFunctions(join(FIXTURES_DIR, 'local-config'), {
+    config: { '*': { schedule: '@monthly' } },
+  })
+  const schedules = Object.fromEntries(functions.map(({ name, schedule }) => [name, schedule]))
+
+  t.deepEqual(schedules, {
+    'func-both': '@weekly',
+    'func-dir': '@daily',
+    'func-file': '@hourly',
+    other: '@monthly',
+  })
+})
+
+test('Lists a directory function whose package.json cannot be parsed', async (t) => {
+  const { path: tmpDir } = await getTmpDir({ prefix: 'zip-it-test' })
+  const funcDir = join(tmpDir, 'func-dir')
+
+  await makeDir(funcDir)
+  await pWriteFile(join(funcDir, 'func-dir.js'), `module.exports = true`)
+  await pWriteFile(join(funcDir, 'package.json'), `{ "name": `)
+
+  const functions = await listFunctions(tmpDir)
+
+  t.deepEqual(
+    functions.map(({ mainFile, name }) => ({ mainFile, name })),
+    [{ mainFile: join(funcDir, 'func-dir.js'), name: 'func-dir' }],
+  )
+})
+
+test('Resolves the `includedFiles` of a `<name>.config.json` file relative to the file', async (t) => {
+  const { path: tmpDir } = await getTmpDir({ prefix: 'zip-it-test' })
+  const results = await zipFunctions(join(FIXTURES_DIR, 'local-config'), tmpDir)
+  const funcFile = results.find(({ name }) => name === 'func-file')
+  const other = results.find(({ name }) => name === 'other')
+
+  await unzipFiles([funcFile])
+
+  t.is(funcFile.bundler, 'esbuild')
+  t.true(await pathExists(join(tmpDir, 'data', 'hello.txt')))
+  t.is(other.bundler, 'zisi')
+})
+
+test('Combines the `includedFiles` of the `config` object with the ones of a configuration file', async (t) => {
+  const { path: tmpDir } = await getTmpDir({ prefix: 'zip-it-test' })
+  const fixtureDir = join(FIXTURES_DIR, 'local-config-included-files')
+  const [result] = await zipFunctions(join(fixtureDir, 'functions'), tmpDir, {
+    basePath: fixtureDir,
+    config: { '*': { includedFiles: ['shared/*'] } },
+  })
+
+  await unzipFiles([result])
+
+  t.deepEqual(result.config.includedFiles, ['shared/*', join(fixtureDir, 'data', '*')])
+  t.true(await pathExists(join(tmpDir, 'shared', 'global.txt')))
+  t.true(await pathExists(join(tmpDir, 'data', 'local.txt')))
+})
+
 test('listFunctions includes in-source config declarations', async (t) => {
   const functions = await listFunctions(join(FIXTURES_DIR, 'in-source-config', 'functions'), {
     parseISC: true,
@@ -2492,6 +3260,49 @@ test('listFunction includes in-source config declarations', async (t) => {
     name: 'cron_cjs',
     runtime: 'js',
     schedule: '@daily',
+    type: 'scheduled',
+  })
+})
+
+test('listFunctions returns the type of each function, unwrapping nested and re-exported handlers', async (t) => {
+  const functions = await listFunctions(join(FIXTURES_DIR, 'in-source-config', 'function-types'), {
+    parseISC: true,
+  })
+  const types = Object.fromEntries(functions.map(({ name, schedule, type }) => [name, { schedule, type }]))
+
+  t.deepEqual(types, {
+    builder_cjs: { schedule: undefined, type: 'builder' },
+    builder_nested: { schedule: undefined, type: 'builder' },
+    builder_reexport: { schedule: undefined, type: 'builder' },
+    scheduled_nested: { schedule: '@hourly', type: 'scheduled' },
+    standard: { schedule: undefined, type: 'standard' },
+    'task-background': { schedule: undefined, type: 'background' },
+  })
+})
+
+test('listFunctions does not return the type of the functions when `parseISC` is not set', async (t) => {
+  const functions = await listFunctions(join(FIXTURES_DIR, 'in-source-config', 'function-types'))
+
+  t.not(functions.length, 0)
+  t.true(functions.every(({ type }) => type === undefined))
+})
+
+test('Adds the type of each function to the manifest', async (t) => {
+  const { path: tmpDir } = await getTmpDir({ prefix: 'zip-it-test' })
+  const manifestPath = join(tmpDir, 'manifest.json')
+
+  await zipFunctions(join(FIXTURES_DIR, 'in-source-config', 'function-types'), tmpDir, { manifest: manifestPath })
+
+  const manifest = JSON.parse(await pReadFile(manifestPath))
+  const types = Object.fromEntries(manifest.functions.map(({ name, type }) => [name, type]))
+
+  t.deepEqual(types, {
+    builder_cjs: 'builder',
+    builder_nested: 'builder',
+    builder_reexport: 'builder',
+    scheduled_nested: 'scheduled',
+    standard: 'standard',
+    'task-background': 'background',
   })
 })
 
@@ -2503,3 +3314,671 @@ test('listFunctionsFiles includes in-source config declarations', async (t) => {
     t.is(func.schedule, '@daily')
   })
 })
+
+testMany(
+  'Reuses archives from the cache when the `cacheDirectory` option is set and the inputs have not changed',
+  ['bundler_default', 'bundler_esbuild', 'bundler_default_nft'],
+  async (options, t) => {
+    const fixtureDir = await tmpName({ prefix: 'zip-it-test' })
+    const cacheDirectory = await tmpName({ prefix: 'zip-it-test-cache' })
+    const opts = merge(options, { basePath: fixtureDir, cacheDirectory })
+
+    await cpy('**', `${fixtureDir}/node-module-and-local-imports`, {
+      cwd: `${FIXTURES_DIR}/node-module-and-local-imports`,
+      parents: true,
+    })
+
+    const { files: firstRun } = await zipFixture(t, 'node-module-and-local-imports', { opts, fixtureDir })
+    const { files: secondRun } = await zipFixture(t, 'node-module-and-local-imports', { opts, fixtureDir })
+
+    t.false(firstRun[0].cacheHit)
+    t.true(secondRun[0].cacheHit)
+    t.is(await computeSha1(firstRun[0].path), await computeSha1(secondRun[0].path))
+    t.deepEqual(secondRun[0].inputs, firstRun[0].inputs)
+
+    await pWriteFile(join(fixtureDir, 'node-module-and-local-imports', 'lib', 'file1.js'), 'module.exports = false')
+
+    const { files: thirdRun } = await zipFixture(t, 'node-module-and-local-imports', { opts, fixtureDir })
+
+    t.false(thirdRun[0].cacheHit)
+  },
+)
+
+test('Does not reuse archives from the cache when the `basePath` option has changed', async (t) => {
+  const fixtureDir = await tmpName({ prefix: 'zip-it-test' })
+  const cacheDirectory = await tmpName({ prefix: 'zip-it-test-cache' })
+
+  await cpy('**', `${fixtureDir}/node-module-and-local-imports`, {
+    cwd: `${FIXTURES_DIR}/node-module-and-local-imports`,
+    parents: true,
+  })
+
+  const { files: firstRun } = await zipFixture(t, 'node-module-and-local-imports', {
+    opts: { basePath: fixtureDir, cacheDirectory },
+    fixtureDir,
+  })
+  const { files: secondRun } = await zipFixture(t, 'node-module-and-local-imports', {
+    opts: { basePath: join(fixtureDir, 'node-module-and-local-imports'), cacheDirectory },
+    fixtureDir,
+  })
+
+  t.false(firstRun[0].cacheHit)
+  t.false(secondRun[0].cacheHit)
+})
+
+test('Does not reuse archives from the cache when the files matched by `includedFiles` have changed', async (t) => {
+  const { path: fixtureDir } = await getTmpDir({ prefix: 'zip-it-test' })
+  const { path: tmpDir } = await getTmpDir({ prefix: 'zip-it-test' })
+  const cacheDirectory = await tmpName({ prefix: 'zip-it-test-cache' })
+  const srcDir = join(fixtureDir, 'functions')
+  const opts = { basePath: fixtureDir, cacheDirectory, config: { '*': { includedFiles: ['data/*'] } } }
+
+  await makeDir(join(fixtureDir, 'data'))
+  await makeDir(srcDir)
+  await pWriteFile(join(srcDir, 'func.js'), 'module.exports.handler = () => {}')
+  await pWriteFile(join(fixtureDir, 'data', 'a.txt'), 'a')
+
+  const [firstRun] = await zipFunctions(srcDir, tmpDir, opts)
+  const [secondRun] = await zipFunctions(srcDir, tmpDir, opts)
+
+  await pWriteFile(join(fixtureDir, 'data', 'a.txt'), 'changed')
+
+  const [thirdRun] = await zipFunctions(srcDir, tmpDir, opts)
+
+  await pWriteFile(join(fixtureDir, 'data', 'b.txt'), 'b')
+
+  const [fourthRun] = await zipFunctions(srcDir, tmpDir, opts)
+
+  t.false(firstRun.cacheHit)
+  t.true(secondRun.cacheHit)
+  t.false(thirdRun.cacheHit)
+  t.false(fourthRun.cacheHit)
+})
+
+test('Does not reuse archives from the cache when the inferred Node runtime version has changed', async (t) => {
+  const { path: fixtureDir } = await getTmpDir({ prefix: 'zip-it-test' })
+  const { path: tmpDir } = await getTmpDir({ prefix: 'zip-it-test' })
+  const cacheDirectory = await tmpName({ prefix: 'zip-it-test-cache' })
+  const srcDir = join(fixtureDir, 'functions')
+  const packageJsonPath = join(fixtureDir, 'package.json')
+  const opts = { basePath: fixtureDir, cacheDirectory, config: { '*': { nodeBundler: 'esbuild' } } }
+
+  await makeDir(srcDir)
+  await pWriteFile(join(srcDir, 'func.js'), 'module.exports.handler = () => {}')
+  await pWriteFile(packageJsonPath, JSON.stringify({ engines: { node: '>=14' } }))
+
+  const [firstRun] = await zipFunctions(srcDir, tmpDir, opts)
+
+  await pWriteFile(packageJsonPath, JSON.stringify({ engines: { node: '>=18' } }))
+
+  const [secondRun] = await zipFunctions(srcDir, tmpDir, opts)
+
+  t.false(firstRun.cacheHit)
+  t.false(secondRun.cacheHit)
+  t.true(secondRun.inputs.includes(packageJsonPath))
+})
+
+test.serial(
+  'Does not reuse archives from the cache when the `AWS_LAMBDA_JS_RUNTIME` environment variable has changed',
+  async (t) => {
+    const { path: srcDir } = await getTmpDir({ prefix: 'zip-it-test' })
+    const { path: tmpDir } = await getTmpDir({ prefix: 'zip-it-test' })
+    const cacheDirectory = await tmpName({ prefix: 'zip-it-test-cache' })
+    const opts = { basePath: srcDir, cacheDirectory, config: { '*': { nodeBundler: 'esbuild' } } }
+
+    await pWriteFile(join(srcDir, 'func.js'), 'module.exports.handler = () => {}')
+
+    const [firstRun] = await zipFunctions(srcDir, tmpDir, opts)
+
+    env.AWS_LAMBDA_JS_RUNTIME = 'nodejs18.x'
+
+    try {
+      const [secondRun] = await zipFunctions(srcDir, tmpDir, opts)
+
+      t.false(firstRun.cacheHit)
+      t.false(secondRun.cacheHit)
+    } finally {
+      delete env.AWS_LAMBDA_JS_RUNTIME
+    }
+  },
+)
+
+test('Does not set a `cacheHit` property when the `cacheDirectory` option is not set', async (t) => {
+  const { files } = await zipNode(t, 'simple')
+
+  t.is(files[0].cacheHit, undefined)
+})
+
+test('Throws an error with a breakdown of the largest files if an archive exceeds `maxArchiveSize`', async (t) => {
+  const error = await t.throwsAsync(
+    zipNode(t, 'node-fetch', { opts: { config: { '*': { nodeBundler: 'esbuild' } }, maxArchiveSize: 100 } }),
+  )
+
+  t.true(error.message.includes('Function "function" exceeds the maximum archive size'))
+  t.true(error.message.includes('(limit: 100 B)'))
+  t.true(error.message.includes('Largest files:'))
+  t.true(error.message.includes('  - function.js: '))
+  t.is(error.customErrorInfo.type, 'functionsBundling')
+  t.is(error.customErrorInfo.location.functionName, 'function')
+})
+
+testMany(
+  'Adds a `sizeWarning` property if an archive exceeds a `maxUncompressedSize` limit set in the config and `sizeLimitAction` is `warn`',
+  ['bundler_default', 'bundler_esbuild', 'bundler_nft'],
+  async (options, t) => {
+    const maxUncompressedSize = 100
+    const opts = merge(options, {
+      config: { '*': { maxUncompressedSize } },
+      maxUncompressedSize: Number.POSITIVE_INFINITY,
+      sizeLimitAction: 'warn',
+    })
+    const { files } = await zipNode(t, 'node-fetch', { opts })
+    const [{ sizeWarning, uncompressedSize }] = files
+
+    t.true(uncompressedSize > maxUncompressedSize)
+    t.deepEqual(sizeWarning.violations, [
+      { limit: maxUncompressedSize, property: 'maxUncompressedSize', size: uncompressedSize },
+    ])
+    t.true(sizeWarning.largestFiles.length !== 0)
+    t.true(sizeWarning.largestFiles.every(({ size }, index, list) => index === 0 || list[index - 1].size >= size))
+
+    // The esbuild bundler inlines `node-fetch` into the main file.
+    if (files[0].bundler !== 'esbuild') {
+      t.is(sizeWarning.largestNodeModules[0].name, 'node-fetch')
+    }
+  },
+)
+
+test('Applies the size limits to `zipFunction`', async (t) => {
+  const tmpDir = await tmpName({ prefix: 'zip-it-test' })
+  const error = await t.throwsAsync(
+    zipFunction(join(FIXTURES_DIR, 'node-fetch', 'function.js'), tmpDir, {
+      config: { '*': { nodeBundler: 'esbuild' } },
+      maxArchiveSize: 100,
+    }),
+  )
+
+  t.true(error.message.includes('Function "function" exceeds the maximum archive size'))
+})
+
+test('Measures the uncompressed size of `tar.gz` archives', async (t) => {
+  const limit = 1e6
+  const { files } = await zipNode(t, 'simple', {
+    opts: { archiveFormat: 'tar.gz', maxArchiveSize: limit, maxUncompressedSize: limit },
+  })
+
+  t.is(files[0].sizeWarning, undefined)
+  t.true(files[0].uncompressedSize > 0)
+})
+
+test('Does not add a `sizeWarning` property if an archive is within the size limits', async (t) => {
+  const limit = 1e6
+  const { files } = await zipNode(t, 'simple', { opts: { maxArchiveSize: limit, maxUncompressedSize: limit } })
+
+  t.is(files[0].sizeWarning, undefined)
+  t.true(files[0].uncompressedSize > 0)
+})
+
+testMany(
+  'Writes a bundle report explaining why each file was included when the `report` option is set',
+  ['bundler_default', 'bundler_nft'],
+  async (options, t) => {
+    const { files } = await zipNode(t, 'node-fetch', { opts: merge(options, { report: 'json' }) })
+    const report = JSON.parse(await pReadFile(files[0].reportPath, 'utf8'))
+    const reasons = Object.fromEntries(report.files.map(({ path, reason }) => [path, reason]))
+
+    t.is(report.name, 'function')
+    t.is(report.bundler, files[0].bundler)
+    t.true(report.files.every(({ size }) => typeof size === 'number'))
+    t.deepEqual(reasons['function.js'], { type: 'main-file' })
+    t.is(reasons['node_modules/node-fetch/lib/index.js'].type, 'node-module')
+    t.is(reasons['node_modules/node-fetch/lib/index.js'].moduleName, 'node-fetch')
+    t.is(files[0].archiveFiles, undefined)
+  },
+)
+
+test('Writes an HTML version of the bundle report when the `report` option is `html`', async (t) => {
+  const { files, tmpDir } = await zipNode(t, 'local-parent-require', { opts: { report: 'html' } })
+  const report = JSON.parse(await pReadFile(files[0].reportPath, 'utf8'))
+  const html = await pReadFile(join(tmpDir, 'function.report.html'), 'utf8')
+  const reasons = Object.fromEntries(report.files.map(({ path, reason }) => [path, reason]))
+
+  t.deepEqual(reasons['function.js'], { type: 'entry-file' })
+  t.deepEqual(reasons['file/test.js'], {
+    type: 'local-import',
+    importer: join(FIXTURES_DIR, 'local-parent-require', 'function', 'function.js'),
+  })
+  t.true(html.includes('<h1>Bundle report for function</h1>'))
+})
+
+test('Includes dynamic import globs and the files inlined by esbuild in the bundle report', async (t) => {
+  const { files } = await zipNode(t, 'node-module-dynamic-import', {
+    opts: {
+      basePath: join(FIXTURES_DIR, 'node-module-dynamic-import'),
+      config: { '*': { nodeBundler: 'esbuild' } },
+      report: 'json',
+    },
+  })
+  const report = JSON.parse(await pReadFile(files[0].reportPath, 'utf8'))
+  const mainFile = report.files.find(({ path }) => path === 'function.js')
+  const dynamicImportFile = report.files.find(({ path }) => path === 'node_modules/@org/test/files/one.json')
+
+  t.is(mainFile.reason.type, 'main-file')
+  t.true(mainFile.reason.bundledFiles.includes(join(FIXTURES_DIR, 'node-module-dynamic-import', 'function.js')))
+  t.deepEqual(dynamicImportFile.reason, { type: 'dynamic-import', glob: 'node_modules/@org/test/files/**.json' })
+})
+
+test('`watchFunctions` rebuilds functions when their inputs change and when functions are added or removed', async (t) => {
+  const { path: tmpDir } = await getTmpDir({ prefix: 'zip-it-test' })
+  const functionsDir = join(tmpDir, 'functions')
+  const destDir = join(tmpDir, 'dist')
+
+  await makeDir(join(tmpDir, 'lib'))
+  await makeDir(functionsDir)
+  await pWriteFile(join(tmpDir, 'lib', 'helper.js'), `module.exports = 'one'`)
+  await pWriteFile(join(functionsDir, 'func1.js'), `module.exports = require('../lib/helper.js')`)
+
+  const watcher = watchFunctions(functionsDir, destDir)
+
+  try {
+    const [initialResults] = await once(watcher, 'ready')
+
+    t.deepEqual(
+      initialResults.map(({ name }) => name),
+      ['func1'],
+    )
+
+    await pWriteFile(join(tmpDir, 'lib', 'helper.js'), `module.exports = 'two'`)
+
+    const [rebuildResult] = await once(watcher, 'build')
+
+    t.is(rebuildResult.name, 'func1')
+
+    await pWriteFile(join(functionsDir, 'func2.js'), `module.exports = true`)
+
+    const [newFunctionResult] = await once(watcher, 'build')
+
+    t.is(newFunctionResult.name, 'func2')
+    t.true(await pathExists(join(destDir, 'func2.zip')))
+
+    await del(join(functionsDir, 'func2.js'), { force: true })
+
+    const [removedName] = await once(watcher, 'remove')
+
+    t.is(removedName, 'func2')
+    t.false(await pathExists(join(destDir, 'func2.zip')))
+  } finally {
+    watcher.close()
+  }
+})
+
+test('`watchFunctions` builds a function shadowed by one with the same name when the latter is removed', async (t) => {
+  const { path: tmpDir } = await getTmpDir({ prefix: 'zip-it-test' })
+  const internalDir = join(tmpDir, 'internal')
+  const userDir = join(tmpDir, 'user')
+
+  await makeDir(internalDir)
+  await makeDir(userDir)
+  await pWriteFile(join(internalDir, 'func1.js'), `module.exports = 'internal'`)
+  await pWriteFile(join(userDir, 'func1.js'), `module.exports = 'user'`)
+
+  const watcher = watchFunctions([internalDir, userDir], join(tmpDir, 'dist'))
+
+  try {
+    const [[initialResult]] = await once(watcher, 'ready')
+
+    t.is(initialResult.mainFile, join(userDir, 'func1.js'))
+
+    await del(join(userDir, 'func1.js'), { force: true })
+
+    const [rebuildResult] = await once(watcher, 'build')
+
+    t.is(rebuildResult.mainFile, join(internalDir, 'func1.js'))
+  } finally {
+    watcher.close()
+  }
+})
+
+test('`watchFunctions` keeps watching the source folders after a scan fails and scans them again on the next change', async (t) => {
+  const { path: tmpDir } = await getTmpDir({ prefix: 'zip-it-test' })
+  const internalDir = join(tmpDir, 'internal')
+  const userDir = join(tmpDir, 'user')
+
+  await makeDir(internalDir)
+  await makeDir(userDir)
+  await pWriteFile(join(internalDir, 'func1.js'), `module.exports = 'internal'`)
+  await pWriteFile(join(userDir, 'func1.js'), `module.exports = 'user'`)
+
+  const watcher = watchFunctions([internalDir, userDir], join(tmpDir, 'dist'), { nameCollisionAction: 'error' })
+
+  try {
+    const [error] = await once(watcher, 'error')
+
+    t.true(error.message.includes('Functions with the same name'))
+
+    await del(join(userDir, 'func1.js'), { force: true })
+
+    const [result] = await once(watcher, 'build')
+
+    t.is(result.mainFile, join(internalDir, 'func1.js'))
+  } finally {
+    watcher.close()
+  }
+})
+
+test('`watchFunctions` emits a `buildError` event when a function fails to build', async (t) => {
+  const { path: tmpDir } = await getTmpDir({ prefix: 'zip-it-test' })
+  const functionsDir = join(tmpDir, 'functions')
+
+  await makeDir(functionsDir)
+  await pWriteFile(join(functionsDir, 'func1.js'), `module.exports = true`)
+
+  const watcher = watchFunctions(functionsDir, join(tmpDir, 'dist'))
+
+  try {
+    await once(watcher, 'ready')
+    await pWriteFile(join(functionsDir, 'func2.js'), `module.exports = require('missing-module')`)
+
+    const [{ error, name }] = await once(watcher, 'buildError')
+
+    t.is(name, 'func2')
+    t.true(error.message.includes('missing-module'))
+  } finally {
+    watcher.close()
+  }
+})
+
+test('Functions can be handled by a custom runtime registered with `registerRuntime`', async (t) => {
+  const { path: tmpDir } = await getTmpDir({ prefix: 'zip-it-test' })
+  const srcDir = join(tmpDir, 'functions')
+  const destDir = join(tmpDir, 'dist')
+  const manifestPath = join(tmpDir, 'manifest.json')
+  const runtime = {
+    findFunctionsInPaths: ({ paths }) =>
+      Promise.all(
+        paths
+          .filter((path) => extname(path) === '.custom')
+          .map(async (path) => ({
+            mainFile: path,
+            name: basename(path, '.custom'),
+            srcDir: dirname(path),
+            srcPath: path,
+            stat: await pStat(path),
+          })),
+      ),
+    findFunctionInPath: () => {},
+    name: 'custom',
+    zipFunction: async ({ config, destFolder, filename, srcPath }) => {
+      const path = join(destFolder, filename)
+
+      await pWriteFile(path, await pReadFile(srcPath))
+
+      return { config, path }
+    },
+  }
+
+  await makeDir(srcDir)
+  await pWriteFile(join(srcDir, 'hello.custom'), 'hello')
+  await pWriteFile(join(srcDir, 'world.js'), 'module.exports = true')
+
+  registerRuntime(runtime)
+
+  try {
+    const functions = await listFunctions(srcDir)
+    const files = await zipFunctions(srcDir, destDir, { manifest: manifestPath })
+    const manifest = require(manifestPath)
+
+    t.deepEqual(
+      sortOn(functions, 'name').map(({ name, runtime: runtimeName }) => [name, runtimeName]),
+      [
+        ['hello', 'custom'],
+        ['world', 'js'],
+      ],
+    )
+    t.is(files.find(({ name }) => name === 'hello').runtime, 'custom')
+    t.is(await pReadFile(join(destDir, 'hello.custom'), 'utf8'), 'hello')
+    t.is(manifest.functions.find(({ name }) => name === 'hello').runtime, 'custom')
+  } finally {
+    unregisterRuntime('custom')
+  }
+})
+
+testMany(
+  'Calls the lifecycle hooks with the timings of each phase for every function',
+  ['bundler_default', 'bundler_esbuild', 'bundler_nft'],
+  async (options, t) => {
+    const events = []
+    const opts = merge(options, {
+      onFunctionArchived: ({ name, result, timings }) => events.push({ name, result, timings, type: 'archived' }),
+      onFunctionBundled: ({ name, runtime, timings }) => events.push({ name, runtime, timings, type: 'bundled' }),
+      onFunctionError: () => events.push({ type: 'error' }),
+      onFunctionStart: ({ mainFile, name, runtime, timings }) =>
+        events.push({ mainFile, name, runtime, timings, type: 'start' }),
+    })
+    const { files } = await zipNode(t, 'node-fetch', { opts })
+
+    t.deepEqual(
+      events.map(({ type }) => type),
+      ['start', 'bundled', 'archived'],
+    )
+
+    const [start, bundled, archived] = events
+
+    t.is(start.name, 'function')
+    t.is(start.mainFile, join(FIXTURES_DIR, 'node-fetch', 'function.js'))
+    t.is(start.runtime, 'js')
+    t.deepEqual(Object.keys(start.timings), ['discovery'])
+    t.is(bundled.runtime, 'js')
+    t.true(typeof bundled.timings.bundling === 'number')
+    t.true(typeof bundled.timings.iscParsing === 'number')
+    t.is(bundled.timings.archiving, undefined)
+    t.deepEqual(archived.result, files[0])
+    t.true(['archiving', 'bundling', 'discovery', 'iscParsing'].every((phase) => archived.timings[phase] >= 0))
+    t.is(files[0].timings, undefined)
+  },
+)
+
+test('Calls the `onFunctionError` hook when zipping a function fails', async (t) => {
+  const onFunctionArchived = sinon.spy()
+  const onFunctionError = sinon.spy()
+  const error = await t.throwsAsync(
+    zipNode(t, 'node-fetch', { opts: { maxArchiveSize: 100, onFunctionArchived, onFunctionError } }),
+  )
+
+  t.true(onFunctionArchived.notCalled)
+  t.true(onFunctionError.calledOnce)
+
+  const [{ error: hookError, name, timings }] = onFunctionError.firstCall.args
+
+  t.is(hookError, error)
+  t.is(name, 'function')
+  t.true(timings.archiving >= 0)
+})
+
+test('Returns failed results instead of throwing when `continueOnError` is set', async (t) => {
+  const { path: tmpDir } = await getTmpDir({ prefix: 'zip-it-test' })
+  const srcDir = join(tmpDir, 'functions')
+  const manifestPath = join(tmpDir, 'manifest.json')
+
+  await makeDir(srcDir)
+  await cpy(join(FIXTURES_DIR, 'node-syntax-error', 'function.js'), srcDir, { rename: 'broken.js' })
+  await cpy(join(FIXTURES_DIR, 'simple', 'function.js'), srcDir)
+
+  const results = await zipFunctions(srcDir, join(tmpDir, 'dist'), {
+    config: { '*': { nodeBundler: 'esbuild' } },
+    continueOnError: true,
+    manifest: manifestPath,
+    manifestVersion: 2,
+  })
+  const failed = results.find(({ name }) => name === 'broken')
+  const succeeded = results.find(({ name }) => name === 'function')
+  const manifest = require(manifestPath)
+
+  t.is(results.length, 2)
+  t.is(failed.status, 'failed')
+  t.is(failed.runtime, 'js')
+  t.is(failed.mainFile, join(srcDir, 'broken.js'))
+  t.is(failed.path, undefined)
+  t.is(typeof failed.error.message, 'string')
+  t.is(failed.error.customErrorInfo.type, 'functionsBundling')
+  t.is(failed.error.customErrorInfo.location.functionName, 'broken')
+  t.is(succeeded.status, undefined)
+  t.true(await pathExists(succeeded.path))
+  t.deepEqual(
+    manifest.functions.map(({ name }) => name),
+    ['function'],
+  )
+  t.deepEqual(manifest.failedFunctions, [failed])
+})
+
+test('Lists failed functions in version 1 manifest files when `continueOnError` is set', async (t) => {
+  const { path: tmpDir } = await getTmpDir({ prefix: 'zip-it-test' })
+  const srcDir = join(tmpDir, 'functions')
+  const manifestPath = join(tmpDir, 'manifest.json')
+
+  await makeDir(srcDir)
+  await cpy(join(FIXTURES_DIR, 'node-syntax-error', 'function.js'), srcDir, { rename: 'broken.js' })
+  await cpy(join(FIXTURES_DIR, 'simple', 'function.js'), srcDir)
+
+  const results = await zipFunctions(srcDir, join(tmpDir, 'dist'), {
+    config: { '*': { nodeBundler: 'esbuild' } },
+    continueOnError: true,
+    manifest: manifestPath,
+  })
+  const failed = results.find(({ name }) => name === 'broken')
+  const manifest = require(manifestPath)
+
+  t.is(manifest.version, 1)
+  t.deepEqual(
+    manifest.functions.map(({ name }) => name),
+    ['function'],
+  )
+  t.deepEqual(manifest.failedFunctions, [failed])
+})
+
+test('Does not zip Python functions if the `buildPythonSource` feature flag is not enabled', async (t) => {
+  const { files } = await zipFixture(t, 'python-source', { length: 0 })
+
+  t.is(files.length, 0)
+})
+
+test('Zips a JavaScript function that has the same name as a Python function that is not built', async (t) => {
+  const { path: srcDir } = await getTmpDir({ prefix: 'zip-it-test' })
+  const { path: tmpDir } = await getTmpDir({ prefix: 'zip-it-test' })
+
+  await pWriteFile(join(srcDir, 'hello.js'), 'module.exports.handler = () => {}')
+  await pWriteFile(join(srcDir, 'hello.py'), 'def handler(event, context):\n    return None\n')
+
+  const files = await zipFunctions(srcDir, tmpDir)
+
+  t.is(files.length, 1)
+  t.is(files[0].runtime, 'js')
+  t.is(files[0].mainFile, join(srcDir, 'hello.js'))
+  t.is(files[0].nameCollision, undefined)
+})
+
+test('Lists Python functions even if the `buildPythonSource` feature flag is not enabled', async (t) => {
+  const functions = await listFunctions(join(FIXTURES_DIR, 'python-source'))
+
+  t.deepEqual(
+    sortOn(functions, 'name').map(({ name, runtime }) => ({ name, runtime })),
+    [
+      { name: 'hello', runtime: 'py' },
+      { name: 'py-dir', runtime: 'py' },
+      { name: 'py-vendored', runtime: 'py' },
+    ],
+  )
+})
+
+test('Does not add the `requirements.txt` file of the functions directory to single-file Python functions', async (t) => {
+  const { files, tmpDir } = await zipFixture(t, 'python-shared-requirements', {
+    opts: { featureFlags: { buildPythonSource: true } },
+  })
+
+  await unzipFiles(files)
+
+  t.true(await pathExists(`${tmpDir}/func.py`))
+  t.false(await pathExists(`${tmpDir}/requirements.txt`))
+  t.deepEqual(files[0].inputs, [join(FIXTURES_DIR, 'python-shared-requirements', 'func.py')])
+})
+
+test('Zips Python functions with their local modules and vendored dependencies', async (t) => {
+  const { files, tmpDir } = await zipFixture(t, 'python-source', {
+    length: 3,
+    opts: { featureFlags: { buildPythonSource: true } },
+  })
+  const [hello, dir, vendored] = sortOn(files, 'name')
+
+  await unzipFiles(files, (path) => `${path}/../${basename(path, '.zip')}`)
+
+  t.true(files.every(({ runtime }) => runtime === 'py'))
+  t.is(hello.mainFile, join(FIXTURES_DIR, 'python-source', 'hello.py'))
+  t.is(dir.mainFile, join(FIXTURES_DIR, 'python-source', 'py-dir', 'main.py'))
+  t.is(vendored.path, join(tmpDir, 'py-vendored.zip'))
+
+  t.true(await pathExists(`${tmpDir}/hello/hello.py`))
+  t.true(await pathExists(`${tmpDir}/hello/lib/__init__.py`))
+  t.true(await pathExists(`${tmpDir}/hello/lib/util.py`))
+  t.true(await pathExists(`${tmpDir}/hello/lib/constants.py`))
+  t.false(await pathExists(`${tmpDir}/hello/lib/unused.py`))
+  t.false(await pathExists(`${tmpDir}/hello/py-dir`))
+
+  t.true(await pathExists(`${tmpDir}/py-dir/main.py`))
+  t.true(await pathExists(`${tmpDir}/py-dir/data.json`))
+
+  t.true(await pathExists(`${tmpDir}/py-vendored/py-vendored.py`))
+  t.true(await pathExists(`${tmpDir}/py-vendored/six.py`))
+  t.true(await pathExists(`${tmpDir}/py-vendored/six-1.16.0.dist-info/METADATA`))
+  t.false(await pathExists(`${tmpDir}/py-vendored/vendor`))
+  t.true(vendored.inputs.includes(join(FIXTURES_DIR, 'python-source', 'py-vendored', 'requirements.txt')))
+
+  const tc = await pReadFile(`${tmpDir}/hello/netlify-toolchain`, 'utf8')
+
+  t.is(tc.trim(), '{"runtime":"py"}')
+})
+
+test('Throws an error if the dependencies of a Python function are not available locally', async (t) => {
+  const error = await t.throwsAsync(
+    zipFixture(t, 'python-missing-dependencies', { opts: { featureFlags: { buildPythonSource: true } } }),
+  )
+
+  t.true(error.message.includes('The Python dependencies of function py-func are not installed'))
+  t.deepEqual(error.customErrorInfo, {
+    type: 'functionsBundling',
+    location: { functionName: 'py-func', runtime: 'py' },
+  })
+})
+
+test.serial('Installs the dependencies of Python functions from a local wheel cache', async (t) => {
+  shellUtilsStub.callsFake(async (command, args) => {
+    const target = args[args.indexOf('--target') + 1]
+
+    await makeDir(join(target, 'requests'))
+    await pWriteFile(join(target, 'requests', '__init__.py'), '__version__ = "2.26.0"')
+  })
+
+  const { files, tmpDir } = await zipFixture(t, 'python-wheels', {
+    opts: { featureFlags: { buildPythonSource: true } },
+  })
+
+  await unzipFiles(files)
+
+  const [command, args] = shellUtilsStub.firstCall.args
+  const wheelsDirectory = join(FIXTURES_DIR, 'python-wheels', 'py-func', 'wheels')
+
+  t.is(command, 'python3')
+  t.deepEqual(args.slice(0, args.indexOf('--target')), [
+    '-m',
+    'pip',
+    'install',
+    '--no-index',
+    '--find-links',
+    wheelsDirectory,
+    '--requirement',
+    join(FIXTURES_DIR, 'python-wheels', 'py-func', 'requirements.txt'),
+  ])
+  t.true(await pathExists(`${tmpDir}/main.py`))
+  t.true(await pathExists(`${tmpDir}/requests/__init__.py`))
+  t.false(await pathExists(`${tmpDir}/wheels`))
+  t.true(files[0].inputs.includes(join(wheelsDirectory, 'requests-2.26.0-py2.py3-none-any.whl')))
+})
@@ -1,6 +1,15 @@
+const { Transform } = require('stream')
+const zlib = require('zlib')
+
 const test = require('ava')
+const sinon = require('sinon')
+const { tmpName } = require('tmp-promise')
 
+const { addZipContent, endZip, startZip } = require('../dist/archive')
 const { sanitisePackageJson } = require('../dist/runtimes/node/utils/package_json')
+const { getRuntimes, registerRuntime, unregisterRuntime } = require('../dist/runtimes/registry')
+const { listArchiveEntries, readArchiveEntry } = require('../dist/utils/archive_entries')
+const { getNextRuns, parseCronExpression } = require('../dist/utils/schedule')
 
 test('sanitisePackageJson', (t) => {
   t.deepEqual(
@@ -21,3 +30,123 @@ test('sanitisePackageJson', (t) => {
     },
   )
 })
+
+const getCustomRuntime = (name) => ({
+  findFunctionsInPaths: () => [],
+  findFunctionInPath: () => {},
+  name,
+  zipFunction: () => ({ config: {}, path: '' }),
+})
+
+test('registerRuntime adds a runtime with the given priority', (t) => {
+  registerRuntime(getCustomRuntime('custom-last'))
+  registerRuntime(getCustomRuntime('custom-first'), { before: 'js' })
+  registerRuntime(getCustomRuntime('custom-after-go'), { after: 'go' })
+
+  try {
+    t.deepEqual(
+      getRuntimes().map(({ name }) => name),
+      ['custom-first', 'js', 'go', 'custom-after-go', 'rs', 'py', 'custom-last'],
+    )
+  } finally {
+    unregisterRuntime('custom-last')
+    unregisterRuntime('custom-first')
+    unregisterRuntime('custom-after-go')
+  }
+
+  t.deepEqual(
+    getRuntimes().map(({ name }) => name),
+    ['js', 'go', 'rs', 'py'],
+  )
+})
+
+test('registerRuntime throws when the runtime is invalid or its name is taken', (t) => {
+  t.throws(() => registerRuntime(getCustomRuntime('js')), { message: 'A runtime named "js" is already registered' })
+  t.throws(() => registerRuntime({ ...getCustomRuntime('custom'), zipFunction: undefined }), {
+    message: 'Runtime "custom" must have a `zipFunction` method',
+  })
+  t.throws(() => registerRuntime(getCustomRuntime('custom'), { before: 'unknown' }), {
+    message: 'Unknown runtime: unknown',
+  })
+  t.throws(() => unregisterRuntime('go'), { message: 'Built-in runtime "go" can\'t be unregistered' })
+})
+
+test('parseCronExpression throws when the expression is not valid', (t) => {
+  t.notThrows(() => parseCronExpression('*/15 9-17 * jan-jun mon-fri'))
+  t.notThrows(() => parseCronExpression('@weekly'))
+  t.notThrows(() => parseCronExpression('@midnight'))
+
+  t.throws(() => parseCronExpression('@reboot'), { message: '"@reboot" is not a supported shortcut' })
+  t.throws(() => parseCronExpression('* * *'), { message: 'expected 5 fields, got 3' })
+  t.throws(() => parseCronExpression('60 * * * *'), {
+    message: 'Constraint error, got value 60 expected range 0-59',
+  })
+  t.throws(() => parseCronExpression('* * * foo *'), {
+    message: 'Validation error, cannot resolve alias "foo"',
+  })
+  t.throws(() => parseCronExpression('* 5-1 * * *'), { message: 'Invalid range: 5-1' })
+})
+
+test('getNextRuns returns the next times a cron expression runs, in UTC', (t) => {
+  const from = new Date('2021-10-15T10:30:00Z')
+  const getRuns = (expression, count) => getNextRuns(expression, count, from).map((run) => run.toISOString())
+
+  t.deepEqual(getRuns('@daily', 2), ['2021-10-16T00:00:00.000Z', '2021-10-17T00:00:00.000Z'])
+  t.deepEqual(getRuns('*/20 9-17 * * mon-fri', 3), [
+    '2021-10-15T10:40:00.000Z',
+    '2021-10-15T11:00:00.000Z',
+    '2021-10-15T11:20:00.000Z',
+  ])
+
+  // When both the day of the month and the day of the week are set, either of
+  // them can match.
+  t.deepEqual(getRuns('0 12 1 * sun', 2), ['2021-10-17T12:00:00.000Z', '2021-10-24T12:00:00.000Z'])
+  t.deepEqual(getRuns('0 0 29 2 *', 1), ['2024-02-29T00:00:00.000Z'])
+  t.throws(() => getRuns('0 0 30 2 *', 1), { message: 'Invalid explicit day of month definition' })
+})
+
+const readArchiveEntryMacro = async (t, format) => {
+  const path = await tmpName({ postfix: `.${format}` })
+  const { archive, output } = startZip(path, format)
+
+  addZipContent(archive, 'one', 'one.txt')
+  addZipContent(archive, 'two', 'lib/two.txt')
+
+  await endZip(archive, output)
+
+  const entries = await listArchiveEntries(path)
+  const contents = await readArchiveEntry(path, 'lib/two.txt')
+
+  t.deepEqual(
+    entries.map(({ name, size }) => ({ name, size })),
+    [
+      { name: 'one.txt', size: 3 },
+      { name: 'lib/two.txt', size: 3 },
+    ],
+  )
+  t.is(contents.toString(), 'two')
+  t.is(await readArchiveEntry(path, 'missing.txt'), undefined)
+}
+
+test('readArchiveEntry returns the contents of an entry of a ZIP archive', readArchiveEntryMacro, 'zip')
+test('readArchiveEntry returns the contents of an entry of a tarball', readArchiveEntryMacro, 'tar.gz')
+
+test.serial('endZip rejects when the compression stream fails', async (t) => {
+  const createGzip = sinon.stub(zlib, 'createGzip').returns(
+    new Transform({
+      transform() {
+        this.destroy(new Error('Compression failed'))
+      },
+    }),
+  )
+
+  try {
+    const { archive, output } = startZip(await tmpName({ postfix: '.tar.gz' }), 'tar.gz')
+
+    addZipContent(archive, 'content', 'file.txt')
+
+    await t.throwsAsync(endZip(archive, output), { message: 'Compression failed' })
+  } finally {
+    createGzip.restore()
+  }
+})